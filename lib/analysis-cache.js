@@ -0,0 +1,163 @@
+/**
+ * Analysis Cache
+ * Results of video analysis (/api/localizer/analyze, /api/localizer/smart-analyze)
+ * keyed by a SHA-256 of the video's content plus the analysis kind and parameters,
+ * so re-analyzing the same upload - under any file name - skips frame extraction
+ * and the vision calls. Callers pass `force` to analyze again and replace the entry.
+ *
+ * Uploads are hashed as they arrive; a file identical to an earlier upload is
+ * replaced by a hard link to it and reported as a duplicate.
+ *
+ * Stored in data/analysis-cache.json:
+ *   { entries: { key: { kind, hash, params, result, createdAt, lastUsed, hits } },
+ *     files: { 'video-123.mp4': { hash, size, mtimeMs } } }
+ * Bump VERSION when analysis output changes so old results are not served.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mediaResolver = require('./media-resolver');
+
+const CACHE_FILE = path.join(__dirname, '..', 'data', 'analysis-cache.json');
+const VERSION = 1;
+const MAX_ENTRIES = 500;
+
+let store = load();
+const inFlight = new Map(); // key -> promise, one analysis per key at a time
+
+function load() {
+    try {
+        if (fs.existsSync(CACHE_FILE)) return { entries: {}, files: {}, ...JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8')) };
+    } catch (e) {
+        console.error('Error loading analysis cache:', e.message);
+    }
+    return { entries: {}, files: {} };
+}
+
+function save() {
+    try {
+        fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+        fs.writeFileSync(CACHE_FILE, JSON.stringify(store, null, 2));
+    } catch (e) {
+        console.error('Error saving analysis cache:', e.message);
+    }
+}
+
+// ============ HASHING ============
+
+// Asset ID of a file under uploads/ (the key in store.files)
+function fileId(filePath) {
+    return path.relative(mediaResolver.UPLOADS_ROOT, filePath);
+}
+
+function sha256(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Content hash of a video, remembered per file until its size or mtime changes.
+ * @returns {Promise<string>} hex SHA-256
+ */
+async function hashFile(filePath) {
+    const { size, mtimeMs } = fs.statSync(filePath);
+    const id = fileId(filePath);
+    const known = store.files[id];
+    if (known && known.size === size && known.mtimeMs === mtimeMs) return known.hash;
+
+    const hash = await sha256(filePath);
+    store.files[id] = { hash, size, mtimeMs };
+    save();
+    return hash;
+}
+
+/**
+ * Hash a new upload and link it to an earlier identical one.
+ * @returns {Promise<{ hash: string, duplicateOf: string|null }>} duplicateOf - asset ID of the earlier upload
+ */
+async function registerUpload(filePath) {
+    // Forget uploads that have been deleted since
+    Object.keys(store.files).filter(id => !mediaResolver.resolve(id)).forEach(id => delete store.files[id]);
+
+    const hash = await hashFile(filePath);
+    const id = fileId(filePath);
+    const original = Object.keys(store.files).find(other => other !== id
+        && store.files[other].hash === hash && store.files[other].size === store.files[id].size);
+    if (!original) return { hash, duplicateOf: null };
+
+    // Same bytes on disk once: the new name becomes a hard link to the earlier upload
+    try {
+        const linked = `${filePath}.link`;
+        fs.linkSync(mediaResolver.resolve(original), linked);
+        fs.renameSync(linked, filePath);
+        store.files[id] = { ...store.files[original] }; // shared inode, same size and mtime
+        save();
+    } catch (e) {
+        console.error(`Could not link ${id} to ${original}: ${e.message}`);
+    }
+    return { hash, duplicateOf: original };
+}
+
+// ============ ENTRIES ============
+
+function entryKey(kind, hash, params) {
+    return crypto.createHash('sha256').update(JSON.stringify({ v: VERSION, kind, hash, params })).digest('hex').slice(0, 32);
+}
+
+// Keep the most recently used entries
+function prune() {
+    const keys = Object.keys(store.entries);
+    if (keys.length <= MAX_ENTRIES) return;
+    keys.sort((a, b) => new Date(store.entries[b].lastUsed) - new Date(store.entries[a].lastUsed))
+        .slice(MAX_ENTRIES)
+        .forEach(key => delete store.entries[key]);
+}
+
+/**
+ * Cached analysis of a video, computed on a miss.
+ * @param {string} kind - 'analyze', 'smart-analyze'
+ * @param {string} videoPath
+ * @param {object} params - everything besides the video the result depends on
+ * @param {object} options - { force: ignore a cached result,
+ *                             isValid(result): false when a cached result can no longer be used (e.g. its frames are gone) }
+ * @param {Function} compute - async () => result (JSON-serializable)
+ * @returns {Promise<{ result, cached: boolean, hash: string }>}
+ */
+async function cached(kind, videoPath, params, { force = false, isValid = () => true } = {}, compute) {
+    const hash = await hashFile(videoPath);
+    const key = entryKey(kind, hash, params);
+
+    const entry = store.entries[key];
+    if (entry && !force && isValid(entry.result)) {
+        entry.lastUsed = new Date().toISOString();
+        entry.hits = (entry.hits || 0) + 1;
+        save();
+        return { result: entry.result, cached: true, hash };
+    }
+
+    // The same analysis already running (double click, two tabs) is shared
+    if (!inFlight.has(key)) {
+        inFlight.set(key, compute()
+            .then(result => {
+                const now = new Date().toISOString();
+                store.entries[key] = { kind, hash, params, result, createdAt: now, lastUsed: now, hits: 0 };
+                prune();
+                save();
+                return result;
+            })
+            .finally(() => inFlight.delete(key)));
+    }
+    return { result: await inFlight.get(key), cached: false, hash };
+}
+
+module.exports = {
+    VERSION,
+    hashFile,
+    registerUpload,
+    cached
+};
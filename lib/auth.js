@@ -0,0 +1,314 @@
+/**
+ * Authentication & Roles
+ * Users live in data/users.json with scrypt-hashed passwords; logins get a
+ * random session token in an HttpOnly cookie. Only a SHA-256 of each token is
+ * stored (data/sessions.json), so sessions survive restarts without the file
+ * being enough to log in.
+ *
+ * Roles:
+ *   admin           - everything, including user management
+ *   creator         - localizer, night queue, uploads
+ *   country_manager - launch tracker, packing, translation review/glossary
+ *   finance         - finance dashboard
+ *   service         - machine access with AUTH_SERVICE_TOKEN (notifications agent)
+ *
+ * Bootstrap: with no users on disk and AUTH_ADMIN_PASSWORD set, an `admin`
+ * account is created on startup; otherwise use scripts/create-user.js.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const USERS_FILE = path.join(__dirname, '..', 'data', 'users.json');
+const SESSIONS_FILE = path.join(__dirname, '..', 'data', 'sessions.json');
+
+const ROLES = ['admin', 'creator', 'country_manager', 'finance'];
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+// ============ STORAGE ============
+
+function loadUsers() {
+    try {
+        if (fs.existsSync(USERS_FILE)) {
+            return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+        }
+    } catch (e) {
+        console.error('Users load error:', e);
+    }
+    return { users: [] };
+}
+
+function saveUsers(data) {
+    fs.mkdirSync(path.dirname(USERS_FILE), { recursive: true });
+    fs.writeFileSync(USERS_FILE, JSON.stringify(data, null, 2));
+}
+
+function loadSessions() {
+    try {
+        if (fs.existsSync(SESSIONS_FILE)) {
+            return JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+        }
+    } catch (e) {
+        console.error('Sessions load error:', e);
+    }
+    return {};
+}
+
+function saveSessions() {
+    fs.mkdirSync(path.dirname(SESSIONS_FILE), { recursive: true });
+    fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions, null, 2));
+}
+
+// tokenHash -> { username, expiresAt }
+const sessions = loadSessions();
+
+// ============ PASSWORDS ============
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// ============ USERS ============
+
+// Public view of a user - never includes the password hash
+function publicUser(user) {
+    return {
+        username: user.username,
+        name: user.name || user.username,
+        initials: user.initials || '',
+        roles: user.roles || []
+    };
+}
+
+function normalizeRoles(roles) {
+    const list = (Array.isArray(roles) ? roles : String(roles || '').split(','))
+        .map(r => r.trim())
+        .filter(Boolean);
+    const invalid = list.filter(r => !ROLES.includes(r));
+    if (invalid.length) {
+        throw Object.assign(new Error(`Unknown role(s): ${invalid.join(', ')}`), { status: 400 });
+    }
+    return [...new Set(list)];
+}
+
+function findUser(username) {
+    const name = String(username || '').trim().toLowerCase();
+    return loadUsers().users.find(u => u.username === name) || null;
+}
+
+function listUsers() {
+    return loadUsers().users.map(publicUser);
+}
+
+function createUser({ username, password, roles, name, initials }) {
+    const uname = String(username || '').trim().toLowerCase();
+    if (!/^[a-z0-9._-]{2,32}$/.test(uname)) {
+        throw Object.assign(new Error('username must be 2-32 characters: a-z, 0-9, . _ -'), { status: 400 });
+    }
+    if (!password || String(password).length < 8) {
+        throw Object.assign(new Error('password must be at least 8 characters'), { status: 400 });
+    }
+    const data = loadUsers();
+    if (data.users.some(u => u.username === uname)) {
+        throw Object.assign(new Error(`User ${uname} already exists`), { status: 409 });
+    }
+    const user = {
+        username: uname,
+        name: name || uname,
+        initials: (initials || '').toUpperCase(),
+        roles: normalizeRoles(roles),
+        passwordHash: hashPassword(String(password)),
+        createdAt: new Date().toISOString()
+    };
+    data.users.push(user);
+    saveUsers(data);
+    return publicUser(user);
+}
+
+function updateUser(username, { password, roles, name, initials }) {
+    const data = loadUsers();
+    const user = data.users.find(u => u.username === String(username || '').toLowerCase());
+    if (!user) throw Object.assign(new Error('User not found'), { status: 404 });
+
+    if (roles !== undefined) user.roles = normalizeRoles(roles);
+    if (name !== undefined) user.name = name;
+    if (initials !== undefined) user.initials = String(initials).toUpperCase();
+    if (password !== undefined) {
+        if (String(password).length < 8) {
+            throw Object.assign(new Error('password must be at least 8 characters'), { status: 400 });
+        }
+        user.passwordHash = hashPassword(String(password));
+        revokeUserSessions(user.username);
+    }
+    user.updatedAt = new Date().toISOString();
+    saveUsers(data);
+    return publicUser(user);
+}
+
+function deleteUser(username) {
+    const data = loadUsers();
+    const idx = data.users.findIndex(u => u.username === String(username || '').toLowerCase());
+    if (idx === -1) throw Object.assign(new Error('User not found'), { status: 404 });
+    const [removed] = data.users.splice(idx, 1);
+    saveUsers(data);
+    revokeUserSessions(removed.username);
+    return publicUser(removed);
+}
+
+// Create the first admin from AUTH_ADMIN_PASSWORD when no users exist yet
+function bootstrapAdmin() {
+    if (loadUsers().users.length > 0) return;
+    const password = process.env.AUTH_ADMIN_PASSWORD;
+    if (!password) {
+        console.warn('⚠️ No users configured - create one with scripts/create-user.js or set AUTH_ADMIN_PASSWORD');
+        return;
+    }
+    createUser({ username: 'admin', password, roles: ['admin'], name: 'Admin' });
+    console.log('👤 Created admin user from AUTH_ADMIN_PASSWORD');
+}
+
+// ============ SESSIONS ============
+
+function login(username, password) {
+    const user = findUser(username);
+    // Hash anyway so unknown users take as long as wrong passwords
+    const ok = user ? verifyPassword(String(password || ''), user.passwordHash) : (hashPassword('x'), false);
+    if (!ok) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions[hashToken(token)] = { username: user.username, expiresAt: Date.now() + SESSION_TTL_MS };
+    pruneSessions();
+    saveSessions();
+    return { token, user: publicUser(user) };
+}
+
+function logout(token) {
+    if (!token) return;
+    delete sessions[hashToken(token)];
+    saveSessions();
+}
+
+function revokeUserSessions(username) {
+    Object.keys(sessions).forEach(key => {
+        if (sessions[key].username === username) delete sessions[key];
+    });
+    saveSessions();
+}
+
+function pruneSessions() {
+    const now = Date.now();
+    Object.keys(sessions).forEach(key => {
+        if (sessions[key].expiresAt < now) delete sessions[key];
+    });
+}
+
+function sessionUser(token) {
+    if (!token) return null;
+    const session = sessions[hashToken(token)];
+    if (!session || session.expiresAt < Date.now()) return null;
+    const user = findUser(session.username);
+    return user ? publicUser(user) : null;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const idx = part.indexOf('=');
+        if (idx === -1) return;
+        try {
+            cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+        } catch (e) {
+            // Malformed escapes in someone else's cookie must not lock the client out
+        }
+    });
+    return cookies;
+}
+
+function sessionToken(req) {
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function setSessionCookie(req, res, token) {
+    const secure = req.secure || process.env.COOKIE_SECURE === 'true' ? '; Secure' : '';
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${SESSION_TTL_MS / 1000}${secure}`);
+}
+
+function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`);
+}
+
+// ============ MIDDLEWARE ============
+
+// Bearer token for machine clients (e.g. the agent that sends Slack notifications)
+function serviceUser(req) {
+    const expected = process.env.AUTH_SERVICE_TOKEN;
+    const header = req.headers.authorization || '';
+    if (!expected || !header.startsWith('Bearer ')) return null;
+    const given = Buffer.from(header.slice(7).trim());
+    const want = Buffer.from(expected);
+    if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) return null;
+    return { username: 'service', name: 'Service', initials: '', roles: ['service'] };
+}
+
+// Attaches req.user when the request carries a valid session or service token
+function authenticate(req, res, next) {
+    req.user = serviceUser(req) || sessionUser(sessionToken(req));
+    next();
+}
+
+function hasRole(user, roles) {
+    if (!user) return false;
+    if (user.roles.includes('admin')) return true;
+    return roles.some(r => user.roles.includes(r));
+}
+
+function requireAuth(req, res, next) {
+    if (!req.user) return res.status(401).json({ error: 'Not logged in' });
+    next();
+}
+
+// Admins always pass; otherwise the user needs at least one of `roles`
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) return res.status(401).json({ error: 'Not logged in' });
+        if (!hasRole(req.user, roles)) {
+            return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    bootstrapAdmin,
+    login,
+    logout,
+    sessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    publicUser,
+    authenticate,
+    hasRole,
+    requireAuth,
+    requireRole
+};
@@ -0,0 +1,137 @@
+/**
+ * Clean Plate
+ * Covers the burned-in text of a video so localized text can be laid over it,
+ * using the text boxes from analysis (lib/text-detection.js, lib/text-tracks.js).
+ * Every region is covered with ffmpeg filters only while its text is on screen:
+ *   box       - filled with the colour of the box behind the text (track.background)
+ *   blur      - heavily blurred (text over footage)
+ *   temporal  - the same region from a moment the text is not on screen (static shots)
+ * 'auto' uses box when the text sat on a flat box and blur otherwise. temporal falls
+ * back to blur when the text never leaves the screen.
+ */
+const path = require('path');
+const media = require('./media-command');
+
+const METHODS = ['auto', 'box', 'blur', 'temporal'];
+// Extra cover around the text box, in text-box heights: a background box reaches
+// further than the letters
+const PADDING = { box: 0.5, blur: 0.3, temporal: 0.3 };
+const MAX_BLUR_RADIUS = 30;
+// Clean reference frame this long before the text appears or after it is gone
+const TEMPORAL_OFFSET = 0.5;
+
+function plateError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Regions to cover from analyzed texts.
+ * @param {object[]} texts - { start, end, track: { bbox, background } } (texts without a box are skipped)
+ * @param {object} options - { lead: seconds to start covering early, trail: seconds to keep covering
+ *   after the end - both e.g. the detection sampling interval }
+ * @returns {object[]} [{ bbox, start, end, background }]
+ */
+function regionsFromTexts(texts, { lead = 0, trail = 0 } = {}) {
+    return texts
+        .filter(t => t.track?.bbox?.width && t.track.bbox.height)
+        .map(t => ({
+            bbox: t.track.bbox,
+            start: Math.max(0, t.start - lead),
+            end: t.end + trail,
+            background: t.track.background || null
+        }));
+}
+
+// Region in video pixels, grown by `pad` box heights and kept inside the frame (even sizes for yuv420p)
+function pixelBox(bbox, pad, width, height) {
+    const even = n => Math.max(2, Math.floor(n / 2) * 2);
+    const grow = (bbox.height / 100) * height * pad;
+    const x = Math.floor(Math.max(0, (bbox.x / 100) * width - grow) / 2) * 2;
+    const y = Math.floor(Math.max(0, (bbox.y / 100) * height - grow) / 2) * 2;
+    return {
+        x,
+        y,
+        w: even(Math.min(width - x, (bbox.width / 100) * width + 2 * grow)),
+        h: even(Math.min(height - y, (bbox.height / 100) * height + 2 * grow))
+    };
+}
+
+// A moment the region shows no text: just before it appears, else just after
+function cleanMoment(region, duration) {
+    if (region.start >= TEMPORAL_OFFSET) return region.start - TEMPORAL_OFFSET;
+    if (duration && region.end + TEMPORAL_OFFSET < duration) return region.end + TEMPORAL_OFFSET;
+    return null;
+}
+
+function resolveMethod(method, region) {
+    if (method === 'auto') return region.background ? 'box' : 'blur';
+    if (method === 'box' && !region.background) return 'blur'; // no colour to match
+    return method;
+}
+
+/**
+ * Render the clean plate.
+ * @param {string} videoPath - the video with burned-in text
+ * @param {object[]} regions - from regionsFromTexts()
+ * @param {string} outPath - mp4 to write
+ * @param {object} options - { method: one of METHODS (default 'auto'), workDir: for reference frames (default next to outPath) }
+ * @returns {Promise<{ path: string, regions: [{ method, start, end, x, y, w, h }] }>}
+ */
+async function build(videoPath, regions, outPath, { method = 'auto', workDir = path.dirname(outPath) } = {}) {
+    if (!METHODS.includes(method)) throw plateError(`cleanPlate must be one of ${METHODS.join(', ')}`, 400);
+    if (!regions.length) throw plateError('No text regions to remove', 400);
+
+    const info = await media.probe(videoPath);
+    const width = info.width || 1080;
+    const height = info.height || 1920;
+
+    const inputs = ['-i', videoPath];
+    const graph = [];
+    const applied = [];
+    let last = '[0:v]';
+
+    for (const [i, region] of regions.entries()) {
+        let kind = resolveMethod(method, region);
+        const moment = kind === 'temporal' ? cleanMoment(region, info.duration) : null;
+        if (kind === 'temporal' && moment === null) kind = 'blur';
+
+        const { x, y, w, h } = pixelBox(region.bbox, PADDING[kind], width, height);
+        const enable = `enable='between(t\\,${region.start.toFixed(2)}\\,${region.end.toFixed(2)})'`;
+        const out = `[cp${i}]`;
+
+        if (kind === 'box') {
+            const color = region.background.replace('#', '0x');
+            graph.push(`${last}drawbox=x=${x}:y=${y}:w=${w}:h=${h}:color=${color}@1:t=fill:${enable}${out}`);
+        } else if (kind === 'blur') {
+            // Chroma planes are half size - the radius has to fit them
+            const radius = Math.max(1, Math.min(MAX_BLUR_RADIUS, Math.floor(Math.min(w, h) / 4) - 1));
+            graph.push(`${last}split[cpm${i}][cps${i}]`);
+            graph.push(`[cps${i}]crop=${w}:${h}:${x}:${y},boxblur=${radius}:3[cpr${i}]`);
+            graph.push(`[cpm${i}][cpr${i}]overlay=${x}:${y}:${enable}${out}`);
+        } else {
+            const still = path.join(workDir, `clean-ref-${i}.png`);
+            await media.ffmpeg(['-ss', moment.toFixed(2), '-i', videoPath, '-frames:v', '1', still]);
+            inputs.push('-loop', '1', '-i', still);
+            const input = inputs.filter(a => a === '-i').length - 1;
+            graph.push(`[${input}:v]crop=${w}:${h}:${x}:${y}[cpt${i}]`);
+            graph.push(`${last}[cpt${i}]overlay=${x}:${y}:shortest=1:${enable}${out}`);
+        }
+        last = out;
+        applied.push({ method: kind, start: region.start, end: region.end, x, y, w, h });
+    }
+
+    await media.ffmpeg([
+        ...inputs,
+        '-filter_complex', graph.join(';'),
+        '-map', last, '-map', '0:a?',
+        '-c:v', 'libx264', '-preset', 'fast', '-crf', '18', '-c:a', 'copy',
+        outPath
+    ]);
+    return { path: outPath, regions: applied };
+}
+
+module.exports = {
+    METHODS,
+    regionsFromTexts,
+    build
+};
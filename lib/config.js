@@ -0,0 +1,174 @@
+/**
+ * Configuration & Secrets
+ * API keys for every integration come from the environment or from a
+ * git-ignored `.env` file in the project root (KEY=value per line, `#` comments).
+ * The environment wins over the file; CONFIG_FILE points at a different file.
+ *
+ * Integrations with missing or malformed keys are disabled. Code that needs one
+ * calls key()/credentials(), which throw a ConfigError naming the variable to set
+ * instead of sending an empty bearer token.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, '..', '.env');
+
+// name -> { label, keys: { VAR: { pattern, default } } }
+// The first key of each integration is its primary credential (returned by key()).
+const INTEGRATIONS = {
+    openai: {
+        label: 'OpenAI',
+        keys: { OPENAI_API_KEY: { pattern: /^sk-/ } }
+    },
+    anthropic: {
+        label: 'Anthropic',
+        keys: { ANTHROPIC_API_KEY: { pattern: /^sk-ant-/ } }
+    },
+    gemini: {
+        label: 'Gemini',
+        keys: { GEMINI_API_KEY: {} }
+    },
+    elevenlabs: {
+        label: 'ElevenLabs',
+        keys: { ELEVENLABS_API_KEY: { pattern: /^(sk_)?[a-f0-9]{32,}$/ } }
+    },
+    slack: {
+        label: 'Slack',
+        keys: { SLACK_TOKEN: { pattern: /^xox[a-z]-/ } }
+    },
+    metakocka: {
+        label: 'Metakocka',
+        keys: {
+            METAKOCKA_SECRET: { pattern: /^[0-9a-f-]{36}$/i },
+            METAKOCKA_COMPANY_ID: { pattern: /^\d+$/, default: '6371' }
+        }
+    },
+    meta: {
+        label: 'Meta Ads',
+        keys: {
+            META_ACCESS_TOKEN: { pattern: /^EA/ },
+            META_AD_ACCOUNT: { pattern: /^act_\d+$/, default: 'act_1922887421998222' }
+        }
+    }
+};
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+        this.status = 503;
+        this.retryable = false;
+    }
+}
+
+function parseEnvFile(file) {
+    const values = {};
+    if (!fs.existsSync(file)) return values;
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+        const m = line.match(/^\s*(?:export\s+)?([A-Z0-9_]+)\s*=\s*(.*?)\s*$/);
+        if (!m) return;
+        values[m[1]] = m[2].replace(/^(['"])(.*)\1$/, '$2');
+    });
+    return values;
+}
+
+let fileValues = {};
+try {
+    fileValues = parseEnvFile(CONFIG_FILE);
+} catch (e) {
+    console.error('Config file load error:', e.message);
+}
+
+function get(name) {
+    if (process.env[name] !== undefined && process.env[name] !== '') return process.env[name];
+    if (fileValues[name] !== undefined && fileValues[name] !== '') return fileValues[name];
+    for (const integration of Object.values(INTEGRATIONS)) {
+        if (integration.keys[name]?.default !== undefined) return integration.keys[name].default;
+    }
+    return '';
+}
+
+// { enabled, missing: [VAR], invalid: [VAR] } - never includes the values
+function checkIntegration(name) {
+    const { keys } = INTEGRATIONS[name];
+    const missing = [];
+    const invalid = [];
+    Object.entries(keys).forEach(([key, spec]) => {
+        const value = get(key);
+        if (!value) missing.push(key);
+        else if (spec.pattern && !spec.pattern.test(value)) invalid.push(key);
+    });
+    return { enabled: missing.length === 0 && invalid.length === 0, missing, invalid };
+}
+
+function isEnabled(name) {
+    return checkIntegration(name).enabled;
+}
+
+/**
+ * All keys of an integration, or a ConfigError explaining what to set.
+ * @returns {object} { VAR: value }
+ */
+function credentials(name) {
+    const integration = INTEGRATIONS[name];
+    if (!integration) throw new ConfigError(`Unknown integration: ${name}`);
+    const { missing, invalid } = checkIntegration(name);
+    if (missing.length || invalid.length) {
+        const problems = [
+            ...(missing.length ? [`missing ${missing.join(', ')}`] : []),
+            ...(invalid.length ? [`malformed ${invalid.join(', ')}`] : [])
+        ];
+        throw new ConfigError(`${integration.label} is not configured (${problems.join('; ')}). Set it in the environment or in ${path.basename(CONFIG_FILE)}.`);
+    }
+    return Object.fromEntries(Object.keys(integration.keys).map(key => [key, get(key)]));
+}
+
+// Primary credential of an integration (e.g. the API key)
+function key(name) {
+    const values = credentials(name);
+    return values[Object.keys(INTEGRATIONS[name].keys)[0]];
+}
+
+// Express middleware: 503 with the ConfigError message when an integration is off
+function requireIntegration(...names) {
+    return (req, res, next) => {
+        try {
+            names.forEach(credentials);
+        } catch (e) {
+            return res.status(e.status).json({ error: e.message });
+        }
+        next();
+    };
+}
+
+function status() {
+    const integrations = {};
+    Object.entries(INTEGRATIONS).forEach(([name, { label }]) => {
+        integrations[name] = { label, ...checkIntegration(name) };
+    });
+    return {
+        configFile: fs.existsSync(CONFIG_FILE) ? path.basename(CONFIG_FILE) : null,
+        integrations
+    };
+}
+
+// One line per integration at startup; malformed keys are worth a warning
+function logStatus() {
+    Object.entries(status().integrations).forEach(([name, s]) => {
+        if (s.enabled) console.log(`🔑 ${s.label}: enabled`);
+        else if (s.invalid.length) console.warn(`⚠️ ${s.label}: disabled - malformed ${s.invalid.join(', ')}`);
+        else console.log(`⏸️ ${s.label}: disabled - missing ${s.missing.join(', ')}`);
+    });
+}
+
+module.exports = {
+    INTEGRATIONS,
+    ConfigError,
+    get,
+    isEnabled,
+    credentials,
+    key,
+    requireIntegration,
+    status,
+    logStatus
+};
@@ -0,0 +1,87 @@
+/**
+ * Frame Sampling
+ * Which frames of a video text detection reads, over its whole length: dense around
+ * scene cuts (captions usually change with the shot) and sparse in static stretches.
+ * The video is decoded once onto a fixed grid (GRID_INTERVAL); the sampled frames are
+ * kept and the rest deleted. Frames are then read CONCURRENCY at a time, so a long
+ * video costs a few rounds of detection calls instead of one call after another.
+ *
+ * ANALYSIS_CONCURRENCY  frames read at once (default 4)
+ */
+const fs = require('fs');
+const path = require('path');
+const media = require('./media-command');
+
+const GRID_INTERVAL = 0.5;  // seconds between extracted frames
+const SPARSE_INTERVAL = 2;  // seconds between samples away from cuts
+const CUT_BEFORE = 0.5;     // dense sampling this long before a cut ...
+const CUT_AFTER = 1.5;      // ... and this long after it
+const MAX_FRAMES = 240;
+const CONCURRENCY = Math.max(1, parseInt(process.env.ANALYSIS_CONCURRENCY) || 4);
+
+/**
+ * Indexes of grid frames to read.
+ * @param {number} count - frames on the grid
+ * @param {number[]} cuts - scene cut times in seconds
+ * @returns {number[]} ascending; always includes the first and last frame
+ */
+function pickFrames(count, cuts = [], sparse = SPARSE_INTERVAL) {
+    if (!count) return [];
+    const step = Math.max(1, Math.round(sparse / GRID_INTERVAL));
+    const picked = new Set([0, count - 1]);
+    for (let i = 0; i < count; i += step) picked.add(i);
+    cuts.forEach(cut => {
+        const from = Math.max(0, Math.floor((cut - CUT_BEFORE) / GRID_INTERVAL));
+        const to = Math.min(count - 1, Math.ceil((cut + CUT_AFTER) / GRID_INTERVAL));
+        for (let i = from; i <= to; i++) picked.add(i);
+    });
+    const sorted = Array.from(picked).sort((a, b) => a - b);
+    if (sorted.length <= MAX_FRAMES) return sorted;
+
+    // Long video with many cuts: sample static stretches more sparsely first, then thin out evenly
+    if (step < count / 2) return pickFrames(count, cuts, sparse * 1.5);
+    const every = Math.ceil(sorted.length / MAX_FRAMES);
+    // Every `every`-th frame, then the last one (instead of a kept frame right before it)
+    return sorted.filter((_, i) => (i % every === 0 && i + every < sorted.length) || i === sorted.length - 1);
+}
+
+/**
+ * Extract the sampled frames of a whole video into `dir`.
+ * @param {string} videoPath
+ * @param {string} dir - existing folder for the jpgs
+ * @param {object} options - { cuts: scene cut times (seconds), quality: ffmpeg -q:v (default 2) }
+ * @returns {Promise<Array<{ file: string, path: string, time: number }>>} in time order;
+ *   the last one is the last frame of the video
+ */
+async function extract(videoPath, dir, { cuts = [], quality = 2 } = {}) {
+    await media.ffmpeg(['-i', videoPath, '-vf', `fps=${1 / GRID_INTERVAL}`, '-q:v', String(quality), path.join(dir, 'frame-%05d.jpg')]);
+    const grid = fs.readdirSync(dir).filter(f => /^frame-\d+\.jpg$/.test(f)).sort();
+    const picked = new Set(pickFrames(grid.length, cuts));
+    grid.forEach((file, i) => {
+        if (!picked.has(i)) fs.rmSync(path.join(dir, file), { force: true });
+    });
+    return grid
+        .map((file, i) => ({ file, path: path.join(dir, file), time: i * GRID_INTERVAL }))
+        .filter((_, i) => picked.has(i));
+}
+
+/**
+ * Run `fn` over items at most CONCURRENCY at a time; results keep the item order.
+ * The first failure rejects and no further chunk starts.
+ */
+async function mapChunked(items, fn, { concurrency = CONCURRENCY } = {}) {
+    const results = [];
+    for (let start = 0; start < items.length; start += concurrency) {
+        const chunk = items.slice(start, start + concurrency);
+        results.push(...await Promise.all(chunk.map((item, i) => fn(item, start + i))));
+    }
+    return results;
+}
+
+module.exports = {
+    GRID_INTERVAL,
+    SPARSE_INTERVAL,
+    pickFrames,
+    extract,
+    mapChunked
+};
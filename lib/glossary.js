@@ -0,0 +1,236 @@
+/**
+ * Brand Glossary / Termbase
+ * Per-language term rules injected into every translation prompt and
+ * checked against every translation that comes back.
+ *
+ * Entry types:
+ *   required  - when `source` appears in the source text, `term` must appear in the translation
+ *   forbidden - `term` must never appear in the translation (optional `replacement` suggestion)
+ *   keep      - do-not-translate token, must survive unchanged (e.g. NORIKS)
+ *   note      - free-form instruction for the prompt only, not checked
+ *
+ * `lang` is a language code (HR, CZ, ...) or '*' for all languages.
+ * Terms ending in '*' match any word ending ("košulj*" matches "košulja", "košulju").
+ */
+const fs = require('fs');
+const path = require('path');
+
+const GLOSSARY_FILE = path.join(__dirname, '..', 'data', 'glossary.json');
+
+const ENTRY_TYPES = ['required', 'forbidden', 'keep', 'note'];
+
+// Seeded from the rules that used to be copy-pasted into every system prompt
+const DEFAULT_ENTRIES = [
+    { lang: '*', type: 'keep', term: 'NORIKS' },
+    { lang: 'HR', type: 'required', source: 'majic*', term: 'majic*' },
+    { lang: 'CZ', type: 'required', source: 'majic*', term: 'trič*' },
+    { lang: 'PL', type: 'required', source: 'majic*', term: 'koszulk*' },
+    { lang: 'GR', type: 'required', source: 'majic*', term: 'μπλούζ*' },
+    { lang: 'IT', type: 'required', source: 'majic*', term: 'magliett*' },
+    { lang: 'HU', type: 'required', source: 'majic*', term: 'póló*' },
+    { lang: 'SK', type: 'required', source: 'majic*', term: 'trič*' },
+    { lang: 'BG', type: 'required', source: 'majic*', term: 'тениск*' },
+    { lang: 'RO', type: 'required', source: 'majic*', term: 'tricou*' },
+    { lang: 'HR', type: 'forbidden', term: 'košulj*', replacement: 'majica' },
+    { lang: 'CZ', type: 'forbidden', term: 'košil*', replacement: 'tričko' },
+    { lang: 'PL', type: 'forbidden', term: 'koszula', replacement: 'koszulka' },
+    { lang: 'IT', type: 'forbidden', term: 'camici*', replacement: 'maglietta' },
+    { lang: 'HU', type: 'forbidden', term: 'ing', replacement: 'póló' },
+    { lang: 'SK', type: 'forbidden', term: 'košeľ*', replacement: 'tričko' },
+    { lang: 'BG', type: 'forbidden', term: 'риза', replacement: 'тениска' },
+    { lang: 'RO', type: 'forbidden', term: 'cămaș*', replacement: 'tricou' },
+    { lang: '*', type: 'note', term: 'NORIKS sells casual round-neck T-SHIRTS and BOXER SHORTS. A t-shirt is NEVER a dress shirt/formal shirt.' },
+    { lang: 'SK', type: 'note', term: 'SK = SLOVAK (slovenčina/slovenský jazyk, spoken in SLOVAKIA). This is NOT Slovenian (slovenščina, spoken in Slovenia) - these are DIFFERENT languages. Translate INTO Slovak; never copy the Slovenian source as the Slovak text.' }
+].map((e, i) => ({ id: `default-${i}`, ...e }));
+
+function loadGlossary() {
+    try {
+        if (fs.existsSync(GLOSSARY_FILE)) {
+            return JSON.parse(fs.readFileSync(GLOSSARY_FILE, 'utf8'));
+        }
+    } catch (e) {
+        console.error('Glossary load error:', e);
+    }
+    return { entries: DEFAULT_ENTRIES.map(e => ({ ...e })) };
+}
+
+function saveGlossary(glossary) {
+    fs.mkdirSync(path.dirname(GLOSSARY_FILE), { recursive: true });
+    fs.writeFileSync(GLOSSARY_FILE, JSON.stringify(glossary, null, 2));
+}
+
+// Entries that apply to a language ('*' entries apply everywhere)
+function entriesFor(lang, glossary = loadGlossary()) {
+    return glossary.entries.filter(e => e.lang === '*' || e.lang === lang);
+}
+
+// ============ CRUD ============
+
+function listEntries(lang) {
+    const { entries } = loadGlossary();
+    return lang ? entries.filter(e => e.lang === lang || e.lang === '*') : entries;
+}
+
+function validateEntry(entry) {
+    if (!ENTRY_TYPES.includes(entry.type)) return `type must be one of ${ENTRY_TYPES.join(', ')}`;
+    if (!entry.lang) return 'lang is required';
+    if (!entry.term?.trim()) return 'term is required';
+    if (entry.type === 'required' && !entry.source?.trim()) return 'source is required for required entries';
+    return null;
+}
+
+function pickEntryFields(body) {
+    const entry = {};
+    ['lang', 'type', 'source', 'term', 'replacement', 'note'].forEach(k => {
+        if (body[k] !== undefined) entry[k] = typeof body[k] === 'string' ? body[k].trim() : body[k];
+    });
+    if (entry.lang && entry.lang !== '*') entry.lang = entry.lang.toUpperCase();
+    return entry;
+}
+
+function addEntry(body) {
+    const entry = { id: `term-${Date.now()}`, ...pickEntryFields(body), created: new Date().toISOString() };
+    const error = validateEntry(entry);
+    if (error) throw Object.assign(new Error(error), { status: 400 });
+
+    const glossary = loadGlossary();
+    glossary.entries.push(entry);
+    saveGlossary(glossary);
+    return entry;
+}
+
+function updateEntry(id, body) {
+    const glossary = loadGlossary();
+    const entry = glossary.entries.find(e => e.id === id);
+    if (!entry) return null;
+
+    const updated = { ...entry, ...pickEntryFields(body), updated: new Date().toISOString() };
+    const error = validateEntry(updated);
+    if (error) throw Object.assign(new Error(error), { status: 400 });
+
+    Object.assign(entry, updated);
+    saveGlossary(glossary);
+    return entry;
+}
+
+function deleteEntry(id) {
+    const glossary = loadGlossary();
+    const index = glossary.entries.findIndex(e => e.id === id);
+    if (index === -1) return false;
+    glossary.entries.splice(index, 1);
+    saveGlossary(glossary);
+    return true;
+}
+
+// ============ PROMPT INJECTION ============
+
+/**
+ * Build the glossary block appended to translation system prompts.
+ * @param {string[]} langs - Target language codes
+ * @returns {string} Empty string when nothing applies
+ */
+function buildPromptRules(langs) {
+    const glossary = loadGlossary();
+    const lines = [];
+
+    const global = glossary.entries.filter(e => e.lang === '*');
+    global.filter(e => e.type === 'note').forEach(e => lines.push(`- ${e.term}`));
+    const keep = global.filter(e => e.type === 'keep').map(e => `"${e.term}"`);
+    if (keep.length) lines.push(`- Keep unchanged (do not translate): ${keep.join(', ')}`);
+
+    langs.forEach(lang => {
+        const own = glossary.entries.filter(e => e.lang === lang);
+        if (!own.length) return;
+        const parts = [];
+        const required = own.filter(e => e.type === 'required').map(e => `"${e.source}" → "${e.term}"`);
+        const forbidden = own.filter(e => e.type === 'forbidden').map(e => `"${e.term}"`);
+        const ownKeep = own.filter(e => e.type === 'keep').map(e => `"${e.term}"`);
+        if (required.length) parts.push(`use ${required.join(', ')}`);
+        if (forbidden.length) parts.push(`NEVER use ${forbidden.join(', ')}`);
+        if (ownKeep.length) parts.push(`keep unchanged ${ownKeep.join(', ')}`);
+        if (parts.length) lines.push(`- ${lang}: ${parts.join('; ')}`);
+        own.filter(e => e.type === 'note').forEach(e => lines.push(`- ${lang}: ${e.term}`));
+    });
+
+    if (!lines.length) return '';
+    return `\n\nGLOSSARY (mandatory, * = any word ending):\n${lines.join('\n')}`;
+}
+
+// ============ CHECKING ============
+
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word match; a trailing '*' allows any word ending
+function termRegex(term, caseSensitive = false) {
+    const prefix = term.endsWith('*');
+    const body = escapeRegex(prefix ? term.slice(0, -1) : term);
+    const end = prefix ? '' : '(?![\\p{L}\\p{N}])';
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}${end}`, caseSensitive ? 'u' : 'iu');
+}
+
+/**
+ * Check one translation against the glossary.
+ * Issues use the same shape as qualityCheckVideo issues.
+ *
+ * @param {string} source - Source (Slovenian) text
+ * @param {string} translated - Translated text
+ * @param {string} lang - Target language code
+ * @returns {object[]} issues
+ */
+function checkTranslation(source, translated, lang, glossary = loadGlossary()) {
+    const issues = [];
+    const src = source || '';
+    const out = translated || '';
+
+    entriesFor(lang, glossary).forEach(e => {
+        if (e.type === 'keep' && termRegex(e.term, true).test(src) && !termRegex(e.term, true).test(out)) {
+            issues.push({
+                type: 'glossary',
+                text: out,
+                verdict: 'BAD',
+                suggestion: null,
+                reason: `"${e.term}" must stay unchanged`
+            });
+        } else if (e.type === 'forbidden' && termRegex(e.term).test(out)) {
+            issues.push({
+                type: 'glossary',
+                text: out,
+                verdict: 'BAD',
+                suggestion: e.replacement || null,
+                reason: `Forbidden term "${e.term}"${e.replacement ? ` (use "${e.replacement}")` : ''}`
+            });
+        } else if (e.type === 'required' && termRegex(e.source).test(src) && !termRegex(e.term).test(out)) {
+            issues.push({
+                type: 'glossary',
+                text: out,
+                verdict: 'AWKWARD',
+                suggestion: null,
+                reason: `"${e.source}" should be translated as "${e.term}"`
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Check a list of translations for one language.
+ * @returns {object[]} issues for all texts
+ */
+function checkTranslations(sources, translated, lang) {
+    const glossary = loadGlossary();
+    return sources.flatMap((src, i) => checkTranslation(src, translated[i], lang, glossary));
+}
+
+module.exports = {
+    listEntries,
+    addEntry,
+    updateEntry,
+    deleteEntry,
+    buildPromptRules,
+    checkTranslation,
+    checkTranslations,
+    ENTRY_TYPES
+};
@@ -0,0 +1,98 @@
+/**
+ * Image Proxy
+ * Fetches remote images for the browser (CORS) - only over https, only from
+ * allowlisted hosts, only real raster images and only up to a size cap.
+ * Redirects are followed by hand so every hop is checked against the allowlist.
+ *
+ * IMAGE_PROXY_HOSTS: comma-separated hosts; `*.example.com` also matches subdomains.
+ * IMAGE_PROXY_MAX_BYTES: size cap (default 10 MB).
+ */
+const config = require('./config');
+
+const DEFAULT_HOSTS = 'noriks.com,*.noriks.com,*.fbcdn.net,*.cdninstagram.com,cdn.shopify.com';
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const TIMEOUT_MS = 15000;
+
+// SVG can carry scripts and would be served from our origin - raster formats only
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+
+function proxyError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+function allowedHosts() {
+    return (config.get('IMAGE_PROXY_HOSTS') || DEFAULT_HOSTS)
+        .split(',')
+        .map(h => h.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function isAllowedHost(hostname) {
+    const host = hostname.toLowerCase();
+    return allowedHosts().some(pattern => pattern.startsWith('*.')
+        ? host.endsWith(pattern.slice(1))
+        : host === pattern);
+}
+
+function checkUrl(rawUrl) {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch (e) {
+        throw proxyError('Invalid url', 400);
+    }
+    if (url.protocol !== 'https:') throw proxyError('Only https images can be proxied', 400);
+    if (!isAllowedHost(url.hostname)) throw proxyError(`Host not allowed: ${url.hostname}`, 403);
+    return url;
+}
+
+// Read the body, aborting as soon as it grows past the cap
+async function readLimited(response, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxBytes) throw proxyError(`Image larger than ${maxBytes} bytes`, 413);
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * @returns {Promise<{ buffer: Buffer, contentType: string }>}
+ * Errors carry an HTTP status (400 bad url, 403 host, 413 size, 415 type, 502 upstream).
+ */
+async function fetchImage(rawUrl) {
+    const maxBytes = parseInt(config.get('IMAGE_PROXY_MAX_BYTES')) || DEFAULT_MAX_BYTES;
+    let url = checkUrl(rawUrl);
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        let response;
+        try {
+            response = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(TIMEOUT_MS) });
+        } catch (e) {
+            throw proxyError(`Fetch failed: ${e.message}`, 502);
+        }
+
+        if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+            url = checkUrl(new URL(response.headers.get('location'), url).toString());
+            continue;
+        }
+        if (!response.ok) throw proxyError(`Upstream returned ${response.status}`, 502);
+
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (!ALLOWED_TYPES.includes(contentType)) {
+            throw proxyError(`Not an image: ${contentType || 'unknown content type'}`, 415);
+        }
+        const declared = parseInt(response.headers.get('content-length'));
+        if (declared > maxBytes) throw proxyError(`Image larger than ${maxBytes} bytes`, 413);
+
+        return { buffer: await readLimited(response, maxBytes), contentType };
+    }
+    throw proxyError('Too many redirects', 502);
+}
+
+module.exports = {
+    fetchImage
+};
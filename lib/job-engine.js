@@ -0,0 +1,348 @@
+/**
+ * Job Engine
+ * Every long-running job goes through here: v1 localize, localizer generate
+ * (subtitles and voiceover, started live or from the night queue), previews and
+ * voice-over previews. The engine owns job state, persistence (data/jobs.json,
+ * JOBS_FILE points at a different file), status transitions, cancellation and
+ * progress events; routes create jobs, hand a worker to start()/run() and read
+ * state back.
+ *
+ * Statuses:
+ *   queued → analyzing → translating → awaiting_review → generating → done
+ *   any active status → error | cancelled
+ *   running status → interrupted (server stopped mid-run) → queued again on resume()
+ * Types skip the steps they don't have (a preview goes queued → generating → done).
+ * Jobs with a `queue` field (night queue) wait in 'queued' until their scheduler starts them.
+ *
+ * Events (events):
+ *   'created'  (job)
+ *   'status'   (job, previousStatus)
+ *   'progress' (job)   - any other change: languages done, outputs, review edits
+ *   'lang'     (job, lang, status) - a language finished, failed or was cancelled
+ *   'qc'       (job, lang, qc)     - quality check results of a language are new or changed
+ *   'removed'  (job)
+ */
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const renderPool = require('./render-pool');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const JOBS_FILE = process.env.JOBS_FILE || path.join(DATA_DIR, 'jobs.json');
+// Stores from before the engine - imported once while jobs.json does not exist
+const LEGACY_JOBS_FILE = path.join(DATA_DIR, 'localizer-jobs.json');
+const LEGACY_QUEUE_FILE = path.join(__dirname, '..', 'queue.json');
+
+// type -> { prefix: ID prefix, keep: finished jobs kept per type (oldest dropped) }
+const TYPES = {
+    localize: { prefix: 'job' },
+    generate: { prefix: 'gen' },
+    preview: { prefix: 'preview', keep: 20 },
+    'vo-preview': { prefix: 'vo-preview', keep: 20 }
+};
+
+const TRANSITIONS = {
+    queued: ['analyzing', 'translating', 'generating', 'error', 'cancelled', 'interrupted'],
+    analyzing: ['translating', 'generating', 'done', 'error', 'cancelled', 'interrupted'],
+    translating: ['awaiting_review', 'generating', 'done', 'error', 'cancelled', 'interrupted'],
+    awaiting_review: ['generating', 'error', 'cancelled'],
+    generating: ['done', 'error', 'cancelled', 'interrupted'],
+    interrupted: ['queued', 'error', 'cancelled'],
+    done: [],
+    error: [],
+    cancelled: []
+};
+const ACTIVE_STATUSES = ['queued', 'analyzing', 'translating', 'awaiting_review', 'generating'];
+const FINISHED_LANG_STATUSES = ['done', 'error', 'cancelled'];
+
+const events = new EventEmitter();
+const jobs = new Map();
+const running = new Set(); // IDs of jobs with a worker in flight
+const announced = new Map(); // jobId -> { langs: { HR: status }, qc: { HR: signature } }
+
+function jobError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+// ============ PERSISTENCE ============
+
+function readJson(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// localizer-jobs.json holds generate jobs; queue.json entries become queued generate jobs
+function importLegacy() {
+    const imported = readJson(LEGACY_JOBS_FILE, []).map(job => ({ type: 'generate', ...job }));
+    const known = new Set(imported.map(j => j.id));
+    const QUEUE_STATUS = { pending: 'queued', processing: 'interrupted', done: 'done' };
+
+    readJson(LEGACY_QUEUE_FILE, [])
+        .filter(item => !known.has(item.id))
+        .forEach(item => imported.push({
+            ...item,
+            type: 'generate',
+            queue: 'night',
+            source: item.mode || 'library', // the old queue used `mode` for library/localize
+            mode: 'subtitles',
+            status: QUEUE_STATUS[item.status] || 'error',
+            ...(item.status === 'processing' && { interruptedStatus: 'generating' }),
+            completed: 0,
+            outputs: {}
+        }));
+
+    if (imported.length) console.log(`Imported ${imported.length} jobs from the old job stores`);
+    return imported;
+}
+
+function loadJobs() {
+    try {
+        return fs.existsSync(JOBS_FILE) ? readJson(JOBS_FILE, []) : importLegacy();
+    } catch (e) {
+        console.error('Error loading jobs:', e);
+    }
+    return [];
+}
+
+function persist() {
+    try {
+        fs.mkdirSync(path.dirname(JOBS_FILE), { recursive: true });
+        fs.writeFileSync(JOBS_FILE, JSON.stringify(Array.from(jobs.values()), null, 2));
+    } catch (e) {
+        console.error('Error saving jobs:', e);
+    }
+}
+
+loadJobs().forEach(job => jobs.set(job.id, job));
+console.log(`Loaded ${jobs.size} jobs from disk`);
+// Languages finished before a restart are not announced again
+jobs.forEach(job => announceChanges(job, { silent: true }));
+
+// ============ QUERIES ============
+
+function isActive(job) {
+    return ACTIVE_STATUSES.includes(job.status);
+}
+
+function isRunning(job) {
+    return running.has(job.id);
+}
+
+// Job by ID; with `type`, jobs of other types are not found
+function get(id, type) {
+    const job = jobs.get(id);
+    return job && (!type || job.type === type) ? job : null;
+}
+
+// Newest first; filter by { type, status }
+function list({ type, status } = {}) {
+    return Array.from(jobs.values())
+        .filter(j => (!type || j.type === type) && (!status || j.status === status))
+        .sort((a, b) => new Date(b.created) - new Date(a.created));
+}
+
+// ============ STATE CHANGES ============
+
+// Emit 'lang' and 'qc' for languages and QC results that changed since the last save
+function announceChanges(job, { silent = false } = {}) {
+    if (!announced.has(job.id)) announced.set(job.id, { langs: {}, qc: {} });
+    const state = announced.get(job.id);
+
+    Object.entries(job.langStatus || {}).forEach(([lang, status]) => {
+        if (state.langs[lang] === status) return;
+        state.langs[lang] = status;
+        if (!silent && FINISHED_LANG_STATUSES.includes(status)) events.emit('lang', job, lang, status);
+    });
+
+    Object.entries(job.qualityChecks || {}).forEach(([lang, qc]) => {
+        const signature = JSON.stringify(qc);
+        if (state.qc[lang] === signature) return;
+        state.qc[lang] = signature;
+        if (!silent) events.emit('qc', job, lang, qc);
+    });
+}
+
+function prune(type) {
+    const keep = TYPES[type].keep;
+    if (!keep) return;
+    list({ type }).filter(j => !isActive(j)).slice(keep).forEach(j => {
+        jobs.delete(j.id);
+        announced.delete(j.id);
+    });
+}
+
+/**
+ * Register a new job in status 'queued'.
+ * @param {string} type - key of TYPES
+ * @param {object} fields - job data; `id` defaults to `<prefix>-<timestamp>`, `name` to the ID
+ */
+function create(type, fields = {}) {
+    if (!TYPES[type]) throw jobError(`Unknown job type: ${type}`, 400);
+    const base = fields.id || `${TYPES[type].prefix}-${Date.now()}`;
+    let id = base;
+    for (let n = 2; jobs.has(id); n++) id = `${base}-${n}`;
+
+    const job = {
+        completed: 0,
+        outputs: {},
+        created: new Date().toISOString(),
+        ...fields,
+        id,
+        type,
+        name: fields.name || id,
+        status: 'queued'
+    };
+    jobs.set(id, job);
+    prune(type);
+    persist();
+    events.emit('created', job);
+    return job;
+}
+
+/**
+ * Move a job to another status (see TRANSITIONS) and apply `fields` with it.
+ * Moving to the status it already has only applies the fields.
+ */
+function transition(job, status, fields = {}) {
+    const from = job.status;
+    if (from !== status && !(TRANSITIONS[from] || []).includes(status)) {
+        throw jobError(`Job ${job.id} cannot go from ${from} to ${status}`, 409);
+    }
+    Object.assign(job, fields, { status, updatedAt: new Date().toISOString() });
+    if (status === 'done') job.completedAt = job.updatedAt;
+    persist();
+    if (from !== status) events.emit('status', job, from);
+    announceChanges(job);
+    return job;
+}
+
+// Save changes made to a job (counters, outputs, edits) and announce them
+function update(job, fields = {}) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    persist();
+    events.emit('progress', job);
+    announceChanges(job);
+    return job;
+}
+
+// Final status after a worker stops - unless cancel() already settled the job
+function settle(job, status, fields) {
+    if (isActive(job)) transition(job, status, fields);
+}
+
+/**
+ * Run a worker for a job. When it returns the job is 'done' (unless it stopped
+ * at 'awaiting_review'); when it throws the job is 'error'; after cancel() it is
+ * 'cancelled'. Media commands started by the worker are attributed to the job,
+ * so cancel() kills them.
+ * @param {Function} worker - async (job) => result
+ * @returns {Promise} the worker's result; rejects with its error
+ */
+async function run(job, worker) {
+    if (running.has(job.id)) throw jobError(`Job ${job.id} is already running`, 409);
+    running.add(job.id);
+    try {
+        const result = await renderPool.withJob(job.id, () => worker(job));
+        if (job.cancelled) settle(job, 'cancelled');
+        else if (job.status !== 'awaiting_review') settle(job, 'done', { currentLang: '' });
+        return result;
+    } catch (e) {
+        if (e.cancelled || job.cancelled) {
+            console.log(`[${job.id}] Cancelled`);
+            settle(job, 'cancelled', { currentLang: '' });
+        } else {
+            console.error(`[${job.id}] Error:`, e);
+            settle(job, 'error', { error: e.message, currentLang: '' });
+        }
+        throw e;
+    } finally {
+        running.delete(job.id);
+    }
+}
+
+// run() in the background; the outcome is recorded on the job
+function start(job, worker) {
+    run(job, worker).catch(() => {});
+    return job;
+}
+
+/**
+ * Cancel a job. A running worker sees job.cancelled and its media processes are
+ * killed; a job without a worker (queued, awaiting review, interrupted) is cancelled at once.
+ * @returns {number} processes killed
+ */
+function cancel(job) {
+    if (!isActive(job) && job.status !== 'interrupted') throw jobError('Job is not in progress', 400);
+    job.cancelled = true;
+    const killed = renderPool.cancelJob(job.id);
+    if (running.has(job.id)) update(job);
+    else transition(job, 'cancelled');
+    return killed;
+}
+
+// ============ RECOVERY ============
+
+/**
+ * Called once at startup: jobs left in a running status have no worker any more.
+ * They become 'interrupted' (interruptedStatus says where they stopped,
+ * lastProgressAt when), or 'cancelled' when a cancel was already requested.
+ * @returns {object[]} the interrupted jobs
+ */
+function interruptOrphans() {
+    const orphans = list().filter(j => isActive(j) && !running.has(j.id)
+        && j.status !== 'awaiting_review' && !(j.status === 'queued' && j.queue));
+    const interrupted = [];
+    orphans.forEach(job => {
+        if (job.cancelled) {
+            transition(job, 'cancelled', { currentLang: '' });
+            return;
+        }
+        transition(job, 'interrupted', {
+            interruptedStatus: job.status,
+            lastProgressAt: job.updatedAt || job.created,
+            interruptedAt: new Date().toISOString(),
+            currentLang: ''
+        });
+        interrupted.push(job);
+    });
+    return interrupted;
+}
+
+// Start an interrupted job again; the worker picks up from what the job has saved
+function resume(job, worker) {
+    if (job.status !== 'interrupted') throw jobError('Only interrupted jobs can be resumed', 400);
+    transition(job, 'queued', { resumedAt: new Date().toISOString() });
+    console.log(`[${job.id}] Resuming (stopped while ${job.interruptedStatus || 'running'})`);
+    return start(job, worker);
+}
+
+// Forget a job, cancelling it first when still active. Its files are the caller's business.
+function remove(job) {
+    if (isActive(job)) {
+        job.cancelled = true;
+        renderPool.cancelJob(job.id);
+    }
+    jobs.delete(job.id);
+    announced.delete(job.id);
+    persist();
+    events.emit('removed', job);
+}
+
+module.exports = {
+    TYPES,
+    ACTIVE_STATUSES,
+    events,
+    isActive,
+    isRunning,
+    get,
+    list,
+    create,
+    transition,
+    update,
+    run,
+    start,
+    cancel,
+    interruptOrphans,
+    resume,
+    remove
+};
@@ -0,0 +1,121 @@
+/**
+ * Job Event Stream
+ * Server-Sent Events for the dashboards, so they no longer have to poll: one
+ * stream per job and one for all jobs (optionally filtered by type). Fed by the
+ * job engine's events and by ffmpeg progress from lib/media-command.js.
+ *
+ * Events (`event: <name>`, `data: <JSON>`):
+ *   snapshot { jobs: [job] }                  - once, right after connecting
+ *   created  { job }
+ *   status   { job, from }                    - status changed (done, error, cancelled ...)
+ *   progress { job }                          - currentLang, completed and other saved changes
+ *   lang     { jobId, lang, status, error }   - a language finished, failed or was cancelled
+ *   qc       { jobId, lang, qc }              - quality check results of a language
+ *   ffmpeg   { jobId, lang, percent }         - encode progress of a running ffmpeg command
+ *   failed   { jobId, error }                 - the job ended in error
+ *   removed  { jobId }
+ * `job` is the summary from view(). A comment line every 25 s keeps proxies
+ * from closing idle streams.
+ */
+const jobEngine = require('./job-engine');
+const media = require('./media-command');
+
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set(); // { res, jobId, types }
+
+// What dashboards need of a job - outputs, texts and translations stay behind the REST API
+function view(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        name: job.name,
+        status: job.status,
+        mode: job.mode,
+        queue: job.queue,
+        countries: job.countries,
+        currentLang: job.currentLang || '',
+        completed: job.completed || 0,
+        progress: job.progress,
+        langStatus: job.langStatus,
+        langErrors: job.langErrors,
+        error: job.error,
+        rerendering: job.rerendering,
+        rerenderError: job.rerenderError,
+        created: job.created,
+        updatedAt: job.updatedAt
+    };
+}
+
+function write(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(event, data, job) {
+    clients.forEach(client => {
+        if (client.jobId && client.jobId !== job.id) return;
+        if (client.types && !client.types.includes(job.type)) return;
+        write(client, event, data);
+    });
+}
+
+jobEngine.events.on('created', (job) => {
+    broadcast('created', { job: view(job) }, job);
+});
+
+jobEngine.events.on('status', (job, from) => {
+    broadcast('status', { job: view(job), from }, job);
+    if (job.status === 'error') broadcast('failed', { jobId: job.id, error: job.error }, job);
+});
+
+jobEngine.events.on('progress', (job) => {
+    broadcast('progress', { job: view(job) }, job);
+});
+
+jobEngine.events.on('lang', (job, lang, status) => {
+    broadcast('lang', { jobId: job.id, lang, status, error: job.langErrors?.[lang] }, job);
+});
+
+jobEngine.events.on('qc', (job, lang, qc) => {
+    broadcast('qc', { jobId: job.id, lang, qc }, job);
+});
+
+jobEngine.events.on('removed', (job) => {
+    broadcast('removed', { jobId: job.id }, job);
+});
+
+// Render-pool labels are the language, e.g. 'HR' or 'HR (re-render)'
+media.events.on('progress', ({ jobId, label, percent }) => {
+    const job = jobEngine.get(jobId);
+    if (job) broadcast('ffmpeg', { jobId, lang: (label || job.currentLang || '').split(' ')[0], percent }, job);
+});
+
+/**
+ * Turn a request into an event stream until the client disconnects.
+ * @param {object} options - { jobId: only this job, types: only these job types }
+ */
+function subscribe(req, res, { jobId = null, types = null } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx would otherwise hold events back
+    });
+
+    const client = { res, jobId, types };
+    clients.add(client);
+
+    const jobs = jobId ? [jobEngine.get(jobId)].filter(Boolean) : jobEngine.list();
+    write(client, 'snapshot', { jobs: jobs.filter(j => !types || types.includes(j.type)).map(view) });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+    });
+}
+
+module.exports = {
+    view,
+    subscribe
+};
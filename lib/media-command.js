@@ -0,0 +1,219 @@
+/**
+ * Media Commands
+ * Runs ffmpeg and ImageMagick with argument arrays (no shell), so file names and
+ * marketing copy are never interpreted as shell syntax. Text that ends up in a
+ * command (overlay captions) is written to a file and referenced by path.
+ *
+ * ImageMagick reads that file through an @path (label:@file, caption:@file). Many
+ * distributions ship a policy.xml that blocks it:
+ *   <policy domain="path" rights="none" pattern="@*"/>
+ * Remove that line (or set rights="read") in /etc/ImageMagick-6/policy.xml
+ * (ImageMagick-7 on newer systems); until then convert() fails with ImageMagickPolicyError.
+ *
+ * Processes started inside a render-pool task are registered with its job, so
+ * cancelling the job kills them (MediaCancelledError).
+ *
+ * ffmpeg runs for a job report how far they are: `events` emits
+ * 'progress' ({ jobId, label, percent, output }) as the encode advances.
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const renderPool = require('./render-pool');
+
+const FFMPEG = process.env.FFMPEG_PATH || '/usr/local/bin/ffmpeg';
+const CONVERT = process.env.CONVERT_PATH || 'convert';
+const FONTS_DIR = '/usr/share/fonts';
+
+// Keep the tail of stderr only - ffmpeg can be very chatty
+const MAX_STDERR = 64 * 1024;
+// At most one progress event per process in this interval (plus 100%)
+const PROGRESS_INTERVAL_MS = 500;
+
+const events = new EventEmitter();
+
+class MediaCommandError extends Error {
+    constructor(tool, args, { code, signal, stderr }) {
+        const lastLine = (stderr || '').trim().split('\n').pop() || '';
+        super(`${tool} failed (${signal || `exit ${code}`})${lastLine ? `: ${lastLine}` : ''}`);
+        this.name = 'MediaCommandError';
+        this.tool = tool;
+        this.args = args;
+        this.code = code;
+        this.signal = signal;
+        this.stderr = stderr;
+    }
+}
+
+class MediaCancelledError extends MediaCommandError {
+    constructor(tool, args, details, jobId) {
+        super(tool, args, details);
+        this.name = 'MediaCancelledError';
+        this.message = `Job ${jobId} cancelled`;
+        this.cancelled = true;
+    }
+}
+
+class ImageMagickPolicyError extends MediaCommandError {
+    constructor(tool, args, details) {
+        super(tool, args, details);
+        this.name = 'ImageMagickPolicyError';
+        this.message = 'ImageMagick\'s security policy blocks reading overlay text from files (@path). '
+            + 'Remove <policy domain="path" rights="none" pattern="@*"/> from its policy.xml (e.g. /etc/ImageMagick-6/policy.xml).';
+    }
+}
+
+// What ImageMagick 6/7 print when policy.xml denies an @path
+const POLICY_DENIED = /(not allowed by the security policy|not authorized) [`'"]@/;
+
+/**
+ * Spawn a binary with an argument array.
+ * @param {string} bin
+ * @param {string[]} args
+ * @param {object} options - { okCodes: exit codes treated as success (default [0]),
+ *                             maxStderr: bytes of stderr kept (tail),
+ *                             binary: stdout as a Buffer (raw frames) instead of text }
+ * @returns {Promise<{ stdout: string|Buffer, stderr: string }>}
+ */
+function run(bin, args, { okCodes = [0], maxStderr = MAX_STDERR, binary = false } = {}) {
+    const tool = path.basename(bin);
+    return new Promise((resolve, reject) => {
+        const child = spawn(bin, args, { detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+        const { jobId, label, release } = renderPool.track(child);
+        const progress = jobId && bin === FFMPEG ? progressReporter(args, { jobId, label }) : null;
+        const chunks = [];
+        let stderr = '';
+        child.stdout.on('data', d => { chunks.push(d); });
+        child.stderr.on('data', d => {
+            if (progress) progress(String(d));
+            stderr += d;
+            if (stderr.length > maxStderr) stderr = stderr.slice(-maxStderr);
+        });
+
+        child.on('error', (e) => {
+            release();
+            reject(new MediaCommandError(tool, args, { code: null, signal: null, stderr: e.message }));
+        });
+        child.on('close', (code, signal) => {
+            release();
+            const output = Buffer.concat(chunks);
+            const stdout = binary ? output : output.toString();
+            if (okCodes.includes(code)) return resolve({ stdout, stderr });
+            const details = { code, signal, stderr };
+            reject(signal === 'SIGKILL' && jobId
+                ? new MediaCancelledError(tool, args, details, jobId)
+                : new MediaCommandError(tool, args, details));
+        });
+    });
+}
+
+function parseTimestamp(value) {
+    const m = value.match(/(\d+):(\d+):([\d.]+)/);
+    return m ? parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseFloat(m[3]) : null;
+}
+
+// Turns ffmpeg's stderr into percent-complete events: the first input's Duration
+// (or -t when shorter) against the time= of the status lines.
+function progressReporter(args, { jobId, label }) {
+    const limitIdx = args.lastIndexOf('-t');
+    const limit = limitIdx >= 0 ? parseFloat(args[limitIdx + 1]) : null;
+    const output = args[args.length - 1];
+    let duration = null;
+    let lastPercent = -1;
+    let lastEmit = 0;
+
+    return (chunk) => {
+        if (duration === null) {
+            const d = chunk.match(/Duration:\s*(\d+:\d+:[\d.]+)/);
+            if (d) duration = limit ? Math.min(limit, parseTimestamp(d[1])) : parseTimestamp(d[1]);
+            else if (limit && chunk.includes('time=')) duration = limit; // generated inputs (lavfi) have no Duration
+        }
+        const times = chunk.match(/time=\s*(\d+:\d+:[\d.]+)/g);
+        if (!duration || !times) return;
+
+        const seconds = parseTimestamp(times[times.length - 1]);
+        const percent = Math.min(100, Math.floor((seconds / duration) * 100));
+        const now = Date.now();
+        if (percent <= lastPercent || (percent < 100 && now - lastEmit < PROGRESS_INTERVAL_MS)) return;
+        lastPercent = percent;
+        lastEmit = now;
+        events.emit('progress', { jobId, label, percent, output });
+    };
+}
+
+// ffmpeg without banner/stdin interaction; always overwrites outputs
+function ffmpeg(args, options) {
+    return run(FFMPEG, ['-hide_banner', '-nostdin', '-y', ...args], options);
+}
+
+async function convert(args, options) {
+    try {
+        return await run(CONVERT, args, options);
+    } catch (e) {
+        if (!e.cancelled && POLICY_DENIED.test(e.stderr || '')) {
+            throw new ImageMagickPolicyError(e.tool, e.args, { code: e.code, signal: e.signal, stderr: e.stderr });
+        }
+        throw e;
+    }
+}
+
+/**
+ * Read duration and stream info from `ffmpeg -i` (it exits 1 without an output file).
+ * @returns {Promise<{ duration: number|null, hasAudio: boolean, width: number|null, height: number|null }>}
+ */
+async function probe(file) {
+    const { stderr } = await run(FFMPEG, ['-hide_banner', '-nostdin', '-i', file], { okCodes: [0, 1] });
+    const dur = stderr.match(/Duration:\s*(\d+):(\d+):([\d.]+)/);
+    const size = stderr.match(/Video:.*?\b(\d{2,5})x(\d{2,5})\b/);
+    return {
+        duration: dur ? parseInt(dur[1]) * 3600 + parseInt(dur[2]) * 60 + parseFloat(dur[3]) : null,
+        hasAudio: /Stream #.*Audio:/.test(stderr),
+        width: size ? parseInt(size[1]) : null,
+        height: size ? parseInt(size[2]) : null
+    };
+}
+
+// Escape a file path for use as a filter option value (ass=..., subtitles=...)
+// Two levels: option value, then filtergraph - so no quoting is needed.
+function escapeFilterPath(file) {
+    const optionLevel = file.replace(/[\\':]/g, '\\$&');
+    return optionLevel.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+// Burn-in filter for an ASS file using the system fonts
+function assFilter(assPath) {
+    return `ass=${escapeFilterPath(assPath)}:fontsdir=${escapeFilterPath(FONTS_DIR)}`;
+}
+
+function subtitlesFilter(subsPath) {
+    return `subtitles=${escapeFilterPath(subsPath)}`;
+}
+
+/**
+ * Write text for ImageMagick's caption:@file / label:@file so it never
+ * passes through argument parsing (quotes and a leading @ stay literal).
+ * @returns {string} file path
+ */
+function writeTextFile(dir, name, text) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text, 'utf8');
+    return file;
+}
+
+module.exports = {
+    FFMPEG,
+    FONTS_DIR,
+    events,
+    MediaCommandError,
+    MediaCancelledError,
+    ImageMagickPolicyError,
+    run,
+    ffmpeg,
+    convert,
+    probe,
+    assFilter,
+    subtitlesFilter,
+    escapeFilterPath,
+    writeTextFile
+};
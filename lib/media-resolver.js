@@ -0,0 +1,61 @@
+/**
+ * Media Resolver
+ * Maps asset IDs sent by the browser (upload file names such as
+ * `video-1772039894756.mp4`, or paths relative to uploads/) to files on disk.
+ * Anything that resolves outside the uploads root - `..`, absolute paths,
+ * symlinks pointing elsewhere - is refused.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const UPLOADS_ROOT = path.join(__dirname, '..', 'uploads');
+
+function isInside(root, target) {
+    const rel = path.relative(root, target);
+    return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Absolute path of an uploaded asset, or null when the ID is invalid,
+ * escapes the uploads root or does not exist.
+ * @param {string} id - asset ID relative to uploads/
+ * @param {object} options - { mustExist: also require an existing regular file (default true) }
+ */
+function resolve(id, { mustExist = true } = {}) {
+    if (typeof id !== 'string' || !id || id.includes('\0')) return null;
+
+    const target = path.resolve(UPLOADS_ROOT, id);
+    if (!isInside(UPLOADS_ROOT, target)) {
+        console.warn(`[media] Refused asset outside uploads: ${JSON.stringify(id)}`);
+        return null;
+    }
+    if (!mustExist) return target;
+
+    try {
+        // Symlinks must not lead out of the uploads root either
+        const real = fs.realpathSync(target);
+        if (!isInside(fs.realpathSync(UPLOADS_ROOT), real)) {
+            console.warn(`[media] Refused asset linking outside uploads: ${JSON.stringify(id)}`);
+            return null;
+        }
+        return fs.statSync(real).isFile() ? target : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Turn a user-supplied name (job name, naming parts) into a single safe file name component
+function safeFileName(name, fallback = 'video') {
+    const cleaned = String(name || '')
+        .replace(/[\/\\\0:*?"<>|]/g, '_')
+        .replace(/^\.+/, '')
+        .trim()
+        .slice(0, 150);
+    return cleaned || fallback;
+}
+
+module.exports = {
+    UPLOADS_ROOT,
+    resolve,
+    safeFileName
+};
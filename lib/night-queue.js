@@ -0,0 +1,287 @@
+/**
+ * Night Queue Scheduler
+ * Starts queued night jobs ('generate' jobs with queue: 'night') on its own inside
+ * a daily time window and stops starting new ones when the window closes or the
+ * day's API spend (lib/spend.js) reaches the budget; jobs already running finish.
+ * Jobs start by priority (high, normal, low), oldest first, at most CONCURRENCY
+ * at a time. "Process now" runs the same dispatcher outside the window.
+ *
+ * After a scheduled night, once the window is closed and its jobs have finished,
+ * the summary (rendered, failed, left in the queue, spend) goes to the `notify`
+ * callback and is kept in data/night-queue.json.
+ *
+ * NIGHT_QUEUE_WINDOW        local time, e.g. 01:00-06:00 (default; may wrap midnight), 'off' disables
+ * NIGHT_QUEUE_CONCURRENCY   jobs started at once (default 1; languages share the render pool)
+ * NIGHT_QUEUE_DAILY_BUDGET  USD per calendar day, unset or 0 for no limit
+ */
+const fs = require('fs');
+const path = require('path');
+const jobEngine = require('./job-engine');
+const spend = require('./spend');
+
+const STATE_FILE = path.join(__dirname, '..', 'data', 'night-queue.json');
+const TICK_MS = 60 * 1000;
+const KEEP_NIGHTS = 30;
+const PRIORITIES = ['high', 'normal', 'low'];
+
+const settings = {
+    window: parseWindow(process.env.NIGHT_QUEUE_WINDOW || '01:00-06:00'),
+    concurrency: Math.max(1, parseInt(process.env.NIGHT_QUEUE_CONCURRENCY) || 1),
+    budget: parseFloat(process.env.NIGHT_QUEUE_DAILY_BUDGET) || 0
+};
+
+let worker = null;
+let notify = null;
+let timer = null;
+const active = new Set(); // IDs of jobs this dispatcher started that have not finished
+let manualRun = false;     // "process now" until the queue drains: the window does not apply
+let lastStopReason = null; // logged once, not on every tick
+let state = loadState(); // { night: current scheduled run or null, nights: [summary] }
+
+function queueError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+// ============ SETTINGS ============
+
+// '01:00-06:00' -> { start: 60, end: 360, label } in minutes after midnight; 'off' -> null
+function parseWindow(value) {
+    if (/^(off|none|disabled)$/i.test(value.trim())) return null;
+    const m = value.match(/^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/);
+    const start = m && parseInt(m[1]) * 60 + parseInt(m[2]);
+    const end = m && parseInt(m[3]) * 60 + parseInt(m[4]);
+    if (!m || start >= 24 * 60 || end > 24 * 60 || start === end) {
+        console.error(`NIGHT_QUEUE_WINDOW "${value}" is not HH:MM-HH:MM - the night queue only runs on demand`);
+        return null;
+    }
+    const pad = n => String(n).padStart(2, '0');
+    const label = mins => `${pad(Math.floor(mins / 60))}:${pad(mins % 60)}`;
+    return { start, end, label: `${label(start)}-${label(end)}` };
+}
+
+function minutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes();
+}
+
+// Whether `date` falls in the window (start inclusive, end exclusive); false without one
+function inWindow(date = new Date(), w = settings.window) {
+    if (!w) return false;
+    const now = minutesOfDay(date);
+    return w.start < w.end ? now >= w.start && now < w.end : now >= w.start || now < w.end;
+}
+
+function budgetLeft() {
+    return settings.budget ? settings.budget - spend.forDay().total : Infinity;
+}
+
+// ============ PERSISTENCE ============
+
+function loadState() {
+    try {
+        if (fs.existsSync(STATE_FILE)) return { night: null, nights: [], ...JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')) };
+    } catch (e) {
+        console.error('Error loading night queue state:', e.message);
+    }
+    return { night: null, nights: [] };
+}
+
+function saveState() {
+    try {
+        fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+        fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    } catch (e) {
+        console.error('Error saving night queue state:', e.message);
+    }
+}
+
+// ============ QUEUE ============
+
+function entries() {
+    return jobEngine.list({ type: 'generate' }).filter(j => j.queue === 'night');
+}
+
+function priorityRank(job) {
+    const rank = PRIORITIES.indexOf(job.priority);
+    return rank === -1 ? PRIORITIES.indexOf('normal') : rank;
+}
+
+// Queued jobs in the order they will start: priority first, then oldest
+function pending() {
+    return entries()
+        .filter(j => j.status === 'queued' && !jobEngine.isRunning(j))
+        .sort((a, b) => priorityRank(a) - priorityRank(b) || new Date(a.created) - new Date(b.created));
+}
+
+function setPriority(job, priority) {
+    if (!PRIORITIES.includes(priority)) throw queueError(`priority must be one of ${PRIORITIES.join(', ')}`, 400);
+    if (job.status !== 'queued') throw queueError('Job already started', 400);
+    return jobEngine.update(job, { priority });
+}
+
+// ============ DISPATCH ============
+
+// Why no further job may start now, or null
+function stopReason() {
+    if (!manualRun && !inWindow()) return 'window closed';
+    if (budgetLeft() <= 0) return 'daily budget reached';
+    return null;
+}
+
+/**
+ * Start queued jobs until CONCURRENCY are running, the queue is empty or
+ * stopReason() says no. Called again whenever one of them finishes.
+ */
+function dispatch() {
+    while (active.size < settings.concurrency) {
+        const job = pending()[0];
+        if (!job) {
+            if (!active.size) manualRun = false;
+            return;
+        }
+
+        const reason = stopReason();
+        if (reason) {
+            if (reason !== lastStopReason) console.log(`[Queue] Not starting ${job.name}: ${reason}`);
+            lastStopReason = reason;
+            if (!active.size) manualRun = false;
+            if (state.night && !state.night.stoppedReason) {
+                state.night.stoppedReason = reason;
+                saveState();
+            }
+            return;
+        }
+        lastStopReason = null;
+
+        active.add(job.id);
+        if (state.night) {
+            state.night.jobIds.push(job.id);
+            saveState();
+        }
+        console.log(`[Queue] Processing: ${job.name} (${job.priority || 'normal'} priority)`);
+        jobEngine.run(job, worker)
+            .then(() => console.log(`[Queue] Done: ${job.name}`))
+            .catch(e => console.error(`[Queue] Error processing ${job.name}:`, e.message))
+            .finally(() => {
+                active.delete(job.id);
+                dispatch();
+                if (!active.size) console.log('[Queue] Processing complete');
+            });
+    }
+}
+
+/**
+ * "Process now": start the queue outside the window (the budget still applies).
+ * @returns {number} queued jobs
+ */
+function processNow() {
+    const count = pending().length;
+    if (count && budgetLeft() <= 0) throw queueError('Daily API budget reached - the queue continues tomorrow', 409);
+    manualRun = true;
+    dispatch();
+    return count;
+}
+
+// ============ SUMMARY ============
+
+function summarize(night) {
+    const jobs = night.jobIds.map(id => jobEngine.get(id)).filter(Boolean);
+    const languages = (job, status) => Object.keys(job.langStatus || {}).filter(l => job.langStatus[l] === status);
+    const left = pending();
+    return {
+        window: night.window,
+        startedAt: night.startedAt,
+        endedAt: new Date().toISOString(),
+        rendered: jobs.filter(j => j.status === 'done').map(j => ({
+            id: j.id, name: j.name, languages: languages(j, 'done'), failedLanguages: languages(j, 'error')
+        })),
+        failed: jobs.filter(j => j.status !== 'done').map(j => ({
+            id: j.id, name: j.name, status: j.status, error: j.error || null, languages: languages(j, 'done')
+        })),
+        leftInQueue: left.map(j => ({ id: j.id, name: j.name, priority: j.priority || 'normal' })),
+        stoppedReason: left.length ? night.stoppedReason || 'window closed' : null,
+        spend: {
+            jobs: jobs.reduce((sum, j) => sum + spend.forJob(j.id), 0),
+            day: spend.forDay().total,
+            budget: settings.budget || null
+        }
+    };
+}
+
+// Close the night once the window has closed and its jobs have finished
+async function finishNight() {
+    const night = state.night;
+    // Jobs resumed after a restart run outside `active`
+    if (night.jobIds.map(id => jobEngine.get(id)).some(j => j && jobEngine.isRunning(j))) return;
+
+    const summary = summarize(night);
+    state.night = null;
+    state.nights = [summary, ...state.nights].slice(0, KEEP_NIGHTS);
+    saveState();
+    console.log(`[Queue] Night ${summary.window}: ${summary.rendered.length} rendered, ${summary.failed.length} failed, ${summary.leftInQueue.length} left`);
+
+    if (!notify) return;
+    try {
+        await notify(summary);
+    } catch (e) {
+        console.error('[Queue] Summary could not be sent:', e.message);
+    }
+}
+
+// ============ SCHEDULER ============
+
+function tick() {
+    if (inWindow()) {
+        if (!state.night) {
+            if (!pending().length) return;
+            state.night = { window: settings.window.label, startedAt: new Date().toISOString(), jobIds: [] };
+            saveState();
+            console.log(`[Queue] Night window ${settings.window.label} open, ${pending().length} job(s) queued`);
+        }
+        dispatch();
+    } else if (state.night) {
+        finishNight();
+    }
+}
+
+/**
+ * Start the scheduler.
+ * @param {object} options - { worker: async (job) => result, renders a queued job;
+ *                             notify: async (summary) => void, delivers the morning summary }
+ */
+function start(options) {
+    worker = options.worker;
+    notify = options.notify || null;
+    if (timer) clearInterval(timer);
+    timer = setInterval(tick, TICK_MS);
+    timer.unref();
+    console.log(settings.window
+        ? `[Queue] Night window ${settings.window.label}, ${settings.concurrency} at a time${settings.budget ? `, budget $${settings.budget}/day` : ''}`
+        : '[Queue] No night window - the queue only runs on demand');
+    tick();
+}
+
+// Schedule and budget for the dashboard
+function status() {
+    return {
+        window: settings.window?.label || null,
+        inWindow: inWindow(),
+        concurrency: settings.concurrency,
+        running: Array.from(active),
+        budget: settings.budget || null,
+        spentToday: spend.forDay().total,
+        night: state.night,
+        lastSummary: state.nights[0] || null
+    };
+}
+
+module.exports = {
+    PRIORITIES,
+    parseWindow,
+    inWindow,
+    entries,
+    pending,
+    setPriority,
+    processNow,
+    start,
+    status
+};
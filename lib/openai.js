@@ -0,0 +1,44 @@
+/**
+ * OpenAI Chat
+ * Chat completions that are not translations (reviews, video analysis, QC, scripts);
+ * translations go through lib/translation.js. Every call uses the shared retry
+ * policy in lib/retry.js, including replies that `parse` rejects.
+ */
+const config = require('./config');
+const retry = require('./retry');
+const spend = require('./spend');
+
+const CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+
+/**
+ * One chat completion.
+ * @param {object} body - request body ({ model, messages, max_tokens, ... })
+ * @param {object} options - { label: for retry logs, parse(content): turns the reply
+ *                             into the result; throw retry.malformedReply() to ask again }
+ * @returns {Promise<*>} the reply text, or what `parse` returned
+ */
+async function chat(body, { label = 'openai', parse } = {}) {
+    return retry.withRetry(async () => {
+        const response = await fetch(CHAT_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${config.key('openai')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body),
+            signal: retry.timeoutSignal()
+        });
+        const data = await retry.readJson('openai', response);
+        spend.record('openai', body.model, {
+            inputTokens: data.usage?.prompt_tokens,
+            outputTokens: data.usage?.completion_tokens
+        });
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') throw retry.malformedReply('openai returned no message content');
+        return parse ? parse(content) : content;
+    }, { label });
+}
+
+module.exports = {
+    chat
+};
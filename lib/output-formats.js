@@ -0,0 +1,117 @@
+/**
+ * Output Formats
+ * Aspect ratios a localizer job can render into. Source videos are 9:16 (1080x1920);
+ * other formats are centre-cropped when enough of the frame survives, otherwise the
+ * video is fitted over a blurred, zoomed copy of itself (no black bars).
+ */
+
+const NATIVE_FORMAT = '9:16';
+const SOURCE_WIDTH = 1080;
+const SOURCE_HEIGHT = 1920;
+
+const OUTPUT_FORMATS = {
+    '9:16': { width: 1080, height: 1920 },
+    '4:5': { width: 1080, height: 1350 },
+    '1:1': { width: 1080, height: 1080 },
+    '16:9': { width: 1920, height: 1080 }
+};
+
+// Crop only if at least this share of the source height is kept
+const MIN_CROP_KEEP = 0.5;
+
+// Valid, de-duplicated list; defaults to the native format
+function normalizeFormats(formats) {
+    const list = (Array.isArray(formats) ? formats : []).filter(f => OUTPUT_FORMATS[f]);
+    return list.length ? [...new Set(list)] : [NATIVE_FORMAT];
+}
+
+function formatSize(format) {
+    return OUTPUT_FORMATS[format] || OUTPUT_FORMATS[NATIVE_FORMAT];
+}
+
+// '1:1' -> '1x1' (used in file names and output keys)
+function formatSlug(format) {
+    return format.replace(':', 'x');
+}
+
+// job.outputs key: 'HR' for the native format, 'HR-1x1' for the others
+function outputKey(lang, format) {
+    return format === NATIVE_FORMAT ? lang : `${lang}-${formatSlug(format)}`;
+}
+
+function parseOutputKey(key) {
+    const [lang, slug] = key.split('-');
+    return { lang, format: slug ? slug.replace('x', ':') : NATIVE_FORMAT };
+}
+
+// Suffix appended to the video/ASS file name for non-native formats
+function fileSuffix(format) {
+    return format === NATIVE_FORMAT ? '' : `_${formatSlug(format)}`;
+}
+
+// Rescale a y coordinate laid out on the 1920px-high source frame
+function scaleY(y, format) {
+    return Math.round((y / SOURCE_HEIGHT) * formatSize(format).height);
+}
+
+// Scale factor and offset frameFilter() applies to the source frame
+function framing(format) {
+    const { width, height } = formatSize(format);
+    const kept = (SOURCE_WIDTH / SOURCE_HEIGHT) / (width / height);
+    const scale = kept >= MIN_CROP_KEEP
+        ? Math.max(width / SOURCE_WIDTH, height / SOURCE_HEIGHT)  // cropped
+        : Math.min(width / SOURCE_WIDTH, height / SOURCE_HEIGHT); // fitted over the blur
+    return {
+        scale,
+        offsetX: (width - SOURCE_WIDTH * scale) / 2,
+        offsetY: (height - SOURCE_HEIGHT * scale) / 2
+    };
+}
+
+/**
+ * Where a point of the source frame (percent) ends up in the output, in pixels.
+ * @returns {{ x: number, y: number, scale: number }} scale - source px -> output px (font sizes)
+ */
+function mapPoint(xPercent, yPercent, format) {
+    const { scale, offsetX, offsetY } = framing(format);
+    return {
+        x: Math.round((xPercent / 100) * SOURCE_WIDTH * scale + offsetX),
+        y: Math.round((yPercent / 100) * SOURCE_HEIGHT * scale + offsetY),
+        scale
+    };
+}
+
+/**
+ * ffmpeg filter chain that turns the source frame into the target format.
+ * Usable inside -vf or after an input label in -filter_complex; more filters
+ * can be appended with a comma.
+ * @returns {string|null} null for the native format (no reframing)
+ */
+function frameFilter(format) {
+    if (format === NATIVE_FORMAT) return null;
+    const { width, height } = formatSize(format);
+    const kept = (SOURCE_WIDTH / SOURCE_HEIGHT) / (width / height);
+
+    if (kept >= MIN_CROP_KEEP) {
+        return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+    }
+    return `split[fr_bg][fr_fg];` +
+        `[fr_bg]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:5[fr_blur];` +
+        `[fr_fg]scale=${width}:${height}:force_original_aspect_ratio=decrease[fr_fit];` +
+        `[fr_blur][fr_fit]overlay=(W-w)/2:(H-h)/2`;
+}
+
+module.exports = {
+    NATIVE_FORMAT,
+    OUTPUT_FORMATS,
+    SOURCE_WIDTH,
+    SOURCE_HEIGHT,
+    normalizeFormats,
+    formatSize,
+    outputKey,
+    parseOutputKey,
+    fileSuffix,
+    scaleY,
+    mapPoint,
+    frameFilter
+};
@@ -0,0 +1,136 @@
+/**
+ * Render Worker Pool
+ * Limits how many render tasks (one language of one job) run at once across the
+ * whole server - live generation and the night queue share the same slots.
+ *
+ * Media commands started inside a task are tracked per job (see track()), so
+ * cancelling a job kills its in-flight ffmpeg/convert processes and drops its
+ * queued tasks.
+ */
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_CONCURRENCY = Math.max(1, Math.floor(os.cpus().length / 2));
+
+let concurrency = parseInt(process.env.RENDER_CONCURRENCY) || DEFAULT_CONCURRENCY;
+const waiting = [];           // [{ task, jobId, label, resolve, reject }]
+const running = new Set();    // entries currently executing
+const processes = new Map();  // jobId -> Set<ChildProcess>
+const context = new AsyncLocalStorage();
+
+function cancelledError(jobId) {
+    const err = new Error(`Job ${jobId} cancelled`);
+    err.cancelled = true;
+    return err;
+}
+
+function pump() {
+    while (running.size < concurrency && waiting.length) {
+        const entry = waiting.shift();
+        running.add(entry);
+        context.run({ jobId: entry.jobId, label: entry.label }, () => Promise.resolve().then(entry.task))
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                running.delete(entry);
+                pump();
+            });
+    }
+}
+
+/**
+ * Queue a task. Resolves/rejects with the task's result once a slot frees up.
+ * @param {Function} task - async () => any
+ * @param {object} options - { jobId, label }
+ */
+function run(task, { jobId = null, label = '' } = {}) {
+    return new Promise((resolve, reject) => {
+        waiting.push({ task, jobId, label, resolve, reject });
+        pump();
+    });
+}
+
+/**
+ * Run fn with media commands attributed to jobId, without taking a pool slot
+ * (previews, analysis). Tasks queued from inside still go through run().
+ */
+function withJob(jobId, fn) {
+    return context.run({ jobId }, fn);
+}
+
+// ID of the job whose task or withJob() call the caller runs in, or null
+function currentJob() {
+    return context.getStore()?.jobId || null;
+}
+
+/**
+ * Register a spawned child process (see lib/media-command.js) with the job of the
+ * task it was started from, so cancelJob() can kill it. Outside run()/withJob() nothing is tracked.
+ * The child must be spawned with `detached: true` so its whole process group can be killed.
+ * @returns {{ jobId: string|null, label: string, release: Function }} label is the task's (e.g. the language)
+ */
+function track(child) {
+    const jobId = context.getStore()?.jobId || null;
+    const label = context.getStore()?.label || '';
+    if (!jobId) return { jobId, label, release: () => {} };
+
+    if (!processes.has(jobId)) processes.set(jobId, new Set());
+    processes.get(jobId).add(child);
+    return {
+        jobId,
+        label,
+        release: () => {
+            processes.get(jobId)?.delete(child);
+            if (processes.get(jobId)?.size === 0) processes.delete(jobId);
+        }
+    };
+}
+
+/**
+ * Cancel everything belonging to a job: queued tasks are rejected,
+ * running commands are killed.
+ * @returns {number} processes killed
+ */
+function cancelJob(jobId) {
+    for (let i = waiting.length - 1; i >= 0; i--) {
+        if (waiting[i].jobId === jobId) {
+            waiting.splice(i, 1)[0].reject(cancelledError(jobId));
+        }
+    }
+
+    let killed = 0;
+    (processes.get(jobId) || new Set()).forEach(child => {
+        try {
+            process.kill(-child.pid, 'SIGKILL');
+            killed++;
+        } catch (e) {
+            // Already exited
+        }
+    });
+    return killed;
+}
+
+function setConcurrency(value) {
+    const n = parseInt(value);
+    if (!n || n < 1) throw Object.assign(new Error('concurrency must be a positive integer'), { status: 400 });
+    concurrency = n;
+    pump();
+    return concurrency;
+}
+
+function status() {
+    return {
+        concurrency,
+        running: Array.from(running).map(e => ({ jobId: e.jobId, label: e.label })),
+        waiting: waiting.map(e => ({ jobId: e.jobId, label: e.label }))
+    };
+}
+
+module.exports = {
+    run,
+    withJob,
+    currentJob,
+    track,
+    cancelJob,
+    setConcurrency,
+    status
+};
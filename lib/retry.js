@@ -0,0 +1,118 @@
+/**
+ * Retry Policy
+ * Shared by every model and TTS call. Network errors, timeouts, rate limits (429),
+ * server errors (5xx) and malformed replies are retried with exponential backoff
+ * and jitter; a Retry-After header wins when the API sends one. Errors that won't
+ * change on a second try (other 4xx, missing keys, cancelled jobs) fail at once.
+ * Calls pass timeoutSignal() to fetch so a request that hangs becomes a timeout.
+ *
+ * RETRY_MAX_ATTEMPTS (default 4), RETRY_BASE_DELAY_MS (default 1000),
+ * RETRY_MAX_DELAY_MS (default 30000) and RETRY_TIMEOUT_MS (per attempt,
+ * default 120000) tune the policy.
+ */
+const DEFAULT_ATTEMPTS = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+// Long enough for a vision call or a big translation batch
+const DEFAULT_TIMEOUT_MS = 120000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error for a failed HTTP call; retryable for 408, 429 and 5xx.
+ * @param {string} service - label used in the message (e.g. 'openai')
+ * @param {Response} response
+ * @param {string} message - error text from the response body, if any
+ */
+function httpError(service, response, message) {
+    const status = response.status;
+    const err = new Error(`${service} error: ${status} - ${message || response.statusText || 'request failed'}`);
+    err.status = status;
+    err.retryable = status === 408 || status === 429 || status >= 500;
+    const retryAfter = parseFloat(response.headers?.get?.('retry-after'));
+    if (retryAfter >= 0) err.retryAfterMs = retryAfter * 1000;
+    return err;
+}
+
+// A reply that arrived but can't be used (bad JSON, missing fields) - asking again usually helps
+function malformedReply(message) {
+    return Object.assign(new Error(message), { retryable: true });
+}
+
+/**
+ * Parse a JSON response body, turning HTTP errors into httpError() and an
+ * unreadable body (HTML error page, truncated JSON) into a retryable error.
+ */
+async function readJson(service, response) {
+    const text = await response.text();
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        if (!response.ok) throw httpError(service, response, text.slice(0, 200));
+        throw malformedReply(`${service} returned invalid JSON: ${text.slice(0, 100)}`);
+    }
+    if (!response.ok || data.error) {
+        throw httpError(service, response, data.error?.message || data.detail?.message || data.detail || data.error);
+    }
+    return data;
+}
+
+// fetch signal for one attempt: aborts with a TimeoutError, which is retried
+function timeoutSignal(ms = parseInt(process.env.RETRY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS) {
+    return AbortSignal.timeout(ms);
+}
+
+function isRetryable(e) {
+    if (e.cancelled) return false;
+    if (typeof e.retryable === 'boolean') return e.retryable;
+    if (e.name === 'TimeoutError') return true;
+    if (e.status) return e.status === 408 || e.status === 429 || e.status >= 500;
+    // Network failures (fetch failed, ECONNRESET, timeouts) and anything unexpected
+    return true;
+}
+
+// Exponential delay for the attempt that just failed, with jitter in its upper half
+function backoffDelay(attempt, baseDelay, maxDelay) {
+    const exp = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(exp / 2 + Math.random() * exp / 2);
+}
+
+/**
+ * Call fn until it succeeds or the policy gives up. The last error is thrown
+ * with `attempts` set to how many calls were made.
+ * @param {Function} fn - async (attempt) => result
+ * @param {object} options - { label, attempts, baseDelay, maxDelay }
+ */
+async function withRetry(fn, options = {}) {
+    const {
+        label = 'request',
+        attempts = parseInt(process.env.RETRY_MAX_ATTEMPTS) || DEFAULT_ATTEMPTS,
+        baseDelay = parseInt(process.env.RETRY_BASE_DELAY_MS) || DEFAULT_BASE_DELAY_MS,
+        maxDelay = parseInt(process.env.RETRY_MAX_DELAY_MS) || DEFAULT_MAX_DELAY_MS
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (e) {
+            if (attempt >= attempts || !isRetryable(e)) {
+                e.attempts = attempt;
+                throw e;
+            }
+            const delay = Math.min(maxDelay, e.retryAfterMs ?? backoffDelay(attempt, baseDelay, maxDelay));
+            console.error(`[retry] ${label} attempt ${attempt}/${attempts} failed: ${e.message} - retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    withRetry,
+    isRetryable,
+    backoffDelay,
+    timeoutSignal,
+    httpError,
+    malformedReply,
+    readJson
+};
@@ -0,0 +1,114 @@
+/**
+ * API Spend
+ * Running estimate of what model and TTS calls cost, per day and per job, so the
+ * night queue can stop at a daily budget. Costs are the usage the APIs report
+ * (tokens, characters) times the list prices below - an estimate, not the invoice.
+ * Calls made inside a job (render-pool context) are attributed to it.
+ *
+ * Stored in data/spend.json: { 'YYYY-MM-DD': { total, services: { openai: 1.2 }, jobs: { id: 0.4 } } }
+ * Days are local dates; days older than KEEP_DAYS are dropped.
+ */
+const fs = require('fs');
+const path = require('path');
+const renderPool = require('./render-pool');
+
+const SPEND_FILE = path.join(__dirname, '..', 'data', 'spend.json');
+const KEEP_DAYS = 60;
+
+// USD per million tokens ({ input, output }) or per 1000 characters ({ perKChars })
+const PRICES = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'claude-sonnet-4-5': { input: 3, output: 15 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'eleven_multilingual_v2': { perKChars: 0.3 },
+    local: { input: 0, output: 0 }
+};
+// Models missing above are counted at gpt-4o prices rather than as free
+const FALLBACK_PRICE = PRICES['gpt-4o'];
+
+let days = load();
+
+function load() {
+    try {
+        if (fs.existsSync(SPEND_FILE)) return JSON.parse(fs.readFileSync(SPEND_FILE, 'utf8'));
+    } catch (e) {
+        console.error('Error loading spend:', e.message);
+    }
+    return {};
+}
+
+function save() {
+    try {
+        fs.mkdirSync(path.dirname(SPEND_FILE), { recursive: true });
+        fs.writeFileSync(SPEND_FILE, JSON.stringify(days, null, 2));
+    } catch (e) {
+        console.error('Error saving spend:', e.message);
+    }
+}
+
+// Local calendar date as YYYY-MM-DD
+function dayKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function prune() {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - KEEP_DAYS);
+    Object.keys(days).filter(day => day < dayKey(cutoff)).forEach(day => delete days[day]);
+}
+
+/**
+ * Estimated cost of one call in USD.
+ * @param {string} model
+ * @param {object} usage - { inputTokens, outputTokens } or { characters }
+ */
+function cost(model, { inputTokens = 0, outputTokens = 0, characters = 0 } = {}) {
+    const price = PRICES[model] || FALLBACK_PRICE;
+    if (price.perKChars !== undefined) return (characters / 1000) * price.perKChars;
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Record a finished API call.
+ * @param {string} service - 'openai', 'anthropic', 'elevenlabs'
+ * @param {string} model
+ * @param {object} usage - see cost()
+ * @returns {number} the estimated cost
+ */
+function record(service, model, usage) {
+    const amount = cost(model, usage);
+    if (!amount) return 0;
+
+    const key = dayKey();
+    if (!days[key]) days[key] = { total: 0, services: {}, jobs: {} };
+    const day = days[key];
+    day.total += amount;
+    day.services[service] = (day.services[service] || 0) + amount;
+    const jobId = renderPool.currentJob();
+    if (jobId) day.jobs[jobId] = (day.jobs[jobId] || 0) + amount;
+
+    prune();
+    save();
+    return amount;
+}
+
+// Spend of one day (default today): { total, services, jobs }
+function forDay(date = new Date()) {
+    return days[dayKey(date)] || { total: 0, services: {}, jobs: {} };
+}
+
+// Everything a job has cost so far, over all days
+function forJob(jobId) {
+    return Object.values(days).reduce((sum, day) => sum + (day.jobs[jobId] || 0), 0);
+}
+
+module.exports = {
+    PRICES,
+    dayKey,
+    cost,
+    record,
+    forDay,
+    forJob
+};
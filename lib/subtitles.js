@@ -0,0 +1,106 @@
+/**
+ * Subtitle formats
+ * Timestamps and file builders for ASS, SRT and WebVTT.
+ * A cue is { start, end, text } with times in seconds.
+ */
+
+const pad = (n, len = 2) => String(n).padStart(len, '0');
+
+function splitTime(seconds) {
+    const total = Math.max(0, seconds || 0);
+    return {
+        h: Math.floor(total / 3600),
+        m: Math.floor((total % 3600) / 60),
+        s: Math.floor(total % 60),
+        ms: Math.floor((total % 1) * 1000)
+    };
+}
+
+// 0:00:01.50
+function formatAssTime(seconds) {
+    const { h, m, s, ms } = splitTime(seconds);
+    return `${h}:${pad(m)}:${pad(s)}.${pad(Math.floor(ms / 10))}`;
+}
+
+// 00:00:01,500
+function formatSrtTime(seconds) {
+    const { h, m, s, ms } = splitTime(seconds);
+    return `${pad(h)}:${pad(m)}:${pad(s)},${pad(ms, 3)}`;
+}
+
+// 00:00:01.500
+function formatVttTime(seconds) {
+    const { h, m, s, ms } = splitTime(seconds);
+    return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms, 3)}`;
+}
+
+// Dialogue text: braces would start an override block, newlines end the line
+function escapeAssText(text) {
+    return String(text || '')
+        .replace(/[{}]/g, '\\$&')
+        .replace(/\r?\n/g, '\\N');
+}
+
+// Script Info values are single-line
+function escapeAssHeader(value) {
+    return String(value || '').replace(/[\r\n]+/g, ' ');
+}
+
+function sortedCues(cues) {
+    return cues
+        .filter(c => c.text && c.end > c.start)
+        .sort((a, b) => a.start - b.start);
+}
+
+function toSrt(cues) {
+    return sortedCues(cues)
+        .map((c, i) => `${i + 1}\n${formatSrtTime(c.start)} --> ${formatSrtTime(c.end)}\n${c.text}\n`)
+        .join('\n');
+}
+
+function toVtt(cues) {
+    const body = sortedCues(cues)
+        .map(c => `${formatVttTime(c.start)} --> ${formatVttTime(c.end)}\n${c.text}\n`)
+        .join('\n');
+    return `WEBVTT\n\n${body}`;
+}
+
+// Plain bottom-centred ASS, used when the styled render file is not available
+function toAss(cues, { title = '', fontSize = 72, playResX = 1080, playResY = 1920 } = {}) {
+    let ass = `[Script Info]
+Title: ${escapeAssHeader(title)}
+ScriptType: v4.00+
+WrapStyle: 0
+PlayResX: ${playResX}
+PlayResY: ${playResY}
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Noto Sans,${fontSize},&H00FFFFFF,&H000000FF,&H00000000,&H80000000,1,0,0,0,100,100,0,0,1,3,1,2,30,30,200,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+`;
+    sortedCues(cues).forEach(c => {
+        ass += `Dialogue: 0,${formatAssTime(c.start)},${formatAssTime(c.end)},Default,,0,0,0,,${escapeAssText(c.text)}\n`;
+    });
+    return ass;
+}
+
+const FORMATS = {
+    srt: { ext: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+    vtt: { ext: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+    ass: { ext: 'ass', contentType: 'text/x-ssa; charset=utf-8' }
+};
+
+module.exports = {
+    formatAssTime,
+    formatSrtTime,
+    formatVttTime,
+    escapeAssText,
+    escapeAssHeader,
+    toSrt,
+    toVtt,
+    toAss,
+    FORMATS
+};
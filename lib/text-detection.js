@@ -0,0 +1,275 @@
+/**
+ * On-screen Text Detection
+ * Reads overlay text from extracted video frames. Backends are interchangeable:
+ *   tesseract - local OCR (the `tesseract` CLI), offline and free
+ *   vision    - the OpenAI vision model (lib/openai.js)
+ * With TEXT_DETECTION=auto (default) frames go to Tesseract when it is installed
+ * and to the vision model otherwise. Frames the OCR is unsure about (an overlay
+ * below OCR_MIN_CONFIDENCE, or text-like regions it could not read) are sent to the
+ * vision model as a fallback unless TEXT_DETECTION_FALLBACK=none or OpenAI is not configured.
+ *
+ * Every backend returns the same shape:
+ *   { backend, confidence, texts: [{ text, x, y, bbox: { x, y, width, height }, lines, position, confidence, source }] }
+ * Coordinates are percent of the frame; x/y is the centre of the box and position
+ * is 'top', 'center' or 'bottom'. lines is how many text lines the box holds.
+ * Confidence is 0-1 (vision results count as 1).
+ *
+ * TESSERACT_PATH    binary (default 'tesseract')
+ * TESSERACT_LANGS   traineddata to load (default: the shop's languages, see DEFAULT_LANGS)
+ *
+ * The default languages need these packages (Debian/Ubuntu names):
+ *   tesseract-ocr tesseract-ocr-eng tesseract-ocr-slv tesseract-ocr-hrv tesseract-ocr-ces
+ *   tesseract-ocr-pol tesseract-ocr-ell tesseract-ocr-ita tesseract-ocr-hun tesseract-ocr-slk
+ *   tesseract-ocr-bul tesseract-ocr-ron tesseract-ocr-deu
+ * Languages whose traineddata is not installed are left out (logged once at startup).
+ */
+const fs = require('fs');
+const path = require('path');
+const media = require('./media-command');
+const openai = require('./openai');
+const translation = require('./translation');
+const config = require('./config');
+
+const TESSERACT = process.env.TESSERACT_PATH || 'tesseract';
+// English plus the languages ads are localized into (tesseract-ocr-<code> packages)
+const DEFAULT_LANGS = 'eng+slv+hrv+ces+pol+ell+ita+hun+slk+bul+ron+deu';
+const MIN_CONFIDENCE = parseFloat(process.env.OCR_MIN_CONFIDENCE) || 0.6;
+// Words below this are noise (textures, product prints) rather than overlay text
+const MIN_WORD_CONFIDENCE = 0.3;
+
+const VISION_PROMPT = `Find ALL text overlays/captions in this video frame. This includes:
+- Text with colored background boxes (white, orange, etc.)
+- Text overlays WITHOUT background (floating text, subtitles)
+- Large bold text added in post-production
+- Call-to-action text, slogans, marketing phrases
+
+Return JSON:
+{
+  "texts": [
+    {"text": "exact text", "x": 10, "y": 20, "width": 80, "height": 8, "lines": 1, "context": "headline"}
+  ]
+}
+
+RULES:
+- x,y = top-left corner, width,height = size of the text itself (not its background box), all as % of the image (0-100)
+- lines = number of text lines inside the box
+- context = what the text is (headline, subtitle, CTA button, price ...)
+- Include text in ANY language (Greek, Croatian, Czech, Polish, Hungarian, Italian, etc.)
+- Multi-line text that belongs together = combine into one: "Line1 Line2"
+- IGNORE: brand logos printed ON physical products/clothing, size labels on garments, watermarks
+- INCLUDE: any text that was ADDED to the video in post-production (editing)
+
+If no added text overlay visible, return: {"texts": []}`;
+
+const backends = {};
+let tesseractAvailable = null; // checked once, at startup or on first use
+let tesseractLangs = null;     // the wanted languages that are installed
+
+function positionLabel(centerY) {
+    if (centerY < 33) return 'top';
+    if (centerY > 66) return 'bottom';
+    return 'center';
+}
+
+// Text entry from a box in percent of the frame
+function textEntry(text, box, lines, confidence, source, extra = {}) {
+    const round = n => Math.round(n * 10) / 10;
+    const bbox = { x: round(box.x), y: round(box.y), width: round(box.width), height: round(box.height) };
+    const y = round(bbox.y + bbox.height / 2);
+    return { text, x: round(bbox.x + bbox.width / 2), y, bbox, lines, position: positionLabel(y), confidence, source, ...extra };
+}
+
+// ============ TESSERACT ============
+
+// One missing traineddata file makes every tesseract call fail - load only the installed ones
+async function installedLangs() {
+    const wanted = (process.env.TESSERACT_LANGS || DEFAULT_LANGS).split('+').filter(Boolean);
+    // Tesseract 3 lists them on stderr, later versions on stdout
+    const { stdout, stderr } = await media.run(TESSERACT, ['--list-langs']);
+    const installed = new Set(`${stdout}\n${stderr}`.split('\n').map(line => line.trim()));
+    const missing = wanted.filter(lang => !installed.has(lang));
+    if (missing.length) {
+        console.log(`Tesseract traineddata missing for ${missing.join(', ')} (tesseract-ocr-<lang> packages) - OCR reads without them`);
+    }
+    return wanted.filter(lang => installed.has(lang));
+}
+
+async function hasTesseract() {
+    if (tesseractAvailable === null) {
+        try {
+            await media.run(TESSERACT, ['--version']);
+            const langs = await installedLangs();
+            if (!langs.length) throw new Error('none of its languages are installed');
+            tesseractLangs = langs.join('+');
+            tesseractAvailable = true;
+        } catch (e) {
+            tesseractAvailable = false;
+            console.log(`Tesseract not available (${e.message}) - text detection uses the vision model`);
+        }
+    }
+    return tesseractAvailable;
+}
+
+/**
+ * Group Tesseract's word rows (TSV) into overlays: words of one paragraph are one
+ * text, like a multi-line caption. Returns { width, height, overlays, rejected }.
+ */
+function parseTsv(tsv) {
+    const rows = tsv.trim().split('\n').slice(1).map(line => line.split('\t'));
+    const page = rows.find(r => r[0] === '1');
+    const width = page ? parseInt(page[8]) : 0;
+    const height = page ? parseInt(page[9]) : 0;
+
+    const paragraphs = new Map();
+    let rejected = 0;
+    rows.filter(r => r[0] === '5' && r[11]?.trim()).forEach(r => {
+        const confidence = parseFloat(r[10]) / 100;
+        if (confidence < MIN_WORD_CONFIDENCE) {
+            rejected++;
+            return;
+        }
+        const key = `${r[2]}.${r[3]}`; // block.paragraph
+        if (!paragraphs.has(key)) paragraphs.set(key, []);
+        paragraphs.get(key).push({
+            text: r[11].trim(),
+            line: r[4],
+            left: parseInt(r[6]), top: parseInt(r[7]), width: parseInt(r[8]), height: parseInt(r[9]),
+            confidence
+        });
+    });
+
+    const overlays = Array.from(paragraphs.values())
+        .map(words => {
+            const left = Math.min(...words.map(w => w.left));
+            const top = Math.min(...words.map(w => w.top));
+            const right = Math.max(...words.map(w => w.left + w.width));
+            const bottom = Math.max(...words.map(w => w.top + w.height));
+            return {
+                text: words.map(w => w.text).join(' '),
+                box: { left, top, width: right - left, height: bottom - top },
+                lines: new Set(words.map(w => w.line)).size,
+                confidence: words.reduce((sum, w) => sum + w.confidence, 0) / words.length
+            };
+        })
+        // Single characters are almost always texture, not copy
+        .filter(o => o.text.replace(/[^\p{L}\p{N}]/gu, '').length > 1);
+
+    return { width, height, overlays, rejected };
+}
+
+backends.tesseract = {
+    async detect(framePath) {
+        if (!(await hasTesseract())) throw new Error('Tesseract is not available');
+        const langs = tesseractLangs;
+        // --psm 11: sparse text - overlays are scattered over the frame, not a page of prose
+        const { stdout } = await media.run(TESSERACT, [framePath, 'stdout', '-l', langs, '--psm', '11', 'tsv']);
+        const { width, height, overlays, rejected } = parseTsv(stdout);
+        if (!width || !height) throw new Error(`Tesseract returned no page size for ${path.basename(framePath)}`);
+
+        const texts = overlays.map(o => textEntry(o.text, {
+            x: (o.box.left / width) * 100,
+            y: (o.box.top / height) * 100,
+            width: (o.box.width / width) * 100,
+            height: (o.box.height / height) * 100
+        }, o.lines, Math.round(o.confidence * 100) / 100, 'ocr'));
+
+        // Unreadable text-like regions count as doubt, an empty frame does not
+        const confidence = texts.length
+            ? Math.min(...texts.map(t => t.confidence))
+            : (rejected ? 0 : 1);
+        return { backend: 'tesseract', confidence, texts };
+    }
+};
+
+// ============ VISION ============
+
+backends.vision = {
+    async detect(framePath, { model = 'gpt-4o', label } = {}) {
+        const base64 = fs.readFileSync(framePath).toString('base64');
+        const parsed = await openai.chat({
+            model,
+            messages: [{ role: 'user', content: [
+                { type: 'text', text: VISION_PROMPT },
+                { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${base64}` } }
+            ]}],
+            max_tokens: 500
+        }, { label: label || `vision ${path.basename(framePath)}`, parse: c => translation.parseJsonResponse(c, 'object') });
+
+        const texts = (parsed.texts || [])
+            .filter(t => t && (typeof t === 'string' ? t : t.text)?.trim())
+            .map(t => {
+                if (typeof t === 'string') return textEntry(t.trim(), { x: 10, y: 45, width: 80, height: 10 }, 1, 1, 'vision');
+                const box = {
+                    x: Number(t.x) || 0,
+                    y: Number(t.y) || 0,
+                    width: Number(t.width) || 0,
+                    height: Number(t.height) || 0
+                };
+                // Older replies give the centre only
+                if (!t.width && !t.height && t.x !== undefined) {
+                    Object.assign(box, { x: box.x - 40, y: box.y - 4, width: 80, height: 8 });
+                }
+                const lines = Math.max(1, parseInt(t.lines) || 1);
+                return textEntry(t.text.trim(), box, lines, 1, 'vision', t.context ? { context: t.context } : {});
+            });
+        return { backend: 'vision', confidence: 1, texts };
+    }
+};
+
+function registerBackend(name, backend) {
+    backends[name] = backend;
+}
+
+// ============ DETECTION ============
+
+async function primaryBackend() {
+    const configured = (process.env.TEXT_DETECTION || 'auto').toLowerCase();
+    if (configured !== 'auto') {
+        if (!backends[configured]) throw new Error(`Unknown TEXT_DETECTION backend: ${configured}`);
+        return configured;
+    }
+    return (await hasTesseract()) ? 'tesseract' : 'vision';
+}
+
+/**
+ * Detect overlay text in one frame.
+ * @param {string} framePath - extracted frame (jpg/png)
+ * @param {object} options - { label: for logs and retries, model: vision model,
+ *                             fallback: false to never ask the vision model }
+ * @returns {Promise<{ backend, confidence, texts, fallbackReason? }>}
+ */
+async function detect(framePath, { label, model, fallback = true } = {}) {
+    const name = await primaryBackend();
+    // Without an OpenAI key the OCR result stands - detection keeps working offline
+    const fallbackEnabled = fallback && name !== 'vision' && config.isEnabled('openai')
+        && (process.env.TEXT_DETECTION_FALLBACK || 'vision').toLowerCase() !== 'none';
+
+    let result;
+    try {
+        result = await backends[name].detect(framePath, { model, label });
+    } catch (e) {
+        if (!fallbackEnabled || e.cancelled) throw e;
+        console.error(`[ocr] ${label || framePath}: ${name} failed (${e.message}) - using the vision model`);
+        return { ...(await backends.vision.detect(framePath, { model, label })), fallbackReason: `${name} failed` };
+    }
+
+    if (fallbackEnabled && result.confidence < MIN_CONFIDENCE) {
+        try {
+            const vision = await backends.vision.detect(framePath, { model, label });
+            return { ...vision, fallbackReason: `${name} confidence ${result.confidence.toFixed(2)}` };
+        } catch (e) {
+            if (e.cancelled) throw e;
+            // The OCR read something - better than failing the frame
+            console.error(`[ocr] ${label || framePath}: vision fallback failed (${e.message}) - keeping the ${name} result`);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    MIN_CONFIDENCE,
+    hasTesseract,
+    detect,
+    parseTsv,
+    registerBackend
+};
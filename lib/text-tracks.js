@@ -0,0 +1,200 @@
+/**
+ * Text Tracks
+ * Layout of an overlay text as it appeared in the original video, so the localized
+ * text can be placed, sized and coloured the same way instead of centred.
+ * Built by /api/localizer/analyze from the frame the text was best read in:
+ *
+ *   track: { bbox: { x, y, width, height },  percent of the frame (lib/text-detection.js)
+ *            align: 'left' | 'center' | 'right',
+ *            lines, fontSize,                   px on the 1080x1920 source frame (estimate)
+ *            color: '#RRGGBB',                  text
+ *            background: '#RRGGBB' | null }     box behind the text, null for text over footage
+ *
+ * Start and end stay on the text itself. Colours are sampled from the frame with
+ * ffmpeg; when that fails the track has none and the renderer keeps the job style.
+ */
+const media = require('./media-command');
+const outputFormats = require('./output-formats');
+
+// Box edges within this many percent of equal margins count as centred
+const CENTER_TOLERANCE = 8;
+// A detected box is about this many font sizes high per line (tight OCR box, line spacing)
+const FIRST_LINE_EM = 0.9;
+const NEXT_LINE_EM = 1.2;
+const MIN_FONT_SIZE = 24;
+const MAX_FONT_SIZE = 200;
+
+// Colour sampling grid: the text box plus a margin, scaled down to SAMPLE_W x SAMPLE_H
+const SAMPLE_W = 48;
+const SAMPLE_H = 16;
+const SAMPLE_MARGIN = 0.25; // of the box height, on every side
+// Border pixels closer than this to their median are one flat background box
+const FLAT_BACKGROUND = 40;
+// Pixels this far from the background are text
+const TEXT_CONTRAST = 90;
+
+const round = n => Math.round(n * 10) / 10;
+
+function alignmentOf(bbox) {
+    const left = bbox.x;
+    const right = 100 - (bbox.x + bbox.width);
+    if (Math.abs(left - right) <= CENTER_TOLERANCE) return 'center';
+    return left < right ? 'left' : 'right';
+}
+
+function estimateFontSize(bbox, lines = 1) {
+    const heightPx = (bbox.height / 100) * outputFormats.SOURCE_HEIGHT;
+    const size = heightPx / (FIRST_LINE_EM + NEXT_LINE_EM * (lines - 1));
+    return Math.round(Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, size)));
+}
+
+// ============ COLOURS ============
+
+const toHex = ([r, g, b]) => '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase();
+const fromHex = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+const luminance = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+function median(pixels) {
+    return [0, 1, 2].map(c => {
+        const values = pixels.map(p => p[c]).sort((a, b) => a - b);
+        return values[Math.floor(values.length / 2)];
+    });
+}
+
+/**
+ * Text and background colour from the pixels around a text box. The outer ring of
+ * the sample is background; when it is flat the text sat on a box and the text
+ * colour is whatever contrasts with it. Text over footage is taken to be the bright
+ * part (white or yellow captions with a dark outline).
+ * @param {Buffer} rgb - SAMPLE_W x SAMPLE_H rgb24 pixels
+ * @param {object} ring - { cols, rows }: width of the outer ring in sample pixels
+ * @returns {{ color: string, background: string|null }}
+ */
+function colorsFromPixels(rgb, { cols = 1, rows = 1 } = {}) {
+    const border = [];
+    const inner = [];
+    for (let row = 0; row < SAMPLE_H; row++) {
+        for (let col = 0; col < SAMPLE_W; col++) {
+            const i = (row * SAMPLE_W + col) * 3;
+            const pixel = [rgb[i], rgb[i + 1], rgb[i + 2]];
+            const edge = row < rows || row >= SAMPLE_H - rows || col < cols || col >= SAMPLE_W - cols;
+            (edge ? border : inner).push(pixel);
+        }
+    }
+
+    const background = median(border);
+    const spread = border.reduce((sum, p) => sum + distance(p, background), 0) / border.length;
+    if (spread < FLAT_BACKGROUND) {
+        const text = inner.filter(p => distance(p, background) > TEXT_CONTRAST);
+        const color = text.length >= 3 ? median(text) : (luminance(background) > 128 ? [0, 0, 0] : [255, 255, 255]);
+        return { color: toHex(color), background: toHex(background) };
+    }
+
+    const bright = inner.sort((a, b) => luminance(b) - luminance(a)).slice(0, Math.max(1, Math.round(inner.length * 0.15)));
+    return { color: toHex(median(bright)), background: null };
+}
+
+async function sampleColors(framePath, bbox) {
+    // Crop as fractions of the frame; the margin is the same in pixels on all sides
+    const padY = (bbox.height / 100) * SAMPLE_MARGIN;
+    const padX = padY * (outputFormats.SOURCE_HEIGHT / outputFormats.SOURCE_WIDTH);
+    const x = Math.max(0, bbox.x / 100 - padX);
+    const y = Math.max(0, bbox.y / 100 - padY);
+    const w = Math.min(1, (bbox.x + bbox.width) / 100 + padX) - x;
+    const h = Math.min(1, (bbox.y + bbox.height) / 100 + padY) - y;
+    const { stdout } = await media.ffmpeg([
+        '-loglevel', 'error', '-i', framePath,
+        '-vf', `crop=iw*${w.toFixed(4)}:ih*${h.toFixed(4)}:iw*${x.toFixed(4)}:ih*${y.toFixed(4)},scale=${SAMPLE_W}:${SAMPLE_H}:flags=neighbor,format=rgb24`,
+        '-frames:v', '1', '-f', 'rawvideo', 'pipe:1'
+    ], { binary: true });
+    if (stdout.length < SAMPLE_W * SAMPLE_H * 3) throw new Error(`ffmpeg returned ${stdout.length} bytes for the colour sample`);
+    return colorsFromPixels(stdout, {
+        cols: Math.max(1, Math.floor(SAMPLE_W * (bbox.x / 100 - x) / w)),
+        rows: Math.max(1, Math.floor(SAMPLE_H * (bbox.y / 100 - y) / h))
+    });
+}
+
+// ============ TRACKS ============
+
+/**
+ * Track for a detected text.
+ * @param {object} detected - a text-detection entry ({ bbox, lines })
+ * @param {string} framePath - the frame it was detected in (colour sample)
+ * @returns {Promise<object|null>} null without a box
+ */
+async function buildTrack(detected, framePath) {
+    if (!detected?.bbox?.width || !detected.bbox.height) return null;
+    const bbox = { x: round(detected.bbox.x), y: round(detected.bbox.y), width: round(detected.bbox.width), height: round(detected.bbox.height) };
+    const lines = detected.lines || 1;
+    const track = { bbox, align: alignmentOf(bbox), lines, fontSize: estimateFontSize(bbox, lines), color: null, background: null };
+    try {
+        Object.assign(track, await sampleColors(framePath, bbox));
+    } catch (e) {
+        if (e.cancelled) throw e;
+        console.error(`Colour sample failed for "${detected.text}": ${e.message}`);
+    }
+    return track;
+}
+
+// ============ RENDERING ============
+
+// '#RRGGBB' -> ASS '&H00BBGGRR'
+function assColor(hex) {
+    const [r, g, b] = fromHex(hex).map(c => c.toString(16).padStart(2, '0'));
+    return `&H00${b}${g}${r}`.toUpperCase();
+}
+
+/**
+ * Where and how to draw a track in one output format.
+ * @returns {{ an: number, x: number, y: number, scale: number, marginL: number, marginR: number }}
+ *   an/x/y for {\anN\pos(x,y)}; the margins narrow the wrap width to the room left of/right of the anchor
+ */
+function placement(track, format) {
+    const { width, height } = outputFormats.formatSize(format);
+    const { bbox, align } = track;
+    const anchorX = align === 'left' ? bbox.x : align === 'right' ? bbox.x + bbox.width : bbox.x + bbox.width / 2;
+    const point = outputFormats.mapPoint(anchorX, bbox.y + bbox.height / 2, format);
+    const edge = Math.round(width * 0.04);
+    // A crop can cut the original spot off - keep the text inside the frame
+    const x = Math.min(width - edge, Math.max(edge, point.x));
+    const halfHeight = Math.round((bbox.height / 100) * outputFormats.SOURCE_HEIGHT * point.scale / 2);
+    const y = Math.min(height - edge - halfHeight, Math.max(edge + halfHeight, point.y));
+
+    // Room for wrapping: at least the original box, at most to the frame edge
+    const boxWidth = Math.round((bbox.width / 100) * outputFormats.SOURCE_WIDTH * point.scale);
+    const room = align === 'left' ? width - edge - x
+        : align === 'right' ? x - edge
+        : 2 * Math.min(x - edge, width - edge - x);
+    const wrap = Math.min(width - 2 * edge, Math.max(boxWidth, room));
+    const margin = Math.max(0, Math.round((width - wrap) / 2));
+
+    return { an: { left: 4, center: 5, right: 6 }[align] || 5, x, y, scale: point.scale, marginL: margin, marginR: margin };
+}
+
+/**
+ * ASS style reproducing a track's size and colours: an opaque box in the sampled
+ * background colour (BorderStyle 3), or outlined text when it sat on footage.
+ */
+function assStyle(name, track, scale = 1) {
+    const size = Math.round(track.fontSize * scale);
+    const text = assColor(track.color || '#FFFFFF');
+    if (track.background) {
+        const box = assColor(track.background);
+        const padding = Math.max(4, Math.round(size * 0.25));
+        return `Style: ${name},Noto Sans,${size},${text},&H000000FF,${box},${box},1,0,0,0,100,100,0,0,3,${padding},0,5,0,0,0,1`;
+    }
+    // Dark outline around light text and the other way round
+    const outline = luminance(fromHex(track.color || '#FFFFFF')) > 128 ? '&H00000000' : '&H00FFFFFF';
+    return `Style: ${name},Noto Sans,${size},${text},&H000000FF,${outline},&H80000000,1,0,0,0,100,100,0,0,1,${Math.max(2, Math.round(size * 0.05))},2,5,0,0,0,1`;
+}
+
+module.exports = {
+    alignmentOf,
+    estimateFontSize,
+    colorsFromPixels,
+    buildTrack,
+    assColor,
+    placement,
+    assStyle
+};
@@ -0,0 +1,275 @@
+/**
+ * Translation Memory
+ * Stores translations keyed by normalized source text + language.
+ * Approved entries are reused verbatim and never sent back to the model;
+ * close (fuzzy) approved matches are passed to the model as references.
+ * Everything the model produces is recorded as an unapproved candidate
+ * so reviewers can fix and approve it.
+ * Stored in data/translation-memory.json; TRANSLATION_MEMORY_FILE points at a different file.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MEMORY_FILE = process.env.TRANSLATION_MEMORY_FILE || path.join(__dirname, '..', 'data', 'translation-memory.json');
+
+const FUZZY_THRESHOLD = 0.75;
+const MAX_REFERENCES = 3;
+
+function loadMemory() {
+    try {
+        if (fs.existsSync(MEMORY_FILE)) {
+            return JSON.parse(fs.readFileSync(MEMORY_FILE, 'utf8'));
+        }
+    } catch (e) {
+        console.error('Translation memory load error:', e);
+    }
+    return { entries: [] };
+}
+
+function saveMemory(memory) {
+    fs.mkdirSync(path.dirname(MEMORY_FILE), { recursive: true });
+    fs.writeFileSync(MEMORY_FILE, JSON.stringify(memory, null, 2));
+}
+
+// ID not used by any entry, also when several are added within one millisecond
+function entryId(memory) {
+    const base = `tm-${Date.now()}-${memory.entries.length}`;
+    let id = base;
+    for (let n = 2; memory.entries.some(e => e.id === id); n++) id = `${base}-${n}`;
+    return id;
+}
+
+// Case, punctuation, emoji and whitespace insensitive key
+function normalize(str) {
+    return (str || '')
+        .replace(/[\u{1F300}-\u{1F9FF}]/gu, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+// Levenshtein-based similarity, 1 = identical
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(
+                prev[j] + 1,
+                curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = curr;
+    }
+    return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+// ============ LOOKUP ============
+
+/**
+ * Approved exact match for a source text in a language, or null.
+ */
+function findApproved(source, lang, memory = loadMemory()) {
+    const key = normalize(source);
+    return memory.entries.find(e => e.approved && e.lang === lang && e.sourceKey === key) || null;
+}
+
+/**
+ * Approved entries similar to the source text (excluding exact matches).
+ * @returns {object[]} entries with a `score` field, best first
+ */
+function findFuzzy(source, lang, memory = loadMemory(), threshold = FUZZY_THRESHOLD) {
+    const key = normalize(source);
+    return memory.entries
+        .filter(e => e.approved && e.lang === lang && e.sourceKey !== key)
+        .map(e => ({ ...e, score: similarity(key, e.sourceKey) }))
+        .filter(e => e.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_REFERENCES);
+}
+
+/**
+ * Prompt block listing fuzzy approved matches for the texts about to be translated.
+ * @returns {string} Empty string when there are none
+ */
+function buildPromptReferences(texts, langs, memory = loadMemory()) {
+    const lines = [];
+    texts.forEach(t => {
+        langs.forEach(lang => {
+            findFuzzy(t, lang, memory).forEach(m => {
+                lines.push(`- ${lang}: "${m.source}" → "${m.text}"`);
+            });
+        });
+    });
+    if (!lines.length) return '';
+    return `\n\nAPPROVED TRANSLATIONS OF SIMILAR LINES (reuse their wording where it fits):\n${[...new Set(lines)].join('\n')}`;
+}
+
+// ============ RECORDING ============
+
+/**
+ * Record translations as unapproved candidates.
+ * Approved entries are never overwritten.
+ *
+ * @param {object[]} items - [{ source, lang, text }]
+ * @param {object} options - { origin: 'model' | 'proofread' | 'manual' }
+ */
+function record(items, { origin = 'model' } = {}) {
+    if (!items.length) return;
+    const memory = loadMemory();
+    const now = new Date().toISOString();
+    let changed = false;
+
+    items.forEach(({ source, lang, text }) => {
+        const key = normalize(source);
+        if (!key || !text) return;
+        const existing = memory.entries.find(e => e.lang === lang && e.sourceKey === key);
+        if (existing) {
+            if (existing.approved || existing.text === text) return;
+            existing.text = text;
+            existing.origin = origin;
+            existing.updated = now;
+        } else {
+            memory.entries.push({
+                id: entryId(memory),
+                source,
+                sourceKey: key,
+                lang,
+                text,
+                approved: false,
+                origin,
+                created: now
+            });
+        }
+        changed = true;
+    });
+
+    if (changed) saveMemory(memory);
+}
+
+/**
+ * Store reviewer-approved translations, overwriting any existing entry.
+ *
+ * @param {object[]} items - [{ source, lang, text }]
+ * @param {object} options - { approvedBy }
+ */
+function approve(items, { approvedBy = null } = {}) {
+    if (!items.length) return;
+    const memory = loadMemory();
+    const now = new Date().toISOString();
+
+    items.forEach(({ source, lang, text }) => {
+        const key = normalize(source);
+        if (!key || !text) return;
+        let entry = memory.entries.find(e => e.lang === lang && e.sourceKey === key);
+        if (!entry) {
+            entry = { id: entryId(memory), source, sourceKey: key, lang, created: now };
+            memory.entries.push(entry);
+        } else {
+            entry.updated = now;
+        }
+        Object.assign(entry, { text, approved: true, origin: 'manual', approvedBy, approvedAt: now });
+    });
+
+    saveMemory(memory);
+}
+
+// ============ BROWSE / EDIT ============
+
+function listEntries({ lang, q, approved } = {}) {
+    const query = q ? normalize(q) : '';
+    return loadMemory().entries.filter(e => {
+        if (lang && e.lang !== lang) return false;
+        if (approved !== undefined && e.approved !== approved) return false;
+        if (query && !e.sourceKey.includes(query) && !normalize(e.text).includes(query)) return false;
+        return true;
+    });
+}
+
+function tmError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+function addEntry({ source, lang, text, approved = true, approvedBy }) {
+    if (typeof source !== 'string' || typeof lang !== 'string' || typeof text !== 'string') {
+        throw tmError('source, lang and text must be strings', 400);
+    }
+    if (!source.trim() || !lang || !text.trim()) {
+        throw tmError('source, lang and text are required', 400);
+    }
+    const memory = loadMemory();
+    const key = normalize(source);
+    const code = lang.toUpperCase();
+    if (memory.entries.some(e => e.lang === code && e.sourceKey === key)) {
+        throw tmError('Entry already exists for this source and language', 409);
+    }
+    const now = new Date().toISOString();
+    const entry = {
+        id: entryId(memory),
+        source: source.trim(),
+        sourceKey: key,
+        lang: code,
+        text: text.trim(),
+        approved: !!approved,
+        origin: 'manual',
+        created: now,
+        ...(approved ? { approvedBy: approvedBy || null, approvedAt: now } : {})
+    };
+    memory.entries.push(entry);
+    saveMemory(memory);
+    return entry;
+}
+
+// Edit text and/or approval state. Editing the text marks the entry as a manual fix.
+function updateEntry(id, { text, approved, approvedBy }) {
+    if (text !== undefined && typeof text !== 'string') throw tmError('text must be a string', 400);
+    const memory = loadMemory();
+    const entry = memory.entries.find(e => e.id === id);
+    if (!entry) return null;
+
+    const now = new Date().toISOString();
+    if (text !== undefined && text.trim() && text.trim() !== entry.text) {
+        entry.text = text.trim();
+        entry.origin = 'manual';
+    }
+    if (approved !== undefined) {
+        entry.approved = !!approved;
+        if (entry.approved) {
+            entry.approvedBy = approvedBy || entry.approvedBy || null;
+            entry.approvedAt = now;
+        } else {
+            delete entry.approvedBy;
+            delete entry.approvedAt;
+        }
+    }
+    entry.updated = now;
+    saveMemory(memory);
+    return entry;
+}
+
+function deleteEntry(id) {
+    const memory = loadMemory();
+    const index = memory.entries.findIndex(e => e.id === id);
+    if (index === -1) return false;
+    memory.entries.splice(index, 1);
+    saveMemory(memory);
+    return true;
+}
+
+module.exports = {
+    loadMemory,
+    normalize,
+    findApproved,
+    findFuzzy,
+    buildPromptReferences,
+    record,
+    approve,
+    listEntries,
+    addEntry,
+    updateEntry,
+    deleteEntry
+};
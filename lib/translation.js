@@ -0,0 +1,292 @@
+/**
+ * Translation Service
+ * One entry point for every model-backed translation in the localizer.
+ * Backends (OpenAI, Anthropic, local) are interchangeable and can be
+ * routed per target language via environment variables.
+ * Glossary rules are appended to every system prompt and approved
+ * translation-memory entries are reused instead of re-translating.
+ */
+const glossary = require('./glossary');
+const translationMemory = require('./translation-memory');
+const config = require('./config');
+const retry = require('./retry');
+const spend = require('./spend');
+
+const LANG_NAMES = {
+    SI: 'Slovenian', HR: 'Croatian', CZ: 'Czech', PL: 'Polish', BG: 'Bulgarian', RO: 'Romanian',
+    GR: 'Greek', IT: 'Italian', HU: 'Hungarian', SK: 'Slovak', DE: 'German', EN: 'English'
+};
+
+// ============ PROVIDERS ============
+// Each provider implements complete(request) -> raw text content.
+// request: { system, user, maxTokens, temperature, fast, model, texts, langs }
+
+const providers = {
+    openai: {
+        models: { default: 'gpt-4o', fast: 'gpt-4o-mini' },
+        async complete(request) {
+            const response = await fetch('https://api.openai.com/v1/chat/completions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${config.key('openai')}` },
+                body: JSON.stringify({
+                    model: request.model,
+                    messages: [
+                        ...(request.system ? [{ role: 'system', content: request.system }] : []),
+                        { role: 'user', content: request.user }
+                    ],
+                    max_tokens: request.maxTokens,
+                    ...(request.temperature !== undefined ? { temperature: request.temperature } : {})
+                }),
+                signal: retry.timeoutSignal()
+            });
+            const data = await retry.readJson('openai', response);
+            spend.record('openai', request.model, {
+                inputTokens: data.usage?.prompt_tokens,
+                outputTokens: data.usage?.completion_tokens
+            });
+            return data.choices?.[0]?.message?.content || '';
+        }
+    },
+
+    anthropic: {
+        models: { default: 'claude-sonnet-4-5', fast: 'claude-haiku-4-5' },
+        async complete(request) {
+            const response = await fetch('https://api.anthropic.com/v1/messages', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': config.key('anthropic'),
+                    'anthropic-version': '2023-06-01'
+                },
+                body: JSON.stringify({
+                    model: request.model,
+                    max_tokens: request.maxTokens,
+                    ...(request.system ? { system: request.system } : {}),
+                    messages: [{ role: 'user', content: request.user }],
+                    ...(request.temperature !== undefined ? { temperature: request.temperature } : {})
+                }),
+                signal: retry.timeoutSignal()
+            });
+            const data = await retry.readJson('anthropic', response);
+            spend.record('anthropic', request.model, {
+                inputTokens: data.usage?.input_tokens,
+                outputTokens: data.usage?.output_tokens
+            });
+            return (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+        }
+    },
+
+    // Deterministic offline backend for tests/CI: never touches the network.
+    // Batch requests come back tagged "[HR] text", list requests unchanged.
+    local: {
+        models: { default: 'local', fast: 'local' },
+        async complete(request) {
+            const texts = request.texts || [];
+            if (request.langs?.length) {
+                return JSON.stringify(texts.map(t => {
+                    const row = {};
+                    request.langs.forEach(l => { row[l] = `[${l}] ${t}`; });
+                    return row;
+                }));
+            }
+            return JSON.stringify(texts);
+        }
+    }
+};
+
+function registerProvider(name, provider) {
+    providers[name] = provider;
+}
+
+// Resolve which backend + model handles a language.
+// TRANSLATION_PROVIDER sets the default; TRANSLATION_PROVIDER_HU etc. override per language.
+// TRANSLATION_MODEL / TRANSLATION_MODEL_HU override the provider's model the same way.
+function resolveRoute(lang, fast) {
+    const providerName = (lang && process.env[`TRANSLATION_PROVIDER_${lang}`])
+        || process.env.TRANSLATION_PROVIDER
+        || 'openai';
+    const provider = providers[providerName];
+    if (!provider) throw new Error(`Unknown translation provider: ${providerName}`);
+
+    const model = (lang && process.env[`TRANSLATION_MODEL_${lang}`])
+        || process.env.TRANSLATION_MODEL
+        || (fast ? provider.models.fast : provider.models.default);
+
+    return { providerName, provider, model };
+}
+
+// ============ RESPONSE PARSING ============
+
+// Pull a JSON array/object out of a model reply, tolerating code fences,
+// smart quotes and trailing commas.
+function parseJsonResponse(content, shape = 'array') {
+    const cleaned = (content || '')
+        .replace(/^```(?:json)?\s*/m, '')
+        .replace(/```\s*$/m, '')
+        .trim();
+
+    const match = shape === 'object' ? cleaned.match(/\{[\s\S]*\}/) : cleaned.match(/\[[\s\S]*\]/);
+    if (!match) throw retry.malformedReply(`No JSON ${shape} in response`);
+
+    try {
+        return JSON.parse(match[0]);
+    } catch (e) {
+        const jsonStr = match[0]
+            .replace(/[\u201C\u201D]/g, '"')
+            .replace(/[\u2018\u2019]/g, "'")
+            .replace(/,\s*]/g, ']')
+            .replace(/,\s*}/g, '}');
+        try {
+            return JSON.parse(jsonStr);
+        } catch (e2) {
+            throw retry.malformedReply(`Invalid JSON ${shape} in response: ${e2.message}`);
+        }
+    }
+}
+
+// ============ PUBLIC API ============
+
+function withGlossary(system, langs, useGlossary) {
+    if (!useGlossary) return system;
+    return (system || '') + glossary.buildPromptRules(langs);
+}
+
+/**
+ * Run one completion through the routed provider and parse JSON out of it.
+ * Network errors, rate limits and unparsable replies are retried (lib/retry.js);
+ * `validate(parsed)` can reject a reply that parses but is incomplete.
+ */
+async function completeJson(request, { lang, shape = 'array', validate } = {}) {
+    const { providerName, provider, model } = resolveRoute(lang, request.fast);
+    return retry.withRetry(async () => {
+        const content = await provider.complete({ ...request, model });
+        const parsed = parseJsonResponse(content, shape);
+        if (validate) validate(parsed);
+        return parsed;
+    }, { label: `translate ${providerName}/${model}${lang ? ' ' + lang : ''}` });
+}
+
+// Every text must come back with a non-empty string for every language
+function requireComplete(count, langs) {
+    return (parsed) => {
+        if (!Array.isArray(parsed) || parsed.length < count) {
+            throw retry.malformedReply(`Expected ${count} translations, got ${Array.isArray(parsed) ? parsed.length : 'none'}`);
+        }
+        parsed.slice(0, count).forEach((row, i) => {
+            const missing = langs
+                ? langs.filter(l => typeof row?.[l] !== 'string' || !row[l].trim())
+                : (typeof row === 'string' && row.trim() ? [] : ['text']);
+            if (missing.length) throw retry.malformedReply(`Translation ${i + 1} is missing ${missing.join(', ')}`);
+        });
+    };
+}
+
+/**
+ * Translate texts into several languages at once.
+ * Approved translation-memory hits are filled in first and never sent to the model;
+ * the rest is grouped by provider/model route and requested once per group.
+ *
+ * @param {string[]} texts - Source texts
+ * @param {string[]} langs - Target language codes (HR, CZ, ...)
+ * @param {object} options - { system, buildUser(langs, texts), maxTokens, temperature, fast,
+ *                             useGlossary, useMemory, sourceLang }
+ * @returns {Promise<object[]>} One { HR: '...', CZ: '...' } object per source text.
+ *   Rejects when a route still fails or leaves texts untranslated after its retries.
+ */
+async function translateBatch(texts, langs, options = {}) {
+    const {
+        system, buildUser, maxTokens = 8000, temperature, fast = false,
+        useGlossary = true, useMemory = true, sourceLang = 'SI'
+    } = options;
+
+    const results = texts.map(() => ({}));
+    const memory = useMemory ? translationMemory.loadMemory() : null;
+    const memoryLangs = langs.filter(l => l !== sourceLang);
+
+    if (memory) {
+        texts.forEach((t, i) => memoryLangs.forEach(l => {
+            const hit = translationMemory.findApproved(t, l, memory);
+            if (hit) results[i][l] = hit.text;
+        }));
+    }
+
+    // Group languages by route so each backend gets one request
+    const groups = new Map();
+    langs.forEach(lang => {
+        const { providerName, model } = resolveRoute(lang, fast);
+        const key = `${providerName}/${model}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(lang);
+    });
+
+    const recorded = [];
+    for (const groupLangs of groups.values()) {
+        // Only texts still missing a language in this group go to the model
+        const pending = texts.map((_, i) => i).filter(i => groupLangs.some(l => !results[i][l]));
+        if (!pending.length) continue;
+        const pendingTexts = pending.map(i => texts[i]);
+
+        let groupSystem = withGlossary(typeof system === 'function' ? system(groupLangs) : system, groupLangs, useGlossary);
+        if (memory) groupSystem = (groupSystem || '') + translationMemory.buildPromptReferences(pendingTexts, groupLangs, memory);
+
+        const parsed = await completeJson({
+            system: groupSystem,
+            user: buildUser(groupLangs, pendingTexts),
+            maxTokens,
+            temperature,
+            fast,
+            texts: pendingTexts,
+            langs: groupLangs
+        }, { lang: groupLangs[0], validate: requireComplete(pendingTexts.length, groupLangs) });
+
+        parsed.forEach((row, j) => {
+            const i = pending[j];
+            if (i === undefined || !row || typeof row !== 'object') return;
+            groupLangs.forEach(l => {
+                if (!row[l] || results[i][l]) return;
+                results[i][l] = row[l];
+                if (memoryLangs.includes(l)) recorded.push({ source: texts[i], lang: l, text: row[l] });
+            });
+        });
+    }
+
+    if (memory) translationMemory.record(recorded, { origin: 'model' });
+
+    return results;
+}
+
+/**
+ * Translate (or rewrite) a list of texts into a single language.
+ * The reply is expected to be a JSON array of strings in the same order.
+ *
+ * @param {string[]} texts - Source texts
+ * @param {object} options - { system, user, lang, maxTokens, temperature, fast, useGlossary }
+ * @returns {Promise<string[]>}
+ */
+async function translateList(texts, options = {}) {
+    const { system, user, lang, maxTokens = 1500, temperature, fast = false, useGlossary = true } = options;
+    return completeJson({
+        system: withGlossary(system, lang ? [lang] : [], useGlossary),
+        user: user || JSON.stringify(texts),
+        maxTokens,
+        temperature,
+        fast,
+        texts
+    }, { lang, validate: requireComplete(texts.length) });
+}
+
+// Numbered list used in most translation prompts: 1. "text"
+function numberedList(texts) {
+    return texts.map((t, i) => `${i + 1}. "${t}"`).join('\n');
+}
+
+module.exports = {
+    translateBatch,
+    translateList,
+    completeJson,
+    parseJsonResponse,
+    registerProvider,
+    resolveRoute,
+    numberedList,
+    LANG_NAMES
+};
@@ -0,0 +1,228 @@
+/**
+ * Outgoing Webhooks
+ * Tells other systems when localizer jobs (v1 localize and generate) start,
+ * finish a language, fail QC, finish or fail. Hooks are kept in data/webhooks.json
+ * and managed through /api/webhooks:
+ *   { id, type: 'http', url, secret, events: [...], enabled }  - signed JSON POST
+ *   { id, type: 'slack', events: [...], enabled }               - handled in-process by
+ *                                                                 the formatter registered for the type
+ *
+ * Events: job.started, job.language_done, job.qc_failed, job.done, job.error
+ *
+ * HTTP deliveries POST { id, event, createdAt, job, lang?, qc? } with headers
+ *   X-Webhook-Event, X-Webhook-Delivery and
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the secret>
+ * Failed deliveries are retried with the shared policy (lib/retry.js); the outcome
+ * of the last one is stored on the hook (lastDelivery).
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jobEngine = require('./job-engine');
+const retry = require('./retry');
+
+const HOOKS_FILE = path.join(__dirname, '..', 'data', 'webhooks.json');
+const EVENTS = ['job.started', 'job.language_done', 'job.qc_failed', 'job.done', 'job.error'];
+const JOB_TYPES = ['localize', 'generate'];
+const RUNNING_STATUSES = ['analyzing', 'translating', 'generating'];
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERY_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+
+const formatters = {}; // type -> async (event, payload, job) => void
+let describeJob = job => ({ id: job.id, type: job.type, name: job.name, status: job.status });
+
+function hookError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+// ============ STORE ============
+
+let hooks = load();
+
+function load() {
+    try {
+        if (fs.existsSync(HOOKS_FILE)) return JSON.parse(fs.readFileSync(HOOKS_FILE, 'utf8'));
+    } catch (e) {
+        console.error('Error loading webhooks:', e.message);
+    }
+    return [];
+}
+
+function save() {
+    try {
+        fs.mkdirSync(path.dirname(HOOKS_FILE), { recursive: true });
+        fs.writeFileSync(HOOKS_FILE, JSON.stringify(hooks, null, 2));
+    } catch (e) {
+        console.error('Error saving webhooks:', e.message);
+    }
+}
+
+// Validated hook fields from a request body; `current` when updating
+function normalize(input, current = {}) {
+    const type = input.type || current.type || 'http';
+    if (type !== 'http' && !formatters[type]) throw hookError(`Unknown webhook type: ${type}`, 400);
+
+    const events = input.events ?? current.events ?? EVENTS;
+    if (!Array.isArray(events) || !events.length || events.some(e => !EVENTS.includes(e))) {
+        throw hookError(`events must be a list of: ${EVENTS.join(', ')}`, 400);
+    }
+
+    const hook = { type, events, enabled: input.enabled ?? current.enabled ?? true };
+    if (type === 'http') {
+        const url = input.url || current.url;
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            throw hookError('url must be an absolute http(s) URL', 400);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw hookError('url must be an absolute http(s) URL', 400);
+        hook.url = parsed.toString();
+        hook.secret = current.secret || crypto.randomBytes(24).toString('hex');
+    }
+    return hook;
+}
+
+// Hooks without their secrets (shown once, when a hook is created)
+function list() {
+    return hooks.map(({ secret, ...hook }) => hook);
+}
+
+function get(id) {
+    return hooks.find(h => h.id === id) || null;
+}
+
+function create(input) {
+    const hook = { id: `hook-${Date.now()}`, ...normalize(input), createdAt: new Date().toISOString() };
+    hooks.push(hook);
+    save();
+    return hook;
+}
+
+function update(id, input) {
+    const hook = get(id);
+    if (!hook) throw hookError('Webhook not found', 404);
+    Object.assign(hook, normalize(input, hook));
+    save();
+    const { secret, ...shown } = hook;
+    return shown;
+}
+
+function remove(id) {
+    if (!get(id)) throw hookError('Webhook not found', 404);
+    hooks = hooks.filter(h => h.id !== id);
+    save();
+}
+
+// ============ DELIVERY ============
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function post(hook, payload) {
+    const body = JSON.stringify(payload);
+    await retry.withRetry(async () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await fetch(hook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'launches-webhooks',
+                'X-Webhook-Event': payload.event,
+                'X-Webhook-Delivery': payload.id,
+                'X-Webhook-Signature': `t=${timestamp},v1=${sign(hook.secret, timestamp, body)}`
+            },
+            body,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+        if (!response.ok) throw retry.httpError('webhook', response, (await response.text()).slice(0, 200));
+    }, { label: `webhook ${hook.id} ${payload.event}`, attempts: DELIVERY_ATTEMPTS });
+}
+
+async function deliver(hook, payload, job) {
+    const record = { event: payload.event, deliveryId: payload.id, at: new Date().toISOString() };
+    try {
+        if (hook.type === 'http') await post(hook, payload);
+        else await formatters[hook.type](payload.event, payload, job);
+        record.ok = true;
+    } catch (e) {
+        console.error(`[${job.id}] Webhook ${hook.id} (${payload.event}) failed:`, e.message);
+        Object.assign(record, { ok: false, error: e.message, attempts: e.attempts });
+    }
+    // The hook may have been changed or removed while delivering
+    const current = get(hook.id);
+    if (current) {
+        current.lastDelivery = record;
+        save();
+    }
+    return record;
+}
+
+/**
+ * Send an event for a job to every enabled hook that subscribes to it.
+ * @param {string} event - one of EVENTS
+ * @param {object} job
+ * @param {object} extra - merged into the payload ({ lang }, { lang, qc })
+ */
+function emit(event, job, extra = {}) {
+    const targets = hooks.filter(h => h.enabled && h.events.includes(event));
+    if (!targets.length) return;
+    const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        job: describeJob(job),
+        ...extra
+    };
+    targets.forEach(hook => deliver(hook, payload, job));
+}
+
+// A sample job.done event for one hook, delivered right away. createdBy (the user
+// testing) stands in for the author, so a Slack test DM goes to them.
+function test(id, { createdBy = null } = {}) {
+    const hook = get(id);
+    if (!hook) throw hookError('Webhook not found', 404);
+    const job = { id: 'test', type: 'generate', name: 'Webhook test', status: 'done', createdBy, countries: [], outputs: {}, langStatus: {} };
+    const payload = { id: crypto.randomUUID(), event: 'job.done', createdAt: new Date().toISOString(), test: true, job: describeJob(job) };
+    return deliver(hook, payload, job);
+}
+
+// ============ JOB EVENTS ============
+
+const watched = job => JOB_TYPES.includes(job.type);
+
+jobEngine.events.on('status', (job, from) => {
+    if (!watched(job)) return;
+    if (from === 'queued' && RUNNING_STATUSES.includes(job.status)) emit('job.started', job);
+    else if (job.status === 'done') emit('job.done', job);
+    else if (job.status === 'error') emit('job.error', job, { error: job.error });
+});
+
+jobEngine.events.on('lang', (job, lang, status) => {
+    if (watched(job) && status === 'done') emit('job.language_done', job, { lang });
+});
+
+jobEngine.events.on('qc', (job, lang, qc) => {
+    if (watched(job) && qc.passed === false) emit('job.qc_failed', job, { lang, qc });
+});
+
+/**
+ * @param {object} options - { describeJob(job): the `job` object of payloads (links etc.),
+ *                             formatters: { type: async (event, payload, job) => void } }
+ */
+function configure(options) {
+    if (options.describeJob) describeJob = options.describeJob;
+    Object.assign(formatters, options.formatters || {});
+}
+
+module.exports = {
+    EVENTS,
+    configure,
+    list,
+    create,
+    update,
+    remove,
+    test,
+    emit
+};
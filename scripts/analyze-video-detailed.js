@@ -1,7 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const config = require('../lib/config');
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const OPENAI_API_KEY = config.key('openai');
 
 const framesDir = '/home/ec2-user/.openclaw/workspace2/launches/uploads/analysis';
 const outputDir = '/home/ec2-user/.openclaw/workspace2/launches/uploads/output';
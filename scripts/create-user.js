@@ -0,0 +1,41 @@
+/**
+ * Create or update a login.
+ *
+ *   node scripts/create-user.js <username> <roles> [initials] [name]
+ *
+ * roles: comma-separated admin,creator,country_manager,finance
+ * The password is read from USER_PASSWORD or asked for on the terminal.
+ */
+const readline = require('readline');
+const auth = require('../lib/auth');
+
+function askPassword() {
+    if (process.env.USER_PASSWORD) return Promise.resolve(process.env.USER_PASSWORD);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question('Password: ', answer => {
+        rl.close();
+        resolve(answer);
+    }));
+}
+
+async function main() {
+    const [username, roles, initials, name] = process.argv.slice(2);
+    if (!username || !roles) {
+        console.error('Usage: node scripts/create-user.js <username> <roles> [initials] [name]');
+        console.error(`Roles: ${auth.ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const password = await askPassword();
+    const exists = auth.listUsers().some(u => u.username === username.toLowerCase());
+    const user = exists
+        ? auth.updateUser(username, { password, roles, initials, name })
+        : auth.createUser({ username, password, roles, initials, name });
+
+    console.log(`${exists ? 'Updated' : 'Created'} ${user.username} (${user.roles.join(', ')})`);
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
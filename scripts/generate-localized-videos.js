@@ -1,8 +1,9 @@
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const media = require('../lib/media-command');
+const config = require('../lib/config');
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const OPENAI_API_KEY = config.key('openai');
 
 const outputDir = '/home/ec2-user/.openclaw/workspace2/launches/uploads/output';
 const videoPath = '/home/ec2-user/.openclaw/workspace2/launches/uploads/video-1771851291246.mp4';
@@ -151,10 +152,10 @@ async function main() {
         
         // FFmpeg command with styled subtitles
         // White text with black outline, centered
-        const cmd = `ffmpeg -y -i "${videoPath}" -vf "subtitles='${srtPath}':force_style='FontName=Arial,FontSize=24,PrimaryColour=&H00FFFFFF,OutlineColour=&H00000000,Outline=2,Alignment=2,MarginV=80'" -c:a copy "${outVideo}" 2>/dev/null`;
+        const vf = `${media.subtitlesFilter(srtPath)}:force_style='FontName=Arial,FontSize=24,PrimaryColour=&H00FFFFFF,OutlineColour=&H00000000,Outline=2,Alignment=2,MarginV=80'`;
         
         try {
-            execSync(cmd, { stdio: 'pipe' });
+            await media.ffmpeg(['-i', videoPath, '-vf', vf, '-c:a', 'copy', outVideo]);
             const size = (fs.statSync(outVideo).size / 1024 / 1024).toFixed(1);
             console.log(`   ✅ ${lang}: ${outVideo} (${size} MB)`);
         } catch (e) {
@@ -4,12 +4,12 @@
  */
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const media = require('../lib/media-command');
+const config = require('../lib/config');
+const retry = require('../lib/retry');
 
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'ff5070a28c04b3fd0122f71f068f1ea4937ddc194e5918152481b4ef4bd5fbab';
 const ELEVENLABS_MODEL = 'eleven_multilingual_v2';
 const DEFAULT_VOICE_ID = '21m00Tcm4TlvDq8ikWAM'; // Rachel
-const FFMPEG = '/usr/local/bin/ffmpeg';
 
 // Voice settings for consistent, professional sound
 const VOICE_SETTINGS = {
@@ -60,27 +60,32 @@ function parseAssTime(timeStr) {
 }
 
 /**
- * Generate TTS audio clip using ElevenLabs
+ * Generate TTS audio clip using ElevenLabs (retried per lib/retry.js)
  */
 async function generateTTSClip(text, outputPath, voiceId) {
-    const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId || DEFAULT_VOICE_ID}`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'xi-api-key': ELEVENLABS_API_KEY
-        },
-        body: JSON.stringify({
-            text,
-            model_id: ELEVENLABS_MODEL,
-            voice_settings: VOICE_SETTINGS
-        })
-    });
-
-    if (!response.ok) {
-        throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText}`);
-    }
+    const buffer = await retry.withRetry(async () => {
+        const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId || DEFAULT_VOICE_ID}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'xi-api-key': config.key('elevenlabs')
+            },
+            body: JSON.stringify({
+                text,
+                model_id: ELEVENLABS_MODEL,
+                voice_settings: VOICE_SETTINGS
+            })
+        });
+
+        if (!response.ok) {
+            throw retry.httpError('ElevenLabs API', response, await response.text());
+        }
+
+        const audio = Buffer.from(await response.arrayBuffer());
+        if (!audio.length) throw retry.malformedReply('ElevenLabs API returned empty audio');
+        return audio;
+    }, { label: 'TTS clip' });
 
-    const buffer = Buffer.from(await response.arrayBuffer());
     fs.writeFileSync(outputPath, buffer);
     return outputPath;
 }
@@ -88,26 +93,25 @@ async function generateTTSClip(text, outputPath, voiceId) {
 /**
  * Normalize audio clip to target loudness (EBU R128, 2-pass)
  */
-function normalizeClip(inputPath, outputPath, targetLUFS = -16) {
-    // Pass 1: measure
-    const measureOutput = execSync(
-        `${FFMPEG} -i "${inputPath}" -af "loudnorm=I=${targetLUFS}:LRA=7:TP=-1.5:print_format=json" -f null /dev/null 2>&1`,
-        { encoding: 'utf8' }
+async function normalizeClip(inputPath, outputPath, targetLUFS = -16) {
+    // Pass 1: measure (loudnorm prints its JSON to stderr)
+    const { stderr: measureOutput } = await media.ffmpeg(
+        ['-i', inputPath, '-af', `loudnorm=I=${targetLUFS}:LRA=7:TP=-1.5:print_format=json`, '-f', 'null', '-']
     );
 
     // Extract measured values
     const jsonMatch = measureOutput.match(/\{[\s\S]*"input_i"[\s\S]*?\}/);
     if (!jsonMatch) {
         // Fallback: simple volume normalization
-        execSync(`${FFMPEG} -y -i "${inputPath}" -af "loudnorm=I=${targetLUFS}:LRA=7:TP=-1.5" "${outputPath}" 2>/dev/null`);
+        await media.ffmpeg(['-i', inputPath, '-af', `loudnorm=I=${targetLUFS}:LRA=7:TP=-1.5`, outputPath]);
         return;
     }
 
     const measured = JSON.parse(jsonMatch[0]);
 
     // Pass 2: apply with measured values
-    execSync(
-        `${FFMPEG} -y -i "${inputPath}" -af "loudnorm=I=${targetLUFS}:LRA=7:TP=-1.5:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}:linear=true" "${outputPath}" 2>/dev/null`
+    await media.ffmpeg(
+        ['-i', inputPath, '-af', `loudnorm=I=${targetLUFS}:LRA=7:TP=-1.5:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}:linear=true`, outputPath]
     );
 }
 
@@ -150,18 +154,18 @@ async function addVoiceover(videoPath, assPath, outputPath, options = {}) {
             const normPath = path.join(workDir, `clip_${i}.mp3`);
 
             await generateTTSClip(d.text, rawPath, voiceId);
-            normalizeClip(rawPath, normPath, targetLUFS);
+            await normalizeClip(rawPath, normPath, targetLUFS);
         }
 
         // Build ffmpeg filter to mix all clips at correct timestamps
-        let inputs = '';
+        const inputs = [];
         let filter = '';
         let amixInputs = '';
 
         for (let i = 0; i < dialogues.length; i++) {
             const d = dialogues[i];
             const clipPath = path.join(workDir, `clip_${i}.mp3`);
-            inputs += ` -i "${clipPath}"`;
+            inputs.push('-i', clipPath);
 
             const delayMs = Math.round(d.start * 1000);
             filter += `[${i + 1}:a]adelay=${delayMs}|${delayMs},volume=${voiceoverVolume}[a${i}];`;
@@ -173,10 +177,8 @@ async function addVoiceover(videoPath, assPath, outputPath, options = {}) {
         // Duck original audio and mix with voiceover
         filter += `[0:a]volume=${originalVolume}[orig];[orig][voiceover]amix=inputs=2:duration=first:weights=1 ${voiceoverVolume}[final]`;
 
-        const cmd = `${FFMPEG} -y -i "${videoPath}"${inputs} -filter_complex "${filter}" -map 0:v -map "[final]" -c:v copy -c:a aac -b:a 192k "${outputPath}" 2>&1`;
-
         console.log(`[Voiceover] Mixing audio...`);
-        execSync(cmd, { maxBuffer: 50 * 1024 * 1024 });
+        await media.ffmpeg(['-i', videoPath, ...inputs, '-filter_complex', filter, '-map', '0:v', '-map', '[final]', '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k', outputPath]);
         console.log(`[Voiceover] Done: ${outputPath}`);
 
     } finally {
@@ -2,6 +2,30 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
+const translation = require('./lib/translation');
+const glossary = require('./lib/glossary');
+const translationMemory = require('./lib/translation-memory');
+const subtitles = require('./lib/subtitles');
+const { formatAssTime, escapeAssText, escapeAssHeader } = subtitles;
+const outputFormats = require('./lib/output-formats');
+const renderPool = require('./lib/render-pool');
+const media = require('./lib/media-command');
+const auth = require('./lib/auth');
+const config = require('./lib/config');
+const mediaResolver = require('./lib/media-resolver');
+const imageProxy = require('./lib/image-proxy');
+const jobEngine = require('./lib/job-engine');
+const jobStream = require('./lib/job-stream');
+const retry = require('./lib/retry');
+const openai = require('./lib/openai');
+const spend = require('./lib/spend');
+const nightQueue = require('./lib/night-queue');
+const webhooks = require('./lib/webhooks');
+const textDetection = require('./lib/text-detection');
+const textTracks = require('./lib/text-tracks');
+const analysisCache = require('./lib/analysis-cache');
+const cleanPlate = require('./lib/clean-plate');
+const frameSampler = require('./lib/frame-sampler');
 
 // Configure multer for video uploads
 const storage = multer.diskStorage({
@@ -28,24 +52,95 @@ const upload = multer({
 const app = express();
 const PORT = process.env.PORT || 3006;
 const DATA_FILE = path.join(__dirname, 'data.json');
-const QUEUE_FILE = path.join(__dirname, 'queue.json');
 
-// Queue persistence
-function loadQueue() {
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+app.use(auth.authenticate);
+
+// ============ AUTH API ============
+auth.bootstrapAdmin();
+
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) return res.status(400).json({ error: 'Missing username or password' });
+    
+    const session = auth.login(username, password);
+    if (!session) return res.status(401).json({ error: 'Napačno uporabniško ime ali geslo' });
+    
+    auth.setSessionCookie(req, res, session.token);
+    console.log(`👤 ${session.user.username} logged in`);
+    res.json({ user: session.user });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    auth.logout(auth.sessionToken(req));
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', auth.requireAuth, (req, res) => {
+    res.json({ user: req.user });
+});
+
+// User management (admin only)
+app.get('/api/auth/users', auth.requireRole('admin'), (req, res) => {
+    res.json({ users: auth.listUsers(), roles: auth.ROLES });
+});
+
+app.post('/api/auth/users', auth.requireRole('admin'), (req, res) => {
     try {
-        if (fs.existsSync(QUEUE_FILE)) {
-            return JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
-        }
-    } catch (e) { console.error('Queue load error:', e); }
-    return [];
-}
+        res.json({ user: auth.createUser(req.body) });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
 
-function saveQueue(queue) {
-    fs.writeFileSync(QUEUE_FILE, JSON.stringify(queue, null, 2));
-}
+app.put('/api/auth/users/:username', auth.requireRole('admin'), (req, res) => {
+    try {
+        res.json({ user: auth.updateUser(req.params.username, req.body) });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
 
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+app.delete('/api/auth/users/:username', auth.requireRole('admin'), (req, res) => {
+    if (req.params.username === req.user.username) {
+        return res.status(400).json({ error: 'Cannot delete yourself' });
+    }
+    try {
+        res.json({ user: auth.deleteUser(req.params.username) });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+// ============ END AUTH API ============
+
+// Which integrations have usable keys (never returns the keys themselves)
+app.get('/api/config/status', auth.requireAuth, (req, res) => {
+    res.json(config.status());
+});
+
+// ============ ACCESS CONTROL ============
+// Admins pass every check. Country managers can read localizer output and
+// review translations; everything else in the localizer needs a creator.
+const canCreate = auth.requireRole('creator');
+const canReview = auth.requireRole('creator', 'country_manager');
+
+app.use(['/api/localize', '/api/upload-video', '/api/videos', '/api/analyze-video', '/api/translate-texts',
+    '/api/social-proof', '/api/generate-review', '/api/queue'], canCreate);
+app.use('/api/localizer', (req, res, next) => {
+    const review = req.method === 'GET' || /^\/job\/[^/]+\/(translations|approve)$/.test(req.path);
+    if (req.path === '/render-pool' && req.method !== 'GET') return auth.requireRole('admin')(req, res, next);
+    return (review ? canReview : canCreate)(req, res, next);
+});
+app.use('/api/jobs', (req, res, next) => (req.method === 'GET' ? canReview : canCreate)(req, res, next));
+app.use(['/api/glossary', '/api/translation-memory', '/uploads'], canReview);
+app.use(['/api/data', '/api/country', '/api/notify', '/api/packing'], auth.requireRole('country_manager'));
+app.use('/api/notifications', auth.requireRole('country_manager', 'service'));
+app.use('/api/finance', auth.requireRole('finance'));
+app.use('/api/webhooks', auth.requireRole('admin'));
+app.use('/api/image-proxy', auth.requireAuth);
+// ============ END ACCESS CONTROL ============
 
 // Image proxy for CORS - fetch external images and serve with proper headers
 app.get('/api/image-proxy', async (req, res) => {
@@ -55,17 +150,16 @@ app.get('/api/image-proxy', async (req, res) => {
     }
     
     try {
-        const response = await fetch(imageUrl);
-        const buffer = await response.arrayBuffer();
-        const contentType = response.headers.get('content-type') || 'image/jpeg';
+        const { buffer, contentType } = await imageProxy.fetchImage(imageUrl);
         
         res.setHeader('Content-Type', contentType);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Cache-Control', 'public, max-age=86400');
-        res.send(Buffer.from(buffer));
+        res.send(buffer);
     } catch (err) {
-        console.error('Image proxy error:', err);
-        res.status(500).send('Failed to fetch image');
+        console.error('Image proxy error:', err.message);
+        res.status(err.status || 500).send(err.status ? err.message : 'Failed to fetch image');
     }
 });
 
@@ -425,16 +519,21 @@ const slackUsers = {
     'Teja': null
 };
 
-const SLACK_TOKEN = process.env.SLACK_TOKEN || '';
-
 // Send Slack message
 async function sendSlackMessage(userId, text) {
     if (!userId) return { ok: false, error: 'No user ID' };
     
+    let token;
+    try {
+        token = config.key('slack');
+    } catch (e) {
+        return { ok: false, error: e.message }; // stays pending until Slack is configured
+    }
+    
     const response = await fetch('https://slack.com/api/chat.postMessage', {
         method: 'POST',
         headers: {
-            'Authorization': `Bearer ${SLACK_TOKEN}`,
+            'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
         },
         body: JSON.stringify({ channel: userId, text })
@@ -507,7 +606,6 @@ app.post('/api/notifications/:id/sent', (req, res) => {
 });
 
 // Social Proof Generator
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
 
 const localNames = {
     hr: ['Marko Horvat', 'Ivan Kovačević', 'Ana Babić', 'Petra Jurić', 'Luka Novak', 'Maja Tomić', 'Filip Marić'],
@@ -572,45 +670,24 @@ Style: casual but excited, like "NORIKS boxers are the best!" or "Super comforta
 Write ONLY the title in ${lang}, nothing else.`;
 
     try {
-        // Generate both text and title in parallel
-        const [textResponse, titleResponse] = await Promise.all([
-            fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'gpt-4o-mini',
-                    messages: [{ role: 'user', content: prompt }],
-                    max_tokens: 250,
-                    temperature: 0.9
-                })
-            }),
-            fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'gpt-4o-mini',
-                    messages: [{ role: 'user', content: titlePrompt }],
-                    max_tokens: 50,
-                    temperature: 0.9
-                })
-            })
+        // Generate both text and title in parallel; a missing title falls back to a stock one
+        const [textContent, titleContent] = await Promise.all([
+            openai.chat({
+                model: 'gpt-4o-mini',
+                messages: [{ role: 'user', content: prompt }],
+                max_tokens: 250,
+                temperature: 0.9
+            }, { label: 'review text' }),
+            openai.chat({
+                model: 'gpt-4o-mini',
+                messages: [{ role: 'user', content: titlePrompt }],
+                max_tokens: 50,
+                temperature: 0.9
+            }, { label: 'review title' }).catch(() => '')
         ]);
         
-        const textData = await textResponse.json();
-        const titleData = await titleResponse.json();
-        
-        if (textData.error) {
-            return res.status(500).json({ error: textData.error.message });
-        }
-        
-        const text = textData.choices[0].message.content.trim();
-        const title = titleData.choices?.[0]?.message?.content?.trim() || 'Odlično!';
+        const text = textContent.trim();
+        const title = titleContent.trim() || 'Odlično!';
         
         // Generate random date in last 30 days
         const daysAgo = Math.floor(Math.random() * 30) + 1;
@@ -710,52 +787,24 @@ Write ONLY the title in ${lang}, no quotes.`;
 
     try {
         // For Facebook style, skip title generation
-        const requests = [
-            fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'gpt-4o-mini',
-                    messages: [{ role: 'user', content: prompt }],
-                    max_tokens: 300,
-                    temperature: 0.85
-                })
-            })
-        ];
-        
-        // Only add title request for Trustpilot style
-        if (!isFacebook) {
-            requests.push(
-                fetch('https://api.openai.com/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        model: 'gpt-4o-mini',
-                        messages: [{ role: 'user', content: titlePrompt }],
-                        max_tokens: 50,
-                        temperature: 0.85
-                    })
-                })
-            );
-        }
-        
-        const results = await Promise.all(requests);
-        const textData = await results[0].json();
-        const titleData = results[1] ? await results[1].json() : null;
-        
-        if (textData.error) {
-            console.error('OpenAI error:', textData.error);
-            return res.status(500).json({ error: textData.error.message });
-        }
+        const [textContent, titleContent] = await Promise.all([
+            openai.chat({
+                model: 'gpt-4o-mini',
+                messages: [{ role: 'user', content: prompt }],
+                max_tokens: 300,
+                temperature: 0.85
+            }, { label: 'review text' }),
+            // Only add title request for Trustpilot style
+            isFacebook ? null : openai.chat({
+                model: 'gpt-4o-mini',
+                messages: [{ role: 'user', content: titlePrompt }],
+                max_tokens: 50,
+                temperature: 0.85
+            }, { label: 'review title' }).catch(() => null)
+        ]);
         
-        const body = textData.choices[0].message.content.trim().replace(/^["']|["']$/g, '');
-        const title = titleData?.choices?.[0]?.message?.content?.trim().replace(/^["']|["']$/g, '') || null;
+        const body = textContent.trim().replace(/^["']|["']$/g, '');
+        const title = titleContent?.trim().replace(/^["']|["']$/g, '') || null;
         
         res.json({ title, body });
         
@@ -766,18 +815,29 @@ Write ONLY the title in ${lang}, no quotes.`;
 });
 
 // Video upload endpoint
-app.post('/api/upload-video', upload.single('video'), (req, res) => {
+app.post('/api/upload-video', upload.single('video'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No video file uploaded' });
     }
     
     console.log('Video uploaded:', req.file.filename, 'Size:', (req.file.size / 1024 / 1024).toFixed(2), 'MB');
     
+    // Content hash - a re-upload of the same file is linked to the first one and reuses its analyses
+    let registered = { hash: null, duplicateOf: null };
+    try {
+        registered = await analysisCache.registerUpload(req.file.path);
+        if (registered.duplicateOf) console.log(`Video ${req.file.filename} is the same file as ${registered.duplicateOf} - linked`);
+    } catch (e) {
+        console.error('Upload hash failed:', e.message);
+    }
+    
     res.json({
         success: true,
         filename: req.file.filename,
         path: req.file.path,
-        size: req.file.size
+        size: req.file.size,
+        videoHash: registered.hash,
+        duplicateOf: registered.duplicateOf
     });
 });
 
@@ -802,90 +862,42 @@ app.get('/api/videos', (req, res) => {
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Gemini/OpenAI video analysis
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
-
 app.post('/api/analyze-video', async (req, res) => {
     const { filename } = req.body;
     if (!filename) return res.status(400).json({ error: 'Missing filename' });
     
-    const videoPath = path.join(__dirname, 'uploads', filename);
-    if (!fs.existsSync(videoPath)) return res.status(404).json({ error: 'Video not found' });
+    const videoPath = mediaResolver.resolve(filename);
+    if (!videoPath) return res.status(404).json({ error: 'Video not found' });
     
     try {
-        // Extract frames from video (1 per second for first 30 seconds)
+        // Extract frames from the whole video, dense around scene cuts (lib/frame-sampler.js)
         const framesDir = path.join(__dirname, 'uploads', 'frames-' + Date.now());
         fs.mkdirSync(framesDir, { recursive: true });
-        
-        await execPromise(`ffmpeg -i "${videoPath}" -vf "fps=1" -t 30 -q:v 2 "${framesDir}/frame-%03d.jpg" 2>/dev/null`);
-        
-        const frames = fs.readdirSync(framesDir).filter(f => f.endsWith('.jpg')).sort();
-        console.log(`Extracted ${frames.length} frames from ${filename}`);
-        
-        if (frames.length === 0) {
-            fs.rmSync(framesDir, { recursive: true });
-            return res.json({ texts: [], message: 'No frames extracted' });
-        }
-        
-        // Analyze ALL frames - no sampling to ensure we catch every text
-        const sampled = frames.slice(0, 30); // Analyze up to 30 frames (first 30 seconds)
         const extractedTexts = [];
         
-        for (let i = 0; i < sampled.length; i++) {
-            const framePath = path.join(framesDir, sampled[i]);
-            const base64 = fs.readFileSync(framePath).toString('base64');
-            const timestamp = `${Math.floor(i * 3)}s`;
+        // A frame that still fails after retries fails the analysis - a silent gap would drop its texts
+        try {
+            const frames = await frameSampler.extract(videoPath, framesDir, { cuts: await sceneCuts(videoPath) });
+            console.log(`Sampled ${frames.length} frames from ${filename}`);
+            if (frames.length === 0) return res.json({ texts: [], message: 'No frames extracted' });
             
-            try {
-                const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${OPENAI_API_KEY}`
-                    },
-                    body: JSON.stringify({
-                        model: 'gpt-4o-mini',
-                        messages: [{
-                            role: 'user',
-                            content: [
-                                {
-                                    type: 'text',
-                                    text: 'Extract ALL visible text overlays from this video frame. Focus on marketing text, titles, subtitles, captions, call-to-actions. Return ONLY a JSON array of objects with "text" and "context" fields. Context should briefly describe where/what the text is (e.g., "headline", "subtitle", "CTA button"). If no text visible, return empty array [].'
-                                },
-                                {
-                                    type: 'image_url',
-                                    image_url: { url: `data:image/jpeg;base64,${base64}` }
-                                }
-                            ]
-                        }],
-                        max_tokens: 500
-                    })
+            const detections = await frameSampler.mapChunked(frames, (frame, i) =>
+                textDetection.detect(frame.path, { label: `frame ${i + 1} of ${filename}` }));
+            
+            detections.forEach(({ texts }, i) => {
+                const timestamp = `${Math.floor(frames[i].time)}s`;
+                texts.forEach(t => {
+                    // Avoid duplicates
+                    if (!extractedTexts.find(e => e.text === t.text)) {
+                        extractedTexts.push({ text: t.text, context: t.context || `${t.position} text`, bbox: t.bbox, confidence: t.confidence, timestamp });
+                    }
                 });
-                
-                const data = await response.json();
-                const content = data.choices?.[0]?.message?.content || '[]';
-                
-                // Parse JSON from response
-                const jsonMatch = content.match(/\[[\s\S]*\]/);
-                if (jsonMatch) {
-                    const texts = JSON.parse(jsonMatch[0]);
-                    texts.forEach(t => {
-                        // Avoid duplicates
-                        if (!extractedTexts.find(e => e.text === t.text)) {
-                            extractedTexts.push({ ...t, timestamp });
-                        }
-                    });
-                }
-            } catch (e) {
-                console.error('Frame analysis error:', e.message);
-            }
+            });
+        } finally {
+            // Cleanup frames
+            fs.rmSync(framesDir, { recursive: true, force: true });
         }
         
-        // Cleanup frames
-        fs.rmSync(framesDir, { recursive: true });
-        
         console.log(`Extracted ${extractedTexts.length} unique texts from ${filename}`);
         res.json({ texts: extractedTexts });
         
@@ -900,62 +912,21 @@ app.post('/api/translate-texts', async (req, res) => {
     const { texts, languages } = req.body;
     if (!texts || !languages) return res.status(400).json({ error: 'Missing texts or languages' });
     
-    const LANG_NAMES = {
-        'SI': 'Slovenian',
-        'HR': 'Croatian',
-        'CZ': 'Czech', 
-        'PL': 'Polish',
-        'GR': 'Greek',
-        'IT': 'Italian',
-        'HU': 'Hungarian',
-        'SK': 'Slovak',
-        'BG': 'Bulgarian',
-        'RO': 'Romanian',
-        'DE': 'German'
-    };
-    
     try {
-        const translations = [];
-        
         // Batch all texts for translation
         const textsToTranslate = texts.map(t => t.text);
         
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o',
-                messages: [{
-                    role: 'system',
-                    content: `You are a professional marketing translator. Translate the given texts into the requested languages. Keep the tone punchy and marketing-appropriate. CRITICAL: NORIKS sells T-SHIRTS (casual, round neck) and BOXER SHORTS. NEVER translate t-shirt as dress shirt/formal shirt. Use: HR=majica, CZ=tričko, PL=koszulka, GR=μπλούζα, IT=maglietta, HU=póló, SK=tričko, BG=тениска, RO=tricou. NEVER use: HR=košulja, CZ=košile, PL=koszula, IT=camicia, HU=ing, SK=košeľa, BG=риза, RO=cămașă. Maintain any emojis. Return ONLY valid JSON.
-CRITICAL LANGUAGE WARNING: SK = SLOVAK language (slovenčina/slovenský jazyk, spoken in SLOVAKIA). This is NOT Slovenian (slovenščina, spoken in Slovenia). These are completely DIFFERENT languages. The source texts are in Slovenian — you must translate them INTO Slovak for the SK field. Do NOT copy the Slovenian source text as the Slovak translation.`
-                }, {
-                    role: 'user',
-                    content: `Translate these marketing texts into ${languages.map(l => LANG_NAMES[l]).join(', ')}:
+        const translations = await translation.translateBatch(textsToTranslate, languages, {
+            system: `You are a professional marketing translator. Translate the given texts into the requested languages. Keep the tone punchy and marketing-appropriate. Maintain any emojis. Return ONLY valid JSON.`,
+            buildUser: (langs, batch) => `Translate these marketing texts into ${langs.map(l => translation.LANG_NAMES[l]).join(', ')}:
 
-${textsToTranslate.map((t, i) => `${i + 1}. "${t}"`).join('\n')}
+${translation.numberedList(batch)}
 
 Return as JSON array where each element has the language codes as keys:
-[{"HR": "...", "CZ": "...", "PL": "...", "GR": "...", "IT": "...", "HU": "...", "SK": "..."}, ...]`
-                }],
-                max_tokens: 8000
-            })
+[{${langs.map(l => `"${l}": "..."`).join(', ')}}, ...]`
         });
         
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content || '[]';
-        
-        // Parse JSON from response
-        const jsonMatch = content.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            res.json({ translations: parsed });
-        } else {
-            res.json({ translations: [], error: 'Could not parse translations' });
-        }
+        res.json({ translations });
         
     } catch (e) {
         console.error('Translation error:', e);
@@ -963,66 +934,171 @@ Return as JSON array where each element has the language codes as keys:
     }
 });
 
+// ============ GLOSSARY API ============
+
+// List glossary entries (optionally for one language, including '*' entries)
+app.get('/api/glossary', (req, res) => {
+    const lang = req.query.lang ? req.query.lang.toUpperCase() : null;
+    res.json({ entries: glossary.listEntries(lang), types: glossary.ENTRY_TYPES });
+});
+
+// Add glossary entry
+app.post('/api/glossary', (req, res) => {
+    try {
+        const entry = glossary.addEntry(req.body);
+        res.json({ success: true, entry });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+// Update glossary entry
+app.put('/api/glossary/:id', (req, res) => {
+    try {
+        const entry = glossary.updateEntry(req.params.id, req.body);
+        if (!entry) return res.status(404).json({ error: 'Entry not found' });
+        res.json({ success: true, entry });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+// Delete glossary entry
+app.delete('/api/glossary/:id', (req, res) => {
+    if (!glossary.deleteEntry(req.params.id)) {
+        return res.status(404).json({ error: 'Entry not found' });
+    }
+    res.json({ success: true });
+});
+
+// Check texts against the glossary without translating
+app.post('/api/glossary/check', (req, res) => {
+    const { sources, translations, lang } = req.body;
+    if (!sources?.length || !translations?.length || !lang) {
+        return res.status(400).json({ error: 'Missing sources, translations or lang' });
+    }
+    res.json({ issues: glossary.checkTranslations(sources, translations, lang.toUpperCase()) });
+});
+
+// ============ END GLOSSARY API ============
+
+// ============ TRANSLATION MEMORY API ============
+
+// Browse entries: ?lang=HR&q=udobje&approved=true
+app.get('/api/translation-memory', (req, res) => {
+    const { lang, q, approved } = req.query;
+    const entries = translationMemory.listEntries({
+        lang: lang ? lang.toUpperCase() : undefined,
+        q,
+        approved: approved === undefined ? undefined : approved === 'true'
+    });
+    res.json({ entries, count: entries.length });
+});
+
+// Exact + fuzzy matches for one source line
+app.get('/api/translation-memory/lookup', (req, res) => {
+    const { source, lang } = req.query;
+    if (!source || !lang) return res.status(400).json({ error: 'Missing source or lang' });
+    const code = lang.toUpperCase();
+    res.json({
+        exact: translationMemory.findApproved(source, code),
+        fuzzy: translationMemory.findFuzzy(source, code)
+    });
+});
+
+// Add a reviewed translation manually (approved by default)
+app.post('/api/translation-memory', (req, res) => {
+    try {
+        const entry = translationMemory.addEntry({ ...req.body, approvedBy: req.user.username });
+        res.json({ success: true, entry });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+// Edit text and/or approval: { text, approved } (approved by the signed-in user)
+app.put('/api/translation-memory/:id', (req, res) => {
+    try {
+        const { text, approved } = req.body;
+        const entry = translationMemory.updateEntry(req.params.id, { text, approved, approvedBy: req.user.username });
+        if (!entry) return res.status(404).json({ error: 'Entry not found' });
+        res.json({ success: true, entry });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+// Approve an entry as-is
+app.post('/api/translation-memory/:id/approve', (req, res) => {
+    const entry = translationMemory.updateEntry(req.params.id, { approved: true, approvedBy: req.user.username });
+    if (!entry) return res.status(404).json({ error: 'Entry not found' });
+    res.json({ success: true, entry });
+});
+
+app.delete('/api/translation-memory/:id', (req, res) => {
+    if (!translationMemory.deleteEntry(req.params.id)) {
+        return res.status(404).json({ error: 'Entry not found' });
+    }
+    res.json({ success: true });
+});
+
+// ============ END TRANSLATION MEMORY API ============
+
 // ============================================
 // VIDEO LOCALIZER API
 // ============================================
 
-const localizationJobs = new Map();
+// v1 jobs (type 'localize') live in lib/job-engine.js
 const archiver = require('archiver');
 
 // Start localization job
+// Without videoClean the original text is removed from videoWithText (lib/clean-plate.js);
+// cleanPlate picks how: auto (default), box, blur or temporal
 app.post('/api/localize', async (req, res) => {
-    const { videoWithText, videoClean, name } = req.body;
-    if (!videoWithText || !videoClean) {
+    const { videoWithText, videoClean, name, cleanPlate: plateMethod = 'auto' } = req.body;
+    if (!videoWithText) {
         return res.status(400).json({ error: 'Missing videos' });
     }
+    if (!mediaResolver.resolve(videoWithText) || (videoClean && !mediaResolver.resolve(videoClean))) {
+        return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!videoClean && !cleanPlate.METHODS.includes(plateMethod)) {
+        return res.status(400).json({ error: `cleanPlate must be one of ${cleanPlate.METHODS.join(', ')}` });
+    }
     
-    const jobId = `job-${Date.now()}`;
-    const job = {
-        id: jobId,
-        name: name || jobId,
+    const job = jobEngine.create('localize', {
+        name,
+        createdBy: req.user.username,
         videoWithText,
-        videoClean,
-        status: 'analyzing',
-        progress: 0,
-        completed: 0,
-        created: new Date().toISOString(),
-        outputs: {}
-    };
-    
-    localizationJobs.set(jobId, job);
+        videoClean: videoClean || null,
+        cleanPlate: videoClean ? null : plateMethod,
+        progress: 0
+    });
     
     // Start async processing
-    processLocalizationJob(job).catch(e => {
-        job.status = 'error';
-        job.error = e.message;
-        console.error('Localization error:', e);
-    });
+    jobEngine.start(job, processLocalizationJob);
     
     res.json(job);
 });
 
 // List all jobs (must be before :id route)
 app.get('/api/localize/list', (req, res) => {
-    const jobs = Array.from(localizationJobs.values())
-        .sort((a, b) => new Date(b.created) - new Date(a.created))
-        .slice(0, 50);
-    res.json(jobs);
+    res.json(jobEngine.list({ type: 'localize' }).slice(0, 50));
 });
 
 // Get job status
 app.get('/api/localize/:id', (req, res) => {
-    const job = localizationJobs.get(req.params.id);
+    const job = jobEngine.get(req.params.id, 'localize');
     if (!job) return res.status(404).json({ error: 'Job not found' });
     res.json(job);
 });
 
-// Download individual video
+// Download individual video ('clean' - the generated clean plate)
 app.get('/api/localize/:id/video/:lang', (req, res) => {
-    const job = localizationJobs.get(req.params.id);
+    const job = jobEngine.get(req.params.id, 'localize');
     if (!job) return res.status(404).json({ error: 'Job not found' });
     
-    const videoPath = job.outputs[req.params.lang];
+    const videoPath = req.params.lang === 'clean' ? job.cleanVideo : job.outputs[req.params.lang];
     if (!videoPath || !fs.existsSync(videoPath)) {
         return res.status(404).json({ error: 'Video not found' });
     }
@@ -1032,19 +1108,20 @@ app.get('/api/localize/:id/video/:lang', (req, res) => {
 
 // Download all as ZIP
 app.get('/api/localize/:id/download', (req, res) => {
-    const job = localizationJobs.get(req.params.id);
+    const job = jobEngine.get(req.params.id, 'localize');
     if (!job) return res.status(404).json({ error: 'Job not found' });
     if (job.status !== 'done') return res.status(400).json({ error: 'Job not complete' });
     
     res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${job.name}-localized.zip"`);
+    const zipName = mediaResolver.safeFileName(job.name);
+    res.setHeader('Content-Disposition', `attachment; filename="${zipName}-localized.zip"`);
     
     const archive = archiver('zip', { zlib: { level: 5 } });
     archive.pipe(res);
     
     for (const [lang, videoPath] of Object.entries(job.outputs)) {
         if (fs.existsSync(videoPath)) {
-            archive.file(videoPath, { name: `${job.name}-${lang}.mp4` });
+            archive.file(videoPath, { name: `${zipName}-${lang}.mp4` });
         }
     }
     
@@ -1057,139 +1134,138 @@ async function processLocalizationJob(job) {
     const outputDir = path.join(__dirname, 'uploads', 'localized', job.id);
     fs.mkdirSync(outputDir, { recursive: true });
     
-    const videoWithTextPath = path.join(__dirname, 'uploads', job.videoWithText);
-    const videoCleanPath = path.join(__dirname, 'uploads', job.videoClean);
+    const videoWithTextPath = mediaResolver.resolve(job.videoWithText);
+    let videoCleanPath = job.videoClean ? mediaResolver.resolve(job.videoClean) : null;
+    if (!videoWithTextPath || (job.videoClean && !videoCleanPath)) throw new Error('Video not found');
     
-    // Step 1: Analyze video with text
-    job.status = 'analyzing';
+    // Step 1: Analyze video with text (a resumed job renders every language again)
+    jobEngine.transition(job, 'analyzing', { countries: LANGUAGES, completed: 0, progress: 0 });
     console.log(`[${job.id}] Analyzing video...`);
     
     const framesDir = path.join(outputDir, 'frames');
     fs.mkdirSync(framesDir, { recursive: true });
     
-    // Extract frames
-    await execPromise(`ffmpeg -y -i "${videoWithTextPath}" -vf "fps=2" -t 30 -q:v 2 "${framesDir}/frame-%03d.jpg" 2>/dev/null`);
-    
-    const frames = fs.readdirSync(framesDir).filter(f => f.endsWith('.jpg')).sort();
     const segments = [];
     let lastTexts = [];
     
-    // Analyze frames with OpenAI Vision
-    for (let i = 0; i < frames.length; i += 3) {
-        const framePath = path.join(framesDir, frames[i]);
-        const base64 = fs.readFileSync(framePath).toString('base64');
-        const timestamp = (parseInt(frames[i].match(/\d+/)[0]) - 1) * 0.5;
-        
-        try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-                body: JSON.stringify({
-                    model: 'gpt-4o-mini',
-                    messages: [{ role: 'user', content: [
-                        { type: 'text', text: 'Extract ALL visible text overlays from this video frame. Return JSON array: [{"text": "...", "position": "top/center/bottom"}]. If no text, return [].' },
-                        { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${base64}` } }
-                    ]}],
-                    max_tokens: 300
-                })
-            });
-            
-            const data = await response.json();
-            const content = data.choices?.[0]?.message?.content || '[]';
-            const match = content.match(/\[[\s\S]*\]/);
-            
-            if (match) {
-                try {
-                    // Clean up common JSON issues from AI responses
-                    let jsonStr = match[0]
-                        .replace(/[\u201C\u201D]/g, '"')  // Smart quotes
-                        .replace(/[\u2018\u2019]/g, "'")  // Smart apostrophes
-                        .replace(/,\s*]/g, ']')          // Trailing commas
-                        .replace(/,\s*}/g, '}');         // Trailing commas in objects
-                    
-                    const texts = JSON.parse(jsonStr);
-                    texts.forEach(t => {
-                        if (!t.text) return; // Skip empty texts
-                        const existing = segments.find(s => s.text === t.text);
-                        if (existing) {
-                            existing.end = timestamp + 1;
-                        } else if (!lastTexts.includes(t.text)) {
-                            segments.push({ text: t.text, start: timestamp, end: timestamp + 1.5, position: t.position || 'center' });
-                        }
-                    });
-                    lastTexts = texts.map(t => t.text).filter(Boolean);
-                } catch (parseErr) {
-                    console.error('JSON parse error:', parseErr.message, 'Content:', match[0].substring(0, 200));
+    // Read the overlay texts of the whole video (lib/text-detection.js, sampled by lib/frame-sampler.js)
+    // - a frame that still fails after retries fails the job
+    try {
+        const cuts = await sceneCuts(videoWithTextPath);
+        const frames = await frameSampler.extract(videoWithTextPath, framesDir, { cuts });
+        console.log(`[${job.id}] Sampled ${frames.length} frames (${cuts.length} scene cuts)`);
+        const detections = await frameSampler.mapChunked(frames, frame => job.cancelled
+            ? { texts: [] }
+            : textDetection.detect(frame.path, { label: `[${job.id}] frame ${frame.file}` }));
+        if (job.cancelled) return;
+        
+        detections.forEach(({ texts }, i) => {
+            const timestamp = frames[i].time;
+            // A text lasts at least until the next sample
+            const until = i + 1 < frames.length ? frames[i + 1].time : timestamp + frameSampler.GRID_INTERVAL;
+            texts.forEach(t => {
+                if (!t.text) return; // Skip empty texts
+                const existing = segments.find(s => s.text === t.text);
+                if (existing) {
+                    existing.end = until;
+                } else if (!lastTexts.includes(t.text)) {
+                    segments.push({ text: t.text, start: timestamp, end: until, position: t.position || 'center', detected: t, frame: frames[i].file });
                 }
-            }
-        } catch (e) {
-            console.error('Frame analysis error:', e.message);
+            });
+            lastTexts = texts.map(t => t.text).filter(Boolean);
+        });
+        
+        // Boxes and colours of the original texts - needed to remove them
+        if (!videoCleanPath) {
+            for (const seg of segments) seg.track = await textTracks.buildTrack(seg.detected, path.join(framesDir, seg.frame));
         }
+        segments.forEach(seg => {
+            delete seg.detected;
+            delete seg.frame;
+        });
+    } finally {
+        // Cleanup frames
+        fs.rmSync(framesDir, { recursive: true, force: true });
     }
     
-    // Cleanup frames
-    fs.rmSync(framesDir, { recursive: true });
-    
     if (segments.length === 0) {
         throw new Error('No text found in video');
     }
     
     console.log(`[${job.id}] Found ${segments.length} text segments`);
     
+    // Only the text video was uploaded - cover its text (static stretches are sampled every
+    // SPARSE_INTERVAL seconds, so a text may have appeared that long before it was first seen
+    // and stayed that long after it was last seen).
+    // A resumed job keeps the plate it already built.
+    if (!videoCleanPath && job.cleanVideo && fs.existsSync(job.cleanVideo)) {
+        videoCleanPath = job.cleanVideo;
+        console.log(`[${job.id}] Reusing clean plate ${path.basename(job.cleanVideo)}`);
+    } else if (!videoCleanPath) {
+        console.log(`[${job.id}] Removing the original text (${job.cleanPlate})...`);
+        const margin = frameSampler.SPARSE_INTERVAL;
+        const plate = await cleanPlate.build(videoWithTextPath, cleanPlate.regionsFromTexts(segments, { lead: margin, trail: margin }),
+            path.join(outputDir, 'clean-plate.mp4'), { method: job.cleanPlate || 'auto' });
+        videoCleanPath = plate.path;
+        jobEngine.update(job, { cleanVideo: plate.path, cleanPlateRegions: plate.regions });
+        console.log(`[${job.id}] Clean plate: ${plate.regions.map(r => r.method).join(', ')}`);
+    }
+    
     // Step 2: Translate
-    job.status = 'translating';
+    jobEngine.transition(job, 'translating');
     console.log(`[${job.id}] Translating...`);
     
     const textsToTranslate = segments.map(s => s.text);
-    const transResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-        body: JSON.stringify({
-            model: 'gpt-4o',
-            messages: [{
-                role: 'system',
-                content: 'You are a marketing translator for NORIKS men\'s underwear. Keep texts punchy and short. T-shirt translations: HR=majica, CZ=tričko, PL=koszulka, IT=maglietta, HU=póló, SK=tričko, BG=тениска, RO=tricou. NEVER use dress shirt words (košulja/košile/koszula/camicia/ing/košeľa/риза/cămașă). CRITICAL: SK = SLOVAK (slovenčina/slovenský jazyk, spoken in SLOVAKIA), NOT Slovenian (slovenščina, spoken in Slovenia). These are DIFFERENT languages. Do NOT output Slovenian text for SK.'
-            }, {
-                role: 'user',
-                content: `Translate to Croatian, Czech, Polish, Greek, Italian, Hungarian, Slovak:\n\n${textsToTranslate.map((t, i) => `${i+1}. "${t}"`).join('\n')}\n\nReturn JSON: [{"HR":"...","CZ":"...","PL":"...","GR":"...","IT":"...","HU":"...","SK":"..."}, ...]`
-            }],
-            max_tokens: 8000
-        })
+    const targetLangs = LANGUAGES.filter(l => l !== SOURCE_LANG);
+    const translations = await translateLanguages(job, textsToTranslate, targetLangs, {
+        sourceLang: null,
+        system: 'You are a marketing translator for NORIKS men\'s underwear. Keep texts punchy and short.',
+        buildUser: (langs, batch) => `Translate to ${langs.map(l => translation.LANG_NAMES[l]).join(', ')}:\n\n${translation.numberedList(batch)}\n\nReturn JSON: [{${langs.map(l => `"${l}":"..."`).join(',')}}, ...]`
+    });
+    targetLangs.filter(lang => !job.translationErrors[lang]).forEach(lang => {
+        recordGlossaryIssues(job, lang, textsToTranslate, translations.map(t => t[lang]));
     });
-    
-    const transData = await transResponse.json();
-    let transContent = transData.choices?.[0]?.message?.content || '[]';
-    // Strip markdown code fences if present
-    transContent = transContent.replace(/^```(?:json)?\s*/m, '').replace(/```\s*$/m, '').trim();
-    const transMatch = transContent.match(/\[[\s\S]*\]/);
-    const translations = transMatch ? JSON.parse(transMatch[0]) : [];
     
     // Step 3: Generate videos
-    job.status = 'generating';
+    jobEngine.transition(job, 'generating');
     console.log(`[${job.id}] Generating videos...`);
     
     for (let langIdx = 0; langIdx < LANGUAGES.length; langIdx++) {
+        if (job.cancelled) return;
         const lang = LANGUAGES[langIdx];
+        // No translation after retries - skip the language, the job fails once the rest is rendered
+        if (job.translationErrors[lang]) continue;
         
         // Create ASS file
-        let ass = `[Script Info]\nTitle: ${job.name} ${lang}\nScriptType: v4.00+\nPlayResX: 1080\nPlayResY: 1920\n\n`;
+        let ass = `[Script Info]\nTitle: ${escapeAssHeader(`${job.name} ${lang}`)}\nScriptType: v4.00+\nPlayResX: 1080\nPlayResY: 1920\n\n`;
         ass += `[V4+ Styles]\nFormat: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding\n`;
-        ass += `Style: Default,Arial,64,&H00000000,&H000000FF,&H00000000,&H00FFFFFF,1,0,0,0,100,100,0,0,3,0,0,5,50,50,50,1\n\n`;
-        ass += `[Events]\nFormat: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n`;
+        ass += `Style: Default,Arial,64,&H00000000,&H000000FF,&H00000000,&H00FFFFFF,1,0,0,0,100,100,0,0,3,0,0,5,50,50,50,1\n`;
+        // On a generated clean plate the texts go back where they were, in their colours (lib/text-tracks.js)
+        segments.forEach((seg, i) => {
+            if (!job.videoClean && seg.track?.color) ass += `${textTracks.assStyle(`Track${i}`, seg.track)}\n`;
+        });
+        ass += `\n[Events]\nFormat: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n`;
         
         segments.forEach((seg, i) => {
-            const text = translations[i]?.[lang] || seg.text;
+            const text = requireTranslation(job, translations, i, lang, seg.text);
             const start = formatAssTime(seg.start);
             const end = formatAssTime(seg.end);
             
+            if (!job.videoClean && seg.track) {
+                const p = textTracks.placement(seg.track, outputFormats.NATIVE_FORMAT);
+                const style = seg.track.color ? `Track${i}` : 'Default';
+                ass += `Dialogue: 0,${start},${end},${style},,${p.marginL},${p.marginR},0,,{\\an${p.an}\\pos(${p.x},${p.y})\\fad(200,200)}${escapeAssText(text)}\n`;
+                return;
+            }
+            
             // For center stacking (hkrati), use \pos for precise control
             if (seg.position === 'center-top') {
-                ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\an5\\pos(540,880)\\fad(200,200)}${text}\n`;
+                ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\an5\\pos(540,880)\\fad(200,200)}${escapeAssText(text)}\n`;
             } else if (seg.position === 'center-bottom') {
-                ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\an5\\pos(540,1000)\\fad(200,200)}${text}\n`;
+                ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\an5\\pos(540,1000)\\fad(200,200)}${escapeAssText(text)}\n`;
             } else {
                 // Default center position
-                ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\an5\\fad(200,200)}${text}\n`;
+                ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\an5\\fad(200,200)}${escapeAssText(text)}\n`;
             }
         });
         
@@ -1197,158 +1273,140 @@ async function processLocalizationJob(job) {
         fs.writeFileSync(assPath, ass);
         
         // Generate video
-        const outVideo = path.join(outputDir, `${job.name}-${lang}.mp4`);
-        await execPromise(`ffmpeg -y -i "${videoCleanPath}" -vf "ass='${assPath}':fontsdir=/usr/share/fonts" -c:a copy "${outVideo}" 2>/dev/null`);
+        const outVideo = path.join(outputDir, `${mediaResolver.safeFileName(job.name)}-${lang}.mp4`);
+        await media.ffmpeg(['-i', videoCleanPath, '-vf', media.assFilter(assPath), '-c:a', 'copy', outVideo]);
         
         job.outputs[lang] = outVideo;
-        job.completed = langIdx + 1;
-        job.progress = Math.round(((langIdx + 1) / LANGUAGES.length) * 100);
+        jobEngine.update(job, {
+            completed: job.completed + 1,
+            progress: Math.round(((langIdx + 1) / LANGUAGES.length) * 100)
+        });
         
         console.log(`[${job.id}] Generated ${lang} (${job.completed}/${LANGUAGES.length})`);
     }
     
-    job.status = 'done';
+    const failed = Object.entries(job.translationErrors);
+    if (failed.length) {
+        throw new Error(`Translation failed for ${failed.map(([lang, reason]) => `${lang}: ${reason}`).join('; ')}`);
+    }
+    
     console.log(`[${job.id}] Complete!`);
 }
 
-function formatAssTime(seconds) {
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = Math.floor(seconds % 60);
-    const cs = Math.floor((seconds % 1) * 100);
-    return `${h}:${m.toString().padStart(2,'0')}:${s.toString().padStart(2,'0')}.${cs.toString().padStart(2,'0')}`;
-}
 
 // ============================================
 // VIDEO LOCALIZER V2 API
 // ============================================
 
-// Persistent job storage
-const JOBS_FILE = path.join(__dirname, 'data', 'localizer-jobs.json');
+// Localizer jobs (type 'generate') live in lib/job-engine.js
+
+// Scene threshold and minimum segment length used by detectSceneSegments (cache key)
+const SCENE_DETECTION_PARAMS = { threshold: 0.15, minDuration: 1.0 };
 
-function loadJobs() {
+// Detect scene cuts using ffmpeg. Returns { segments, duration }
+async function detectSceneSegments(videoPath) {
+    const jobId = `smart-${Date.now()}`;
+    console.log(`[${jobId}] Starting scene detection for ${path.basename(videoPath)}`);
+    
+    // Get video duration
+    const totalSeconds = (await media.probe(videoPath)).duration || 0;
+    
+    console.log(`[${jobId}] Video duration: ${totalSeconds}s`);
+    
+    // Two-pass scene detection:
+    // Pass 1: Low threshold (0.15) to catch all cuts including color changes
+    // Pass 2: Merge segments that are too short (< 1s) with their neighbor
+    // showinfo logs every selected frame to stderr - keep all of it
+    let output;
     try {
-        if (fs.existsSync(JOBS_FILE)) {
-            return JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
-        }
+        ({ stderr: output } = await media.ffmpeg(['-i', videoPath, '-vf', "select='gt(scene,0.15)',showinfo", '-f', 'null', '-'], { maxStderr: Infinity }));
     } catch (e) {
-        console.error('Error loading jobs:', e);
+        output = e.stderr || '';
     }
-    return [];
+    
+    // Parse ALL scene timestamps
+    const rawSceneTimes = [0];
+    const regex = /pts_time:([0-9.]+)/g;
+    let match;
+    while ((match = regex.exec(output)) !== null) {
+        const time = parseFloat(match[1]);
+        if (time - rawSceneTimes[rawSceneTimes.length - 1] >= 0.3) {
+            rawSceneTimes.push(time);
+        }
+    }
+    
+    console.log(`[${jobId}] Raw scene cuts (${rawSceneTimes.length}):`, rawSceneTimes.map(t => t.toFixed(1)));
+    
+    // Create raw segments
+    let segments = [];
+    for (let i = 0; i < rawSceneTimes.length; i++) {
+        const start = rawSceneTimes[i];
+        const end = rawSceneTimes[i + 1] || totalSeconds;
+        segments.push({ start, end, texts: [] });
+    }
+    
+    // Merge segments shorter than 1.5s with their NEXT neighbor
+    // (short segments are usually part of a transition, merge forward)
+    const MIN_DURATION = 1.0;
+    let merged = true;
+    while (merged) {
+        merged = false;
+        for (let i = 0; i < segments.length; i++) {
+            const dur = segments[i].end - segments[i].start;
+            if (dur < MIN_DURATION && segments.length > 1) {
+                if (i < segments.length - 1) {
+                    // Merge with next segment
+                    segments[i + 1].start = segments[i].start;
+                    segments.splice(i, 1);
+                } else {
+                    // Last segment: merge with previous
+                    segments[i - 1].end = segments[i].end;
+                    segments.splice(i, 1);
+                }
+                merged = true;
+                break;
+            }
+        }
+    }
+    
+    // Round timestamps
+    segments = segments.map(s => ({
+        start: Math.round(s.start * 10) / 10,
+        end: Math.round(s.end * 10) / 10,
+        texts: []
+    }));
+    
+    console.log(`[${jobId}] Final segments (${segments.length}):`, segments.map(s => `${s.start}-${s.end}s`).join(', '));
+    return { segments, duration: totalSeconds };
 }
 
-function saveJobs(jobs) {
+// Scene cut times in seconds, shared with smart-analyze through the cache.
+// Frame sampling works without them (evenly spaced), so a failure is not fatal.
+async function sceneCuts(videoPath) {
     try {
-        fs.mkdirSync(path.dirname(JOBS_FILE), { recursive: true });
-        fs.writeFileSync(JOBS_FILE, JSON.stringify(jobs, null, 2));
+        const { result } = await analysisCache.cached('smart-analyze', videoPath, SCENE_DETECTION_PARAMS, {},
+            () => detectSceneSegments(videoPath));
+        return result.segments.map(s => s.start).filter(t => t > 0);
     } catch (e) {
-        console.error('Error saving jobs:', e);
+        console.error(`Scene detection for ${path.basename(videoPath)} failed, sampling evenly: ${e.message}`);
+        return [];
     }
 }
 
-// Load jobs from file into Map
-const localizerJobs = new Map();
-const savedJobs = loadJobs();
-savedJobs.forEach(job => localizerJobs.set(job.id, job));
-console.log(`Loaded ${savedJobs.length} localizer jobs from disk`);
-
-// Helper to persist current jobs
-function persistJobs() {
-    const jobs = Array.from(localizerJobs.values());
-    saveJobs(jobs);
-}
-
-const FFMPEG = '/usr/local/bin/ffmpeg';
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || '';
-
-// Smart video analysis - detect scene cuts using ffmpeg
+// Smart video analysis - detect scene cuts
+// Cached by video content (lib/analysis-cache.js); { force: true } analyzes again
 app.post('/api/localizer/smart-analyze', async (req, res) => {
-    const { filename } = req.body;
+    const { filename, force } = req.body;
     if (!filename) return res.status(400).json({ error: 'Missing filename' });
     
-    const videoPath = path.join(__dirname, 'uploads', filename);
-    if (!fs.existsSync(videoPath)) return res.status(404).json({ error: 'Video not found' });
+    const videoPath = mediaResolver.resolve(filename);
+    if (!videoPath) return res.status(404).json({ error: 'Video not found' });
     
     try {
-        const jobId = `smart-${Date.now()}`;
-        console.log(`[${jobId}] Starting scene detection for ${filename}`);
-        
-        // Get video duration
-        const durationResult = await execPromise(`${FFMPEG} -i "${videoPath}" 2>&1 | grep Duration | cut -d ' ' -f 4 | sed s/,//`);
-        const durationParts = durationResult.stdout.trim().split(':');
-        const totalSeconds = parseInt(durationParts[0] || 0) * 3600 + parseInt(durationParts[1] || 0) * 60 + parseFloat(durationParts[2] || 0);
-        
-        console.log(`[${jobId}] Video duration: ${totalSeconds}s`);
-        
-        // Two-pass scene detection:
-        // Pass 1: Low threshold (0.15) to catch all cuts including color changes
-        // Pass 2: Merge segments that are too short (< 1s) with their neighbor
-        const sceneCmd = `${FFMPEG} -i "${videoPath}" -vf "select='gt(scene,0.15)',showinfo" -f null - 2>&1 | grep showinfo | grep pts_time`;
-        
-        let sceneResult;
-        try {
-            sceneResult = await execPromise(sceneCmd);
-        } catch (e) {
-            sceneResult = { stdout: e.stdout || '', stderr: e.stderr || '' };
-        }
-        
-        const output = sceneResult.stderr || sceneResult.stdout || '';
-        
-        // Parse ALL scene timestamps
-        const rawSceneTimes = [0];
-        const regex = /pts_time:([0-9.]+)/g;
-        let match;
-        while ((match = regex.exec(output)) !== null) {
-            const time = parseFloat(match[1]);
-            if (time - rawSceneTimes[rawSceneTimes.length - 1] >= 0.3) {
-                rawSceneTimes.push(time);
-            }
-        }
-        
-        console.log(`[${jobId}] Raw scene cuts (${rawSceneTimes.length}):`, rawSceneTimes.map(t => t.toFixed(1)));
-        
-        // Create raw segments
-        let segments = [];
-        for (let i = 0; i < rawSceneTimes.length; i++) {
-            const start = rawSceneTimes[i];
-            const end = rawSceneTimes[i + 1] || totalSeconds;
-            segments.push({ start, end, texts: [] });
-        }
-        
-        // Merge segments shorter than 1.5s with their NEXT neighbor
-        // (short segments are usually part of a transition, merge forward)
-        const MIN_DURATION = 1.0;
-        let merged = true;
-        while (merged) {
-            merged = false;
-            for (let i = 0; i < segments.length; i++) {
-                const dur = segments[i].end - segments[i].start;
-                if (dur < MIN_DURATION && segments.length > 1) {
-                    if (i < segments.length - 1) {
-                        // Merge with next segment
-                        segments[i + 1].start = segments[i].start;
-                        segments.splice(i, 1);
-                    } else {
-                        // Last segment: merge with previous
-                        segments[i - 1].end = segments[i].end;
-                        segments.splice(i, 1);
-                    }
-                    merged = true;
-                    break;
-                }
-            }
-        }
-        
-        // Round timestamps
-        segments = segments.map(s => ({
-            start: Math.round(s.start * 10) / 10,
-            end: Math.round(s.end * 10) / 10,
-            texts: []
-        }));
-        
-        console.log(`[${jobId}] Final segments (${segments.length}):`, segments.map(s => `${s.start}-${s.end}s`).join(', '));
-        res.json({ segments, duration: totalSeconds });
-        
+        const { result, cached, hash } = await analysisCache.cached('smart-analyze', videoPath, SCENE_DETECTION_PARAMS, { force: !!force },
+            () => detectSceneSegments(videoPath));
+        if (cached) console.log(`Scene detection of ${filename} from cache (${hash.slice(0, 12)}, ${result.segments.length} segments)`);
+        res.json({ ...result, cached, videoHash: hash });
     } catch (e) {
         console.error('Scene detection error:', e);
         res.status(500).json({ error: e.message });
@@ -1361,36 +1419,23 @@ app.post('/api/localizer/to-english', async (req, res) => {
     if (!texts?.length) return res.status(400).json({ error: 'Missing texts' });
     
     try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-            body: JSON.stringify({
-                model: 'gpt-4o',
-                messages: [{
-                    role: 'system',
-                    content: 'Translate marketing texts to English. Keep brand names unchanged. Keep translations short and punchy.'
-                }, {
-                    role: 'user',
-                    content: `Translate these texts to English (or keep as-is if already English):
+        const translations = await translation.translateList(texts, {
+            lang: 'EN',
+            system: 'Translate marketing texts to English. Keep brand names unchanged. Keep translations short and punchy.',
+            user: `Translate these texts to English (or keep as-is if already English):
 
-${texts.map((t, i) => `${i+1}. "${t}"`).join('\n')}
+${translation.numberedList(texts)}
 
 Return JSON array of translations in same order:
-["translation1", "translation2", ...]`
-                }],
-                max_tokens: 1000
-            })
+["translation1", "translation2", ...]`,
+            maxTokens: 1000
         });
         
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content || '[]';
-        const match = content.match(/\[[\s\S]*\]/);
-        const translations = match ? JSON.parse(match[0]) : texts;
-        
         res.json({ translations });
     } catch (e) {
+        // No fallback to the original texts - the editor would take them for translations
         console.error('To-English error:', e);
-        res.json({ translations: texts }); // Return original if translation fails
+        res.status(e.status === 503 ? 503 : 502).json({ error: `Translation failed: ${e.message}` });
     }
 });
 
@@ -1403,400 +1448,352 @@ app.post('/api/localizer/to-slovenian', async (req, res) => {
     console.log('Texts to translate:', texts);
     
     try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-            body: JSON.stringify({
-                model: 'gpt-4o',
-                messages: [{
-                    role: 'system',
-                    content: `Si profesionalni slovenski copywriter za NORIKS - premium moška spodnja oblačila (boksarice, majice).
+        const translations = await translation.translateList(texts, {
+            lang: 'SI',
+            system: `Si profesionalni slovenski copywriter za NORIKS - premium moška spodnja oblačila (boksarice, majice).
 
 PRAVILA:
 1. NE prevajaj dobesedno - ustvari NARAVEN slovenski tekst ki ima SMISEL
 2. Piši kot da govoriš s prijateljem - sproščeno, a prepričljivo
 3. Kratko in udarno - max 5-7 besed če je mogoče
 4. Če original ne pomeni nič dobesedno, razmisli kaj SPOROČILO želi povedati
-5. Brand "NORIKS" ostane nespremenjen
-6. Fokus: udobje, kvaliteta, mehkoba, premium občutek`
-                }, {
-                    role: 'user',
-                    content: `Prevedi te marketinške tekste v naravno slovenščino. Jezik vira je lahko grščina, angleščina, madžarščina, poljščina, itd.
+5. Fokus: udobje, kvaliteta, mehkoba, premium občutek`,
+            user: `Prevedi te marketinške tekste v naravno slovenščino. Jezik vira je lahko grščina, angleščina, madžarščina, poljščina, itd.
 
-${texts.map((t, i) => `${i+1}. "${t}"`).join('\n')}
+${translation.numberedList(texts)}
 
 Vrni SAMO JSON array s slovenskimi prevodi:
 ["prevod1", "prevod2", ...]
 
-POMEMBNO: Če tekst dobesedno preveden ne bi imel smisla, razmisli kaj želi povedati in napiši SMISELN slovenski tekst!`
-                }],
-                max_tokens: 1500
-            })
+POMEMBNO: Če tekst dobesedno preveden ne bi imel smisla, razmisli kaj želi povedati in napiši SMISELN slovenski tekst!`,
+            maxTokens: 1500
         });
         
-        const data = await response.json();
-        console.log('OpenAI response:', JSON.stringify(data).substring(0, 500));
-        
-        const content = data.choices?.[0]?.message?.content || '[]';
-        console.log('Translation content:', content);
-        
-        const match = content.match(/\[[\s\S]*\]/);
-        const translations = match ? JSON.parse(match[0]) : texts;
-        
         console.log('Parsed translations:', translations);
         
         res.json({ translations });
     } catch (e) {
         console.error('To-Slovenian error:', e);
-        res.json({ translations: texts }); // Return original if translation fails
+        res.status(e.status === 503 ? 503 : 502).json({ error: `Translation failed: ${e.message}` });
     }
 });
 
-// Analyze video - extract frames and scene descriptions
-app.post('/api/localizer/analyze', async (req, res) => {
-    const { filename, mode } = req.body;
-    if (!filename) return res.status(400).json({ error: 'Missing filename' });
+// Extract frames and read the overlay texts with their timing and layout tracks.
+// Returns { segments, texts, framesDir } - framesDir is the folder under uploads/analysis/
+async function analyzeOverlayTexts(videoPath, filename) {
+    const jobId = `analyze-${Date.now()}`;
+    const framesDir = path.join(__dirname, 'uploads', 'analysis', jobId);
+    fs.mkdirSync(framesDir, { recursive: true });
     
-    const videoPath = path.join(__dirname, 'uploads', filename);
-    if (!fs.existsSync(videoPath)) return res.status(404).json({ error: 'Video not found' });
+    // The whole video, sampled densely around scene cuts and sparsely in between (lib/frame-sampler.js)
+    console.log(`[${jobId}] Extracting frames from ${filename}...`);
+    const cuts = await sceneCuts(videoPath);
+    const sampled = await frameSampler.extract(videoPath, framesDir, { cuts, quality: 1 });
+    const frames = sampled.map(f => f.file);
+    console.log(`[${jobId}] Sampled ${frames.length} frames (${cuts.length} scene cuts)`);
     
-    try {
-        const jobId = `analyze-${Date.now()}`;
-        const framesDir = path.join(__dirname, 'uploads', 'analysis', jobId);
-        fs.mkdirSync(framesDir, { recursive: true });
-        
-        // Extract frames at 2 fps for better timing accuracy and catching brief text
-        console.log(`[${jobId}] Extracting frames from ${filename}...`);
-        // Extract at 2fps to catch text that appears briefly
-        await execPromise(`${FFMPEG} -y -i "${videoPath}" -vf "fps=2" -t 30 -q:v 1 "${framesDir}/frame-%03d.jpg" 2>/dev/null`);
-        
-        const frames = fs.readdirSync(framesDir).filter(f => f.endsWith('.jpg')).sort();
-        console.log(`[${jobId}] Extracted ${frames.length} frames`);
-        
-        if (frames.length === 0) {
-            fs.rmSync(framesDir, { recursive: true });
-            return res.json({ segments: [], texts: [] });
-        }
-        
-        // Analyze frames with GPT-4o Vision - MORE SEGMENTS for dynamic text
-        const segments = [];
-        const texts = [];
-        let lastDescription = '';
-        
-        // Analyze EVERY frame for more granular segments
-        // At 2 fps: frame 1 = 0s, frame 2 = 0.5s, frame 3 = 1s, etc.
-        // Analyze every frame (at 1fps this is reasonable - ~30 frames max)
-        for (let i = 0; i < frames.length; i += 1) {
-            const framePath = path.join(framesDir, frames[i]);
-            const base64 = fs.readFileSync(framePath).toString('base64');
-            const frameNum = parseInt(frames[i].match(/\d+/)[0]);
-            const timestamp = (frameNum - 1) * 0.5; // 2 fps = 0.5s per frame
-            
-            try {
-                const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-                    body: JSON.stringify({
-                        model: 'gpt-4o',
-                        messages: [{ role: 'user', content: [
-                            { type: 'text', text: `Find ALL text overlays/captions in this video frame. This includes:
-- Text with colored background boxes (white, orange, etc.)
-- Text overlays WITHOUT background (floating text, subtitles)
-- Large bold text added in post-production
-- Call-to-action text, slogans, marketing phrases
-
-Return JSON:
-{
-  "texts": [
-    {"text": "exact text", "x": 50, "y": 30}
-  ]
-}
-
-RULES:
-- x,y = position as % of image (0-100)
-- Include text in ANY language (Greek, Croatian, Czech, Polish, Hungarian, Italian, etc.)
-- Multi-line text that belongs together = combine into one: "Line1 Line2"
-- IGNORE: brand logos printed ON physical products/clothing, size labels on garments, watermarks
-- INCLUDE: any text that was ADDED to the video in post-production (editing)
-
-If no added text overlay visible, return: {"texts": []}` },
-                            { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${base64}` } }
-                        ]}],
-                        max_tokens: 500
-                    })
-                });
+    if (frames.length === 0) {
+        fs.rmSync(framesDir, { recursive: true });
+        return { segments: [], texts: [] };
+    }
+    const videoLength = sampled[sampled.length - 1].time + frameSampler.GRID_INTERVAL;
+    
+    // Read overlay texts per frame (lib/text-detection.js), several frames at a time
+    const detections = await frameSampler.mapChunked(sampled, (frame, i) =>
+        textDetection.detect(frame.path, { label: `[${jobId}] frame ${i}`, model: 'gpt-4o' }).catch(e => {
+            // Out of retries - a skipped frame would silently lose its texts
+            throw new Error(`Frame ${i} analysis failed: ${e.message}`);
+        }));
+    
+    const segments = [];
+    const texts = [];
+    let lastDescription = '';
+    
+    // Walk the sampled frames in order - a text lasts until the first sample it is missing from
+    for (let i = 0; i < frames.length; i += 1) {
+        const timestamp = sampled[i].time;
+        const nextTimestamp = i + 1 < sampled.length ? sampled[i + 1].time : videoLength;
+        
+        const detection = detections[i];
+        console.log(`[${jobId}] Frame ${i} (${timestamp}s, ${detection.backend}${detection.fallbackReason ? ` - ${detection.fallbackReason}` : ''}):`,
+            detection.texts.map(t => `"${t.text}"`).join(', ') || 'no texts');
+        // A scene cut since the previous sample starts a new segment
+        const isNewScene = i > 0 && cuts.some(cut => cut > sampled[i - 1].time && cut <= timestamp);
+        const parsed = { texts: detection.texts, isNewScene };
+        
+        // Texts seen here last until the next sample (0.5s around cuts, longer in static stretches)
+        const frameInterval = nextTimestamp - timestamp;
+        
+        if (parsed.texts?.length) {
+            parsed.texts.forEach(t => {
+                if (!t) return;
                 
-                const data = await response.json();
-                const content = data.choices?.[0]?.message?.content || '{}';
+                // Handle both new format {text, x, y} and old format (string)
+                const isObject = typeof t === 'object';
+                const textContent = isObject ? t.text : t;
+                // Strip emojis and clean up text
+                const normalizedText = (textContent || '')
+                    .replace(/[\u{1F300}-\u{1F9FF}]/gu, '') // Remove emojis
+                    .replace(/[\u{2600}-\u{26FF}]/gu, '') // Remove misc symbols
+                    .replace(/[\u{2700}-\u{27BF}]/gu, '') // Remove dingbats
+                    .replace(/[\u{FE00}-\u{FE0F}]/gu, '') // Remove variation selectors
+                    .replace(/[\u{1F000}-\u{1F02F}]/gu, '') // Remove mahjong
+                    .replace(/[\u{1F0A0}-\u{1F0FF}]/gu, '') // Remove playing cards
+                    .trim();
+                if (!normalizedText) return;
                 
-                // DEBUG: Log raw response for first 3 frames and any frames with text
-                if (i < 3 || content.includes('"text"')) {
-                    console.log(`[${jobId}] Frame ${i} (${timestamp}s) RAW:`, content.substring(0, 300));
-                }
+                // Get position data
+                const xPos = isObject ? (t.x || 50) : 50;
+                const yPos = isObject ? (t.y || 50) : 50;
+                const posLabel = isObject ? (t.position || 'center') : (parsed.textPosition || 'center');
                 
-                // DEBUG: Log every frame's texts for troubleshooting
-                console.log(`[${jobId}] Frame ${i} (${timestamp}s):`, content.match(/"text":\s*"[^"]+"/g)?.join(', ') || 'no texts');
+                // Helper to strip emojis and normalize for comparison
+                const stripForCompare = (str) => str
+                    .replace(/[\u{1F300}-\u{1F9FF}]/gu, '') // Remove emojis
+                    .replace(/[^\p{L}\p{N}\s]/gu, '') // Keep only letters, numbers, spaces
+                    .replace(/\s+/g, ' ')
+                    .trim()
+                    .toLowerCase();
                 
-                const match = content.match(/\{[\s\S]*\}/);
+                const normalizedForCompare = stripForCompare(normalizedText);
                 
-                if (match) {
-                    // Clean up common JSON issues
-                    let jsonStr = match[0]
-                        .replace(/[\u201C\u201D]/g, '"')
-                        .replace(/[\u2018\u2019]/g, "'")
-                        .replace(/,\s*}/g, '}')
-                        .replace(/,\s*]/g, ']');
-                    
-                    let parsed;
-                    try {
-                        parsed = JSON.parse(jsonStr);
-                    } catch (parseErr) {
-                        console.error('Analyze JSON parse error:', parseErr.message, 'Content:', jsonStr.substring(0, 200));
-                        continue; // Skip this frame
-                    }
-                    
-                    // Extract texts with timing (0.5s precision at 2fps)
-                    const frameInterval = 0.5; // seconds per frame at 2fps
-                    
-                    if (parsed.texts?.length) {
-                        parsed.texts.forEach(t => {
-                            if (!t) return;
-                            
-                            // Handle both new format {text, x, y} and old format (string)
-                            const isObject = typeof t === 'object';
-                            const textContent = isObject ? t.text : t;
-                            // Strip emojis and clean up text
-                            const normalizedText = (textContent || '')
-                                .replace(/[\u{1F300}-\u{1F9FF}]/gu, '') // Remove emojis
-                                .replace(/[\u{2600}-\u{26FF}]/gu, '') // Remove misc symbols
-                                .replace(/[\u{2700}-\u{27BF}]/gu, '') // Remove dingbats
-                                .replace(/[\u{FE00}-\u{FE0F}]/gu, '') // Remove variation selectors
-                                .replace(/[\u{1F000}-\u{1F02F}]/gu, '') // Remove mahjong
-                                .replace(/[\u{1F0A0}-\u{1F0FF}]/gu, '') // Remove playing cards
-                                .trim();
-                            if (!normalizedText) return;
-                            
-                            // Get position data
-                            const xPos = isObject ? (t.x || 50) : 50;
-                            const yPos = isObject ? (t.y || 50) : 50;
-                            const posLabel = isObject ? (t.position || 'center') : (parsed.textPosition || 'center');
-                            
-                            // Helper to strip emojis and normalize for comparison
-                            const stripForCompare = (str) => str
-                                .replace(/[\u{1F300}-\u{1F9FF}]/gu, '') // Remove emojis
-                                .replace(/[^\p{L}\p{N}\s]/gu, '') // Keep only letters, numbers, spaces
-                                .replace(/\s+/g, ' ')
-                                .trim()
-                                .toLowerCase();
-                            
-                            const normalizedForCompare = stripForCompare(normalizedText);
-                            
-                            // Check if this text (or very similar) already exists and is still open
-                            const existingText = texts.find(x => !x.closed && (
-                                x.text === normalizedText || 
-                                x.text.toLowerCase() === normalizedText.toLowerCase() ||
-                                stripForCompare(x.text) === normalizedForCompare
-                            ));
-                            
-                            if (existingText) {
-                                // Only extend if text was detected in consecutive frames (no gap)
-                                const gap = timestamp - existingText.end;
-                                if (gap <= frameInterval) {
-                                    // Extend the end time of existing text
-                                    existingText.end = timestamp + frameInterval;
-                                    // Update position if we have better data
-                                    if (isObject && t.x !== undefined) {
-                                        existingText.x = xPos;
-                                        existingText.y = yPos;
-                                    }
-                                } else {
-                                    // Gap too large - this is a new appearance, add as new text
-                                    console.log(`[gap] "${normalizedText}" reappeared after ${gap}s gap, adding as new`);
-                                    texts.push({ 
-                                        text: normalizedText, 
-                                        start: timestamp,
-                                        end: timestamp + frameInterval,
-                                        position: posLabel,
-                                        x: xPos,
-                                        y: yPos
-                                    });
-                                }
-                            } else {
-                                // New text - add with start time and position
-                                texts.push({ 
-                                    text: normalizedText, 
-                                    start: timestamp,
-                                    end: timestamp + frameInterval,
-                                    position: posLabel,
-                                    x: xPos,
-                                    y: yPos
-                                });
-                            }
-                        });
-                    }
-                    
-                    // Mark texts that are no longer visible in this frame
-                    // Use normalized comparison (strip emojis/symbols)
-                    const stripForCompare2 = (str) => (str || '')
-                        .replace(/[\u{1F300}-\u{1F9FF}]/gu, '')
-                        .replace(/[^\p{L}\p{N}\s]/gu, '')
-                        .replace(/\s+/g, ' ')
-                        .trim()
-                        .toLowerCase();
-                    
-                    const currentTextsNormalized = (parsed.texts || []).map(t => {
-                        const txt = typeof t === 'object' ? t.text : t;
-                        return stripForCompare2(txt);
-                    });
-                    texts.forEach(t => {
-                        if (!t.closed) {
-                            const textNorm = stripForCompare2(t.text);
-                            // STRICT comparison - only exact match counts as "still visible"
-                            // This prevents "Navadne boksarice" staying open when "NORIKS boksarice" appears
-                            const stillVisible = currentTextsNormalized.some(ct => ct === textNorm);
-                            if (!stillVisible && timestamp > t.start) {
-                                // Text disappeared - close it at this timestamp
-                                t.end = timestamp;
-                                t.duration = t.end - t.start;
-                                t.closed = true;
-                                console.log(`[closing] "${t.text}" ended at ${timestamp}s (was ${t.start}s-${t.end}s)`);
-                            }
+                // Check if this text (or very similar) already exists and is still open
+                const existingText = texts.find(x => !x.closed && (
+                    x.text === normalizedText || 
+                    x.text.toLowerCase() === normalizedText.toLowerCase() ||
+                    stripForCompare(x.text) === normalizedForCompare
+                ));
+                
+                if (existingText) {
+                    // Only extend if text was detected in consecutive frames (no gap)
+                    const gap = timestamp - existingText.end;
+                    if (gap <= frameInterval) {
+                        // Extend the end time of existing text
+                        existingText.end = timestamp + frameInterval;
+                        // Update position if we have better data
+                        if (isObject && t.x !== undefined) {
+                            existingText.x = xPos;
+                            existingText.y = yPos;
                         }
-                    });
-                    
-                    // Create segment if new scene OR if current segment is too long (max 2 seconds for dynamic feel)
-                    const currentSegmentTooLong = segments.length > 0 && (timestamp - segments[segments.length - 1].start) >= 2;
-                    
-                    if (parsed.isNewScene || segments.length === 0 || currentSegmentTooLong) {
-                        // Close previous segment
-                        if (segments.length > 0) {
-                            segments[segments.length - 1].end = timestamp;
+                        // Keep the frame the text was read best in for its layout track
+                        if (isObject && t.bbox && (t.confidence ?? 1) >= (existingText.detected?.confidence ?? 0)) {
+                            existingText.detected = t;
+                            existingText.frame = frames[i];
                         }
-                        
-                        segments.push({
-                            id: segments.length,
+                    } else {
+                        // Gap too large - this is a new appearance, add as new text
+                        console.log(`[gap] "${normalizedText}" reappeared after ${gap}s gap, adding as new`);
+                        texts.push({ 
+                            text: normalizedText, 
                             start: timestamp,
                             end: timestamp + frameInterval,
-                            description: parsed.description || `Scene ${segments.length + 1}`,
-                            emotion: parsed.emotion || 'neutral',
-                            thumbnail: `/uploads/analysis/${jobId}/${frames[i]}`
+                            position: posLabel,
+                            x: xPos,
+                            y: yPos,
+                            detected: isObject ? t : null,
+                            frame: frames[i]
                         });
-                        
-                        lastDescription = parsed.description || '';
-                    } else {
-                        // Extend current segment
-                        if (segments.length > 0) {
-                            segments[segments.length - 1].end = timestamp + frameInterval;
-                        }
                     }
+                } else {
+                    // New text - add with start time and position
+                    texts.push({ 
+                        text: normalizedText, 
+                        start: timestamp,
+                        end: timestamp + frameInterval,
+                        position: posLabel,
+                        x: xPos,
+                        y: yPos,
+                        detected: isObject ? t : null,
+                        frame: frames[i]
+                    });
                 }
-            } catch (e) {
-                console.error('Frame analysis error:', e.message);
-            }
-        }
-        
-        // Ensure last segment has proper end time (at 2fps, frame N = (N-1)*0.5 seconds)
-        if (segments.length > 0 && frames.length > 0) {
-            const lastFrame = parseInt(frames[frames.length - 1].match(/\d+/)[0]);
-            const lastTimestamp = (lastFrame - 1) * 0.5 + 0.5; // End of last frame at 2fps
-            segments[segments.length - 1].end = lastTimestamp;
+            });
         }
         
-        // Close any still-open texts at the end
-        texts.forEach(t => {
-            if (!t.closed && frames.length > 0) {
-                const lastFrame = parseInt(frames[frames.length - 1].match(/\d+/)[0]);
-                t.end = (lastFrame - 1) * 0.5 + 0.5;
-                t.duration = t.end - t.start;
-            }
-        });
-        
-        // Filter out brand names, size labels, and product text (not overlays)
-        const BRAND_FILTER = ['noriks', 'nike', 'adidas', 'puma', 'under armour', 'calvin klein', 'tommy hilfiger', 'hugo boss', 'lacoste', 'ralph lauren', 'armani', 'diesel', 'levis', 'gap', 'zara', 'h&m', 'nano'];
-        const SIZE_FILTER = ['xs', 's', 'm', 'l', 'xl', '2xl', '3xl', '4xl', '5xl', 'xxl', 'xxxl'];
-        
-        const filteredTexts = texts.filter(t => {
-            const textLower = (t.text || '').toLowerCase().trim();
-            // Remove if it's just a brand name
-            if (BRAND_FILTER.some(brand => textLower === brand || textLower === brand.replace(' ', ''))) {
-                return false;
-            }
-            // Remove size labels
-            if (SIZE_FILTER.includes(textLower)) {
-                return false;
-            }
-            // Remove brand + size combinations (e.g., "NORIKS 3XL", "NORIKS 2XL")
-            if (/^noriks\s*\d*x*l$/i.test(textLower) || /^\d*x*l\s*noriks$/i.test(textLower)) {
-                return false;
-            }
-            // Remove texts that are just brand names with sizes
-            if (/^[a-z]+\s+(simple\s+)?(shirts|done|better)/i.test(textLower)) {
-                return false; // "NORIKS Simple Shirts. Done Better"
-            }
-            // Remove very short texts (likely OCR errors or logos)
-            if (textLower.length < 3) return false;
-            // Remove if text spans almost entire video (likely logo on product)
-            const duration = (t.end || 0) - (t.start || 0);
-            const videoLength = frames.length * 0.5; // 2fps = 0.5s per frame
-            if (duration > videoLength * 0.7) return false; // More than 70% of video = probably product logo
-            return true;
-        });
-        
-        console.log(`[${jobId}] Found ${segments.length} segments, ${texts.length} texts (${filteredTexts.length} after filtering)`);
-        
-        // POST-PROCESS: Merge overlapping/consecutive texts with same/similar content
-        const mergedTexts = [];
-        const normalizeForMerge = (str) => (str || '')
+        // Mark texts that are no longer visible in this frame
+        // Use normalized comparison (strip emojis/symbols)
+        const stripForCompare2 = (str) => (str || '')
             .replace(/[\u{1F300}-\u{1F9FF}]/gu, '')
             .replace(/[^\p{L}\p{N}\s]/gu, '')
             .replace(/\s+/g, ' ')
             .trim()
             .toLowerCase();
         
-        // Sort by start time
-        filteredTexts.sort((a, b) => a.start - b.start);
-        
-        filteredTexts.forEach(t => {
-            const tNorm = normalizeForMerge(t.text);
-            // Find if there's an existing text with EXACTLY same content that overlaps or is consecutive
-            const existing = mergedTexts.find(m => {
-                const mNorm = normalizeForMerge(m.text);
-                // STRICT: Only merge if texts are EXACTLY the same (normalized)
-                if (mNorm !== tNorm) return false;
-                
-                // Check if overlapping OR consecutive (within 0.5s gap for 2fps)
-                const overlaps = t.start <= m.end && t.end >= m.start;
-                const gap = t.start - m.end;
-                const isConsecutive = gap > 0 && gap <= 0.5;
-                
-                return overlaps || isConsecutive;
-            });
-            
-            if (existing) {
-                // Merge: extend time range to cover both
-                existing.start = Math.min(existing.start, t.start);
-                existing.end = Math.max(existing.end, t.end);
-            } else {
-                // Add new text
-                mergedTexts.push({ ...t });
+        const currentTextsNormalized = (parsed.texts || []).map(t => {
+            const txt = typeof t === 'object' ? t.text : t;
+            return stripForCompare2(txt);
+        });
+        texts.forEach(t => {
+            if (!t.closed) {
+                const textNorm = stripForCompare2(t.text);
+                // STRICT comparison - only exact match counts as "still visible"
+                // This prevents "Navadne boksarice" staying open when "NORIKS boksarice" appears
+                const stillVisible = currentTextsNormalized.some(ct => ct === textNorm);
+                if (!stillVisible && timestamp > t.start) {
+                    // Text disappeared - close it at this timestamp
+                    t.end = timestamp;
+                    t.duration = t.end - t.start;
+                    t.closed = true;
+                    console.log(`[closing] "${t.text}" ended at ${timestamp}s (was ${t.start}s-${t.end}s)`);
+                }
             }
         });
         
-        console.log(`[${jobId}] After merging duplicates: ${mergedTexts.length} texts`);
+        // Create segment if new scene OR if current segment is too long (max 2 seconds for dynamic feel)
+        const currentSegmentTooLong = segments.length > 0 && (timestamp - segments[segments.length - 1].start) >= 2;
         
-        // DEBUG: Log each text with timing
-        mergedTexts.forEach((t, i) => {
-            console.log(`[${jobId}] Final text ${i}: "${t.text}" ${t.start}s-${t.end}s`);
+        if (parsed.isNewScene || segments.length === 0 || currentSegmentTooLong) {
+            // Close previous segment
+            if (segments.length > 0) {
+                segments[segments.length - 1].end = timestamp;
+            }
+            
+            segments.push({
+                id: segments.length,
+                start: timestamp,
+                end: timestamp + frameInterval,
+                description: parsed.description || `Scene ${segments.length + 1}`,
+                emotion: parsed.emotion || 'neutral',
+                thumbnail: `/uploads/analysis/${jobId}/${frames[i]}`
+            });
+            
+            lastDescription = parsed.description || '';
+        } else {
+            // Extend current segment
+            if (segments.length > 0) {
+                segments[segments.length - 1].end = timestamp + frameInterval;
+            }
+        }
+    }
+    
+    // Ensure last segment has proper end time
+    if (segments.length > 0) {
+        segments[segments.length - 1].end = videoLength;
+    }
+    
+    // Close any still-open texts at the end
+    texts.forEach(t => {
+        if (!t.closed) {
+            t.end = videoLength;
+            t.duration = t.end - t.start;
+        }
+    });
+    
+    // Filter out brand names, size labels, and product text (not overlays)
+    const BRAND_FILTER = ['noriks', 'nike', 'adidas', 'puma', 'under armour', 'calvin klein', 'tommy hilfiger', 'hugo boss', 'lacoste', 'ralph lauren', 'armani', 'diesel', 'levis', 'gap', 'zara', 'h&m', 'nano'];
+    const SIZE_FILTER = ['xs', 's', 'm', 'l', 'xl', '2xl', '3xl', '4xl', '5xl', 'xxl', 'xxxl'];
+    
+    const filteredTexts = texts.filter(t => {
+        const textLower = (t.text || '').toLowerCase().trim();
+        // Remove if it's just a brand name
+        if (BRAND_FILTER.some(brand => textLower === brand || textLower === brand.replace(' ', ''))) {
+            return false;
+        }
+        // Remove size labels
+        if (SIZE_FILTER.includes(textLower)) {
+            return false;
+        }
+        // Remove brand + size combinations (e.g., "NORIKS 3XL", "NORIKS 2XL")
+        if (/^noriks\s*\d*x*l$/i.test(textLower) || /^\d*x*l\s*noriks$/i.test(textLower)) {
+            return false;
+        }
+        // Remove texts that are just brand names with sizes
+        if (/^[a-z]+\s+(simple\s+)?(shirts|done|better)/i.test(textLower)) {
+            return false; // "NORIKS Simple Shirts. Done Better"
+        }
+        // Remove very short texts (likely OCR errors or logos)
+        if (textLower.length < 3) return false;
+        // Remove if text spans almost entire video (likely logo on product)
+        const duration = (t.end || 0) - (t.start || 0);
+        if (duration > videoLength * 0.7) return false; // More than 70% of video = probably product logo
+        return true;
+    });
+    
+    console.log(`[${jobId}] Found ${segments.length} segments, ${texts.length} texts (${filteredTexts.length} after filtering)`);
+    
+    // POST-PROCESS: Merge overlapping/consecutive texts with same/similar content
+    const mergedTexts = [];
+    const normalizeForMerge = (str) => (str || '')
+        .replace(/[\u{1F300}-\u{1F9FF}]/gu, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+    
+    // Sort by start time
+    filteredTexts.sort((a, b) => a.start - b.start);
+    
+    filteredTexts.forEach(t => {
+        const tNorm = normalizeForMerge(t.text);
+        // Find if there's an existing text with EXACTLY same content that overlaps or is consecutive
+        const existing = mergedTexts.find(m => {
+            const mNorm = normalizeForMerge(m.text);
+            // STRICT: Only merge if texts are EXACTLY the same (normalized)
+            if (mNorm !== tNorm) return false;
+            
+            // Check if overlapping OR consecutive (within 0.5s gap for 2fps)
+            const overlaps = t.start <= m.end && t.end >= m.start;
+            const gap = t.start - m.end;
+            const isConsecutive = gap > 0 && gap <= 0.5;
+            
+            return overlaps || isConsecutive;
         });
         
-        // Use merged texts - return ORIGINAL language (no auto-translation)
-        // User will click "Prevedi v SLO" button to translate separately
-        const finalTexts = mergedTexts;
-        
-        console.log(`[${jobId}] ✅ Returning ${finalTexts.length} texts in original language`);
-        
-        res.json({ segments, texts: finalTexts, framesDir: jobId });
-        
+        if (existing) {
+            // Merge: extend time range to cover both
+            existing.start = Math.min(existing.start, t.start);
+            existing.end = Math.max(existing.end, t.end);
+            if (t.detected && (t.detected.confidence ?? 1) > (existing.detected?.confidence ?? 0)) {
+                existing.detected = t.detected;
+                existing.frame = t.frame;
+            }
+        } else {
+            // Add new text
+            mergedTexts.push({ ...t });
+        }
+    });
+    
+    console.log(`[${jobId}] After merging duplicates: ${mergedTexts.length} texts`);
+    
+    // Layout track (box, alignment, size, colours) from the frame each text was read best in
+    for (const t of mergedTexts) {
+        t.track = t.detected ? await textTracks.buildTrack(t.detected, path.join(framesDir, t.frame)) : null;
+        delete t.detected;
+        delete t.frame;
+    }
+    
+    // DEBUG: Log each text with timing
+    mergedTexts.forEach((t, i) => {
+        console.log(`[${jobId}] Final text ${i}: "${t.text}" ${t.start}s-${t.end}s${t.track ? ` ${t.track.align}, ${t.track.fontSize}px, ${t.track.color || '?'} on ${t.track.background || 'footage'}` : ''}`);
+    });
+    
+    // Use merged texts - return ORIGINAL language (no auto-translation)
+    // User will click "Prevedi v SLO" button to translate separately
+    const finalTexts = mergedTexts;
+    
+    console.log(`[${jobId}] ✅ Returning ${finalTexts.length} texts in original language`);
+    
+    return { segments, texts: finalTexts, framesDir: jobId };
+}
+
+// Analyze video - extract frames and scene descriptions
+// Cached by video content (lib/analysis-cache.js); { force: true } analyzes again
+app.post('/api/localizer/analyze', async (req, res) => {
+    const { filename, mode, force } = req.body;
+    if (!filename) return res.status(400).json({ error: 'Missing filename' });
+    
+    const videoPath = mediaResolver.resolve(filename);
+    if (!videoPath) return res.status(404).json({ error: 'Video not found' });
+    
+    try {
+        // Everything the result depends on besides the video (cache key); sampling as in lib/frame-sampler.js
+        const params = { sampling: 'adaptive', grid: frameSampler.GRID_INTERVAL, sparse: frameSampler.SPARSE_INTERVAL, mode: mode || null, detection: (process.env.TEXT_DETECTION || 'auto').toLowerCase() };
+        // Thumbnails and tracks point at the extracted frames - without them the result is stale
+        const framesExist = result => !result.framesDir || fs.existsSync(path.join(__dirname, 'uploads', 'analysis', result.framesDir));
+        const { result, cached, hash } = await analysisCache.cached('analyze', videoPath, params, { force: !!force, isValid: framesExist },
+            () => analyzeOverlayTexts(videoPath, filename));
+        if (cached) console.log(`Analysis of ${filename} from cache (${hash.slice(0, 12)}, ${result.texts.length} texts)`);
+        res.json({ ...result, cached, videoHash: hash });
     } catch (e) {
         console.error('Analysis error:', e);
         res.status(500).json({ error: e.message });
@@ -1923,51 +1920,37 @@ PRIMERI po vlogah:
 Vrni JSON array:
 [{"segmentId": 0, "variants": {"A": "...", "B": "...", "C": "..."}}, ...]`;
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-            body: JSON.stringify({
-                model: 'gpt-4o',
-                messages: [
-                    { role: 'system', content: 'Si expert copywriter za performance marketing. Pišeš kratke, udarne tekste ki prodajajo. Vedno odgovoriš SAMO z JSON formatom.' },
-                    { role: 'user', content: prompt }
-                ],
-                max_tokens: 8000,
-                temperature: 0.8
-            })
-        });
+        const variants = await openai.chat({
+            model: 'gpt-4o',
+            messages: [
+                { role: 'system', content: 'Si expert copywriter za performance marketing. Pišeš kratke, udarne tekste ki prodajajo. Vedno odgovoriš SAMO z JSON formatom.' },
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: 8000,
+            temperature: 0.8
+        }, { label: 'variants', parse: c => translation.parseJsonResponse(c) });
+        
+        // Merge variants into segments
+        const result = segments.map((seg, i) => ({
+            ...seg,
+            variants: variants.find(v => v.segmentId === i)?.variants || {
+                A: hookTemplates.problem[i % hookTemplates.problem.length],
+                B: hookTemplates.solution[i % hookTemplates.solution.length],
+                C: hookTemplates.benefit[i % hookTemplates.benefit.length]
+            }
+        }));
         
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content || '[]';
-        const match = content.match(/\[[\s\S]*\]/);
+        // Log generated variants
+        console.log('=== GENERATED VARIANTS ===');
+        result.forEach((seg, i) => {
+            console.log(`Kader ${i+1} [${seg.start}s-${seg.end}s]: ${seg.description}`);
+            console.log(`  A: ${seg.variants.A}`);
+            console.log(`  B: ${seg.variants.B}`);
+            console.log(`  C: ${seg.variants.C}`);
+        });
+        console.log('=== END VARIANTS ===');
         
-        if (match) {
-            const variants = JSON.parse(match[0]);
-            
-            // Merge variants into segments
-            const result = segments.map((seg, i) => ({
-                ...seg,
-                variants: variants.find(v => v.segmentId === i)?.variants || {
-                    A: hookTemplates.problem[i % hookTemplates.problem.length],
-                    B: hookTemplates.solution[i % hookTemplates.solution.length],
-                    C: hookTemplates.benefit[i % hookTemplates.benefit.length]
-                }
-            }));
-            
-            // Log generated variants
-            console.log('=== GENERATED VARIANTS ===');
-            result.forEach((seg, i) => {
-                console.log(`Kader ${i+1} [${seg.start}s-${seg.end}s]: ${seg.description}`);
-                console.log(`  A: ${seg.variants.A}`);
-                console.log(`  B: ${seg.variants.B}`);
-                console.log(`  C: ${seg.variants.C}`);
-            });
-            console.log('=== END VARIANTS ===');
-            
-            res.json({ segments: result });
-        } else {
-            res.status(500).json({ error: 'Failed to parse variants' });
-        }
+        res.json({ segments: result });
         
     } catch (e) {
         console.error('Variants error:', e);
@@ -1999,6 +1982,8 @@ const pngStyleConfigs = {
     gold:      { bg: '#fbbf24',            text: 'black', radius: 0.15 },
 };
 
+const OVERLAY_FONT = path.join(media.FONTS_DIR, 'google-noto-vf', 'NotoSans[wght].ttf');
+
 // Generates PNG images with box backgrounds using ImageMagick for ALL styles
 async function generateTextOverlayPngs(texts, fontSize, outputDir, videoWidth = 1080, videoHeight = 1920) {
     const pngs = [];
@@ -2013,23 +1998,26 @@ async function generateTextOverlayPngs(texts, fontSize, outputDir, videoWidth =
         const cfg = pngStyleConfigs[styleName] || pngStyleConfigs.white;
         const cornerRadius = Math.round(scaledFontSize * cfg.radius);
         
-        // Escape text for shell
-        const text = t.text.replace(/\\/g, '\\\\').replace(/'/g, "'\\''").replace(/"/g, '\\\\"').replace(/`/g, '\\`');
+        // Text goes through a file (label:@file / caption:@file / -annotate @file), never the argument list
+        const textFile = media.writeTextFile(outputDir, `text-${i}.txt`, t.text);
         const pngPath = path.join(outputDir, `text-${i}.png`);
+        const fontArgs = ['-font', OVERLAY_FONT, '-weight', '700', '-pointsize', String(scaledFontSize)];
         
         // Max width: video width minus margins
         const maxTextWidth = videoWidth - paddingX * 2 - 40; // 40px safety margin
         
         // Step 1: Measure text with word wrap using caption: (auto-wraps to fit width)
         // First measure single line to check if wrapping needed
-        const measureCmd = `convert -font "/usr/share/fonts/google-noto-vf/NotoSans[wght].ttf" -weight 700 -pointsize ${scaledFontSize} -gravity center label:"${text}" -format "%wx%h" info:`;
         let singleW = 9999, singleH = scaledFontSize;
         try {
-            const { stdout } = await execPromise(measureCmd);
+            const { stdout } = await media.convert([...fontArgs, '-gravity', 'center', `label:@${textFile}`, '-format', '%wx%h', 'info:']);
             const parts = stdout.trim().split('x');
             singleW = parseInt(parts[0]);
             singleH = parseInt(parts[1]);
-        } catch (e) {}
+        } catch (e) {
+            // A measuring failure falls back to a guess - a blocked @file would fail every step
+            if (e instanceof media.ImageMagickPolicyError) throw e;
+        }
         
         let imgW, imgH;
         let useCaption = singleW > maxTextWidth;
@@ -2037,13 +2025,13 @@ async function generateTextOverlayPngs(texts, fontSize, outputDir, videoWidth =
         if (useCaption) {
             // Text too wide - use caption: with fixed width for word wrapping
             const captionW = maxTextWidth;
-            const measureWrapCmd = `convert -font "/usr/share/fonts/google-noto-vf/NotoSans[wght].ttf" -weight 700 -pointsize ${scaledFontSize} -size ${captionW}x -gravity center caption:"${text}" -format "%wx%h" info:`;
             try {
-                const { stdout } = await execPromise(measureWrapCmd);
+                const { stdout } = await media.convert([...fontArgs, '-size', `${captionW}x`, '-gravity', 'center', `caption:@${textFile}`, '-format', '%wx%h', 'info:']);
                 const parts = stdout.trim().split('x');
                 imgW = Math.round(parseInt(parts[0]) + paddingX * 2);
                 imgH = Math.round(parseInt(parts[1]) + paddingY * 2);
             } catch (e) {
+                if (e instanceof media.ImageMagickPolicyError) throw e;
                 imgW = captionW + paddingX * 2;
                 imgH = Math.round(scaledFontSize * 2.6 + paddingY * 2);
             }
@@ -2053,20 +2041,20 @@ async function generateTextOverlayPngs(texts, fontSize, outputDir, videoWidth =
         }
         
         // Step 2: Generate PNG with background rect + text
-        let drawBg = `-fill "${cfg.bg}" -draw "roundrectangle 0,0 ${imgW-1},${imgH-1} ${cornerRadius},${cornerRadius}"`;
+        const roundRect = `roundrectangle 0,0 ${imgW-1},${imgH-1} ${cornerRadius},${cornerRadius}`;
+        const drawBg = ['-fill', cfg.bg, '-draw', roundRect];
         if (cfg.border) {
-            drawBg += ` -stroke "${cfg.border}" -strokewidth 3 -fill none -draw "roundrectangle 0,0 ${imgW-1},${imgH-1} ${cornerRadius},${cornerRadius}"`;
+            drawBg.push('-stroke', cfg.border, '-strokewidth', '3', '-fill', 'none', '-draw', roundRect);
         }
         
-        // Use caption: for wrapped text, label: for single line
-        const textOp = useCaption 
-            ? `-size ${imgW - paddingX * 2}x -gravity center caption:"${text}"`
-            : `-gravity center -annotate +0+0 "${text}"`;
-        
-        const cmd = useCaption
-            ? `convert \\( -size ${imgW}x${imgH} xc:"rgba(0,0,0,0)" ${drawBg} \\) \\( -font "/usr/share/fonts/google-noto-vf/NotoSans[wght].ttf" -weight 700 -pointsize ${scaledFontSize} -fill "${cfg.text}" -background none -size ${imgW - paddingX * 2}x -gravity center caption:"${text}" \\) -gravity center -composite PNG32:"${pngPath}"`
-            : `convert -size ${imgW}x${imgH} xc:"rgba(0,0,0,0)" ${drawBg} -stroke none -fill "${cfg.text}" -font "/usr/share/fonts/google-noto-vf/NotoSans[wght].ttf" -weight 700 -pointsize ${scaledFontSize} -gravity center -annotate +0+0 "${text}" PNG32:"${pngPath}"`;
-        await execPromise(cmd);
+        // Use caption: for wrapped text, -annotate for single line
+        const args = useCaption
+            ? ['(', '-size', `${imgW}x${imgH}`, 'xc:rgba(0,0,0,0)', ...drawBg, ')',
+               '(', ...fontArgs, '-fill', cfg.text, '-background', 'none', '-size', `${imgW - paddingX * 2}x`, '-gravity', 'center', `caption:@${textFile}`, ')',
+               '-gravity', 'center', '-composite', `PNG32:${pngPath}`]
+            : ['-size', `${imgW}x${imgH}`, 'xc:rgba(0,0,0,0)', ...drawBg, '-stroke', 'none', '-fill', cfg.text,
+               ...fontArgs, '-gravity', 'center', '-annotate', '+0+0', `@${textFile}`, `PNG32:${pngPath}`];
+        await media.convert(args);
         
         // Calculate position (centered horizontally)
         const x = Math.round((videoWidth - imgW) / 2);
@@ -2128,44 +2116,69 @@ app.post('/api/localizer/preview', async (req, res) => {
         return res.status(400).json({ error: 'Missing data' });
     }
     
-    const videoPath = path.join(__dirname, 'uploads', videoClean);
-    if (!fs.existsSync(videoPath)) return res.status(404).json({ error: 'Video not found' });
+    const videoPath = mediaResolver.resolve(videoClean);
+    if (!videoPath) return res.status(404).json({ error: 'Video not found' });
+    
+    const job = jobEngine.create('preview', {
+        name,
+        createdBy: req.user.username,
+        videoClean,
+        texts,
+        language,
+        style,
+        fontSize,
+        hookStyle,
+        ctaStyle,
+        countries: ['SI']
+    });
     
     try {
-        const jobId = `preview-${Date.now()}`;
-        const outputDir = path.join(__dirname, 'uploads', 'previews', jobId);
-        fs.mkdirSync(outputDir, { recursive: true });
-        
-        console.log('Preview using style:', style, 'fontSize:', fontSize, 'hookStyle:', hookStyle, 'ctaStyle:', ctaStyle);
-        console.log('[Preview] Per-text styles:', texts.map((t, i) => `[${i}] "${t.text?.substring(0,20)}" style=${t.style}`).join(', '));
-        
-        const baseStyle = assStyles[style] || assStyles.white;
-        const defaultStyle = baseStyle.replace(/,Noto Sans,\d+,/, `,Noto Sans,${fontSize},`);
-        
-        // Create per-text styles
-        const perTextStyleLines = [];
-        const usedStyles = new Set();
-        texts.forEach((t, i) => {
-            const s = t.style || style;
-            if (s !== style && !usedStyles.has(s)) {
-                usedStyles.add(s);
-                const base = assStyles[s] || assStyles.white;
-                perTextStyleLines.push(base.replace('Style: Default,', `Style: S_${s},`).replace(/,Noto Sans,\d+,/, `,Noto Sans,${fontSize},`));
-            }
-        });
-        
-        // Hook/CTA styles
-        if (hookStyle && !usedStyles.has(hookStyle)) {
-            const base = assStyles[hookStyle] || assStyles.white;
-            perTextStyleLines.push(base.replace('Style: Default,', 'Style: Hook,').replace(/,Noto Sans,\d+,/, `,Noto Sans,${fontSize},`));
-        }
-        if (ctaStyle && !usedStyles.has(ctaStyle)) {
-            const base = assStyles[ctaStyle] || assStyles.white;
-            perTextStyleLines.push(base.replace('Style: Default,', 'Style: CTA,').replace(/,Noto Sans,\d+,/, `,Noto Sans,${fontSize},`));
+        const videoUrl = await jobEngine.run(job, () => renderPreview(job, videoPath));
+        res.json({ success: true, videoUrl });
+    } catch (e) {
+        console.error('Preview error:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Render a preview job: the source-language texts burned into one video
+async function renderPreview(job, videoPath) {
+    const { name, texts, style, fontSize, hookStyle, ctaStyle } = job;
+    jobEngine.transition(job, 'generating');
+    
+    const outputDir = jobOutputDir(job);
+    fs.mkdirSync(outputDir, { recursive: true });
+    
+    console.log('Preview using style:', style, 'fontSize:', fontSize, 'hookStyle:', hookStyle, 'ctaStyle:', ctaStyle);
+    console.log('[Preview] Per-text styles:', texts.map((t, i) => `[${i}] "${t.text?.substring(0,20)}" style=${t.style}`).join(', '));
+    
+    const baseStyle = assStyles[style] || assStyles.white;
+    const defaultStyle = baseStyle.replace(/,Noto Sans,\d+,/, `,Noto Sans,${fontSize},`);
+    
+    // Create per-text styles
+    const perTextStyleLines = [];
+    const usedStyles = new Set();
+    texts.forEach((t, i) => {
+        const s = t.style || style;
+        if (s !== style && !usedStyles.has(s)) {
+            usedStyles.add(s);
+            const base = assStyles[s] || assStyles.white;
+            perTextStyleLines.push(base.replace('Style: Default,', `Style: S_${s},`).replace(/,Noto Sans,\d+,/, `,Noto Sans,${fontSize},`));
         }
-        
-        let ass = `[Script Info]
-Title: ${name} Preview
+    });
+    
+    // Hook/CTA styles
+    if (hookStyle && !usedStyles.has(hookStyle)) {
+        const base = assStyles[hookStyle] || assStyles.white;
+        perTextStyleLines.push(base.replace('Style: Default,', 'Style: Hook,').replace(/,Noto Sans,\d+,/, `,Noto Sans,${fontSize},`));
+    }
+    if (ctaStyle && !usedStyles.has(ctaStyle)) {
+        const base = assStyles[ctaStyle] || assStyles.white;
+        perTextStyleLines.push(base.replace('Style: Default,', 'Style: CTA,').replace(/,Noto Sans,\d+,/, `,Noto Sans,${fontSize},`));
+    }
+    
+    let ass = `[Script Info]
+Title: ${escapeAssHeader(name)} Preview
 ScriptType: v4.00+
 WrapStyle: 0
 PlayResX: 1080
@@ -2179,106 +2192,105 @@ ${perTextStyleLines.join('\n')}
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 `;
-        
-        // Separate rounded texts (PNG overlay) from others (ASS)
-        const roundedTextIndices = [];
-        texts.forEach((t, i) => {
-            const resolvedStyle = t.style || style;
-            if (resolvedStyle === 'rounded') {
-                roundedTextIndices.push(i);
-                return; // skip ASS for rounded
-            }
-            const start = formatAssTime(t.start);
-            const end = formatAssTime(t.end);
-            let styleName = (resolvedStyle !== style) ? `S_${resolvedStyle}` : 'Default';
-            
-            let pos = '\\an5\\pos(540,960)';
-            if (t.position === 'center-top') pos = '\\an5\\pos(540,880)';
-            else if (t.position === 'center-bottom') pos = '\\an5\\pos(540,1000)';
-            else if (t.position === 'top') pos = '\\an8';
-            else if (t.position === 'bottom') pos = '\\an2';
-            
-            ass += `Dialogue: 0,${start},${end},${styleName},,0,0,0,,{${pos}\\fad(200,200)}${t.text}\n`;
-        });
-        
-        const assPath = path.join(outputDir, 'preview.ass');
-        fs.writeFileSync(assPath, ass);
-        
-        // Generate PNG overlays for rounded texts
-        const roundedOverlayTexts = roundedTextIndices.map(i => ({
-            ...texts[i],
-            _resolvedStyle: 'rounded',
-            _posY: texts[i].position === 'center-top' ? 820 : texts[i].position === 'center-bottom' ? 1000 : 900
-        }));
-        const pngOverlays = await generateTextOverlayPngs(roundedOverlayTexts, fontSize, outputDir);
-        
-        const outputVideo = path.join(outputDir, `${name}-preview.mp4`);
-        
-        if (pngOverlays.length > 0) {
-            // Combine ASS + PNG overlays
-            const pngInputs = pngOverlays.map(p => `-i "${p.path}"`).join(' ');
-            let fc = `[0:v]ass='${assPath}':fontsdir=/usr/share/fonts[assout]`;
-            let lastLabel = '[assout]';
-            pngOverlays.forEach((p, idx) => {
-                const isLast = idx === pngOverlays.length - 1;
-                const outLabel = isLast ? '[vout]' : `[ov${idx}]`;
-                fc += `;${lastLabel}[${idx + 1}:v]overlay=${p.x}:${p.y}:enable='between(t\\,${p.start}\\,${p.end})'${outLabel}`;
-                lastLabel = outLabel;
-            });
-            await execPromise(`${FFMPEG} -y -i "${videoPath}" ${pngInputs} -filter_complex "${fc}" -map "[vout]" -map 0:a -c:v libx264 -preset fast -crf 23 -c:a copy "${outputVideo}" 2>&1`);
-        } else {
-            await execPromise(`${FFMPEG} -y -i "${videoPath}" -vf "ass='${assPath}':fontsdir=/usr/share/fonts" -c:v libx264 -preset fast -crf 23 -c:a copy "${outputVideo}" 2>/dev/null`);
+    
+    // Separate rounded texts (PNG overlay) from others (ASS)
+    const roundedTextIndices = [];
+    texts.forEach((t, i) => {
+        const resolvedStyle = t.style || style;
+        if (resolvedStyle === 'rounded') {
+            roundedTextIndices.push(i);
+            return; // skip ASS for rounded
         }
+        const start = formatAssTime(t.start);
+        const end = formatAssTime(t.end);
+        let styleName = (resolvedStyle !== style) ? `S_${resolvedStyle}` : 'Default';
         
-        res.json({ 
-            success: true, 
-            videoUrl: `/uploads/previews/${jobId}/${name}-preview.mp4` 
-        });
+        let pos = '\\an5\\pos(540,960)';
+        if (t.position === 'center-top') pos = '\\an5\\pos(540,880)';
+        else if (t.position === 'center-bottom') pos = '\\an5\\pos(540,1000)';
+        else if (t.position === 'top') pos = '\\an8';
+        else if (t.position === 'bottom') pos = '\\an2';
         
-    } catch (e) {
-        console.error('Preview error:', e);
-        res.status(500).json({ error: e.message });
+        ass += `Dialogue: 0,${start},${end},${styleName},,0,0,0,,{${pos}\\fad(200,200)}${escapeAssText(t.text)}\n`;
+    });
+    
+    const assPath = path.join(outputDir, 'preview.ass');
+    fs.writeFileSync(assPath, ass);
+    
+    // Generate PNG overlays for rounded texts
+    const roundedOverlayTexts = roundedTextIndices.map(i => ({
+        ...texts[i],
+        _resolvedStyle: 'rounded',
+        _posY: texts[i].position === 'center-top' ? 820 : texts[i].position === 'center-bottom' ? 1000 : 900
+    }));
+    const pngOverlays = await generateTextOverlayPngs(roundedOverlayTexts, fontSize, outputDir);
+    
+    const previewName = `${mediaResolver.safeFileName(name)}-preview.mp4`;
+    const outputVideo = path.join(outputDir, previewName);
+    
+    if (pngOverlays.length > 0) {
+        // Combine ASS + PNG overlays
+        const pngInputs = pngOverlays.flatMap(p => ['-i', p.path]);
+        let fc = `[0:v]${media.assFilter(assPath)}[assout]`;
+        let lastLabel = '[assout]';
+        pngOverlays.forEach((p, idx) => {
+            const isLast = idx === pngOverlays.length - 1;
+            const outLabel = isLast ? '[vout]' : `[ov${idx}]`;
+            fc += `;${lastLabel}[${idx + 1}:v]overlay=${p.x}:${p.y}:enable='between(t\\,${p.start}\\,${p.end})'${outLabel}`;
+            lastLabel = outLabel;
+        });
+        await media.ffmpeg(['-i', videoPath, ...pngInputs, '-filter_complex', fc, '-map', '[vout]', '-map', '0:a', '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'copy', outputVideo]);
+    } else {
+        await media.ffmpeg(['-i', videoPath, '-vf', media.assFilter(assPath), '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'copy', outputVideo]);
     }
-});
+    
+    jobEngine.update(job, { outputs: { SI: outputVideo }, completed: 1 });
+    return `/uploads/previews/${job.id}/${encodeURIComponent(previewName)}`;
+}
 
-// Generate all 7 country videos
-app.post('/api/localizer/generate', async (req, res) => {
-    console.log('Generate request:', JSON.stringify(req.body, null, 2));
-    const { videoClean, name, texts, style, fontSize = 72, namingParts, hookStyle, ctaStyle, perTextStyles, countries, source, uppercase, mode, voiceoverScript, videoDuration } = req.body;
+const GENERATE_COUNTRIES = ['SI', 'HR', 'CZ', 'PL', 'GR', 'IT', 'HU', 'SK', 'BG', 'RO', 'DE'];
+
+// Job fields for a generate payload - shared by /api/localizer/generate and the
+// night queue, so a queued job renders exactly like one started right away.
+// Throws { status } errors for payloads that can't be rendered.
+async function generateJobFields(body, user) {
+    const { videoClean, name, texts, style, fontSize = 72, namingParts, hookStyle, ctaStyle, perTextStyles, countries, source, uppercase, mode, voiceoverScript, videoDuration, review, formats } = body;
     if (!videoClean || (!texts?.length && !voiceoverScript?.length)) {
         console.log('Generate 400: videoClean=', videoClean, 'texts=', texts);
-        return res.status(400).json({ error: 'Missing data: videoClean=' + !!videoClean + ' texts=' + (texts?.length || 0) });
-        return res.status(400).json({ error: 'Missing data: videoClean=' + !!videoClean + ' texts=' + (texts?.length || 0) });
+        throw Object.assign(new Error('Missing data: videoClean=' + !!videoClean + ' texts=' + (texts?.length || 0)), { status: 400 });
+    }
+    if (mode === 'voiceover' && !voiceoverScript?.length) {
+        throw Object.assign(new Error('Voiceover mode needs a voiceoverScript'), { status: 400 });
     }
-    if (perTextStyles) {
+    if (perTextStyles && texts?.length) {
         console.log('[Generate] Per-text styles:', texts.map(t => `"${t.text?.substring(0,20)}" → style:${t.style}`).join(', '));
     }
     
-    const videoPath = path.join(__dirname, 'uploads', videoClean);
-    if (!fs.existsSync(videoPath)) return res.status(404).json({ error: 'Video not found' });
+    const videoPath = mediaResolver.resolve(videoClean);
+    if (!videoPath) throw Object.assign(new Error('Video not found'), { status: 404 });
     
     // Validate and default countries
-    const ALL_COUNTRIES = ['SI', 'HR', 'CZ', 'PL', 'GR', 'IT', 'HU', 'SK', 'BG', 'RO', 'DE'];
     const selectedCountries = (countries && Array.isArray(countries) && countries.length > 0) 
-        ? countries.filter(c => ALL_COUNTRIES.includes(c))
-        : ALL_COUNTRIES;
+        ? countries.filter(c => GENERATE_COUNTRIES.includes(c))
+        : GENERATE_COUNTRIES;
+    
+    // Voiceover needs TTS - refuse up front instead of rendering silent videos
+    if (mode === 'voiceover') config.credentials('elevenlabs');
     
     // Get video duration for voiceover mode
     let actualVideoDuration = videoDuration;
     if (mode === 'voiceover' && !actualVideoDuration) {
         try {
-            const durResult = await execPromise(`${FFMPEG} -i "${videoPath}" 2>&1 | grep Duration | awk '{print $2}' | tr -d ','`);
-            const parts = durResult.stdout.trim().split(':');
-            actualVideoDuration = parseFloat(parts[0]) * 3600 + parseFloat(parts[1]) * 60 + parseFloat(parts[2]);
+            actualVideoDuration = (await media.probe(videoPath)).duration || 30;
         } catch(e) { actualVideoDuration = 30; }
     }
-    const jobId = `gen-${Date.now()}`;
-    const job = {
-        id: jobId,
+    
+    return {
         name,
         namingParts, // { id, date, product, type, author }
+        createdBy: user.username,
         videoClean,
-        texts,
+        texts: texts || [],
         style: style || 'white',
         fontSize: fontSize || 72,
         hookStyle: hookStyle || null, // Style for hook_problem texts
@@ -2290,28 +2302,102 @@ app.post('/api/localizer/generate', async (req, res) => {
         mode: mode || 'subtitles',
         voiceoverScript: voiceoverScript || null,
         videoDuration: actualVideoDuration || videoDuration || null,
-        status: 'translating',
-        completed: 0,
-        currentLang: '',
-        outputs: {},
-        created: new Date().toISOString()
+        review: !!review, // Stop at 'awaiting_review' after translating
+        formats: outputFormats.normalizeFormats(formats), // Aspect ratios: '9:16', '4:5', '1:1', '16:9'
+        currentLang: ''
     };
-    
-    localizerJobs.set(jobId, job);
-    persistJobs();
+}
+
+// Generate all 7 country videos
+app.post('/api/localizer/generate', async (req, res) => {
+    console.log('Generate request:', JSON.stringify(req.body, null, 2));
+    let fields;
+    try {
+        fields = await generateJobFields(req.body, req.user);
+    } catch (e) {
+        return res.status(e.status || 500).json({ error: e.message });
+    }
+    const job = jobEngine.create('generate', fields);
     
     // Start async generation
-    const generator = (mode === 'voiceover') ? generateVoiceoverCountries : generateAllCountries;
-    generator(job, videoPath).catch(e => {
-        job.status = 'error';
-        job.error = e.message;
-        persistJobs();
-        console.error(`[${jobId}] Error:`, e);
-    });
+    startGenerator(job, mediaResolver.resolve(job.videoClean));
     
-    res.json({ jobId, status: 'started' });
+    res.json({ jobId: job.id, status: 'started' });
 });
 
+function generatorFor(job) {
+    return (job.mode === 'voiceover') ? generateVoiceoverCountries : generateAllCountries;
+}
+
+function startGenerator(job, videoPath) {
+    jobEngine.start(job, () => generatorFor(job)(job, videoPath));
+}
+
+// Worker for generate jobs started later (night queue, resume): the video is looked up again
+function runGenerateJob(job) {
+    const videoPath = mediaResolver.resolve(job.videoClean);
+    if (!videoPath) throw new Error('Video not found');
+    return generatorFor(job)(job, videoPath);
+}
+
+// Source language of job texts and voice-over scripts; the only language allowed to render untranslated
+const SOURCE_LANG = 'SI';
+
+// Translate texts into several languages for a job. The batch is retried as a whole
+// (lib/retry.js); if it still fails, each language is requested on its own so one
+// bad language does not take the others down. Languages that fail anyway stay
+// untranslated and get their reason in job.translationErrors.
+// Returns one { HR: '...', CZ: '...' } object per text.
+async function translateLanguages(job, texts, langs, options) {
+    const translations = texts.map(() => ({}));
+    const merge = (rows) => rows.forEach((row, i) => Object.assign(translations[i], row));
+    job.translationErrors = {};
+    
+    try {
+        merge(await translation.translateBatch(texts, langs, options));
+        return translations;
+    } catch (e) {
+        console.error(`[${job.id}] Batch translation failed (${e.message}), translating languages one by one`);
+    }
+    
+    for (const lang of langs) {
+        if (job.cancelled) break;
+        try {
+            merge(await translation.translateBatch(texts, [lang], options));
+        } catch (e) {
+            console.error(`[${job.id}] Translation to ${lang} failed:`, e.message);
+            job.translationErrors[lang] = e.message;
+        }
+    }
+    return translations;
+}
+
+// Translated text i for a language. A missing translation throws (failing that
+// language) instead of silently rendering the Slovenian source.
+function requireTranslation(job, translations, i, lang, sourceText) {
+    const text = translations[i]?.[lang];
+    if (text) return text;
+    if (lang === SOURCE_LANG) return sourceText;
+    const reason = job.translationErrors?.[lang];
+    throw new Error(`No ${lang} translation for text ${i + 1}${reason ? ` (${reason})` : ''}`);
+}
+
+// Check final texts for a language against the glossary and attach violations to job.qualityChecks
+function recordGlossaryIssues(job, lang, sourceTexts, finalTexts) {
+    const issues = glossary.checkTranslations(sourceTexts, finalTexts, lang);
+    if (!job.qualityChecks) job.qualityChecks = {};
+    if (!job.qualityChecks[lang]) {
+        job.qualityChecks[lang] = { lang, langName: translation.LANG_NAMES[lang], issues: [], checks: [], passed: true };
+    }
+    const qc = job.qualityChecks[lang];
+    qc.issues.push(...issues);
+    qc.passed = qc.issues.length === 0;
+    if (issues.length > 0) {
+        console.log(`[${job.id}] ⚠️ Glossary issues for ${lang}:`, issues.map(i => i.reason).join('; '));
+    }
+    return issues;
+}
+
 // Quality Check Function - verifies texts and translation quality
 async function qualityCheckVideo(videoPath, originalTexts, translations, langCode, langName, jobId) {
     const issues = [];
@@ -2333,20 +2419,17 @@ async function qualityCheckVideo(videoPath, originalTexts, translations, langCod
         for (let i = 0; i < textsToCheck.length; i++) {
             const t = textsToCheck[i];
             const framePath = path.join(qcDir, `frame-${i}.jpg`);
-            await execPromise(`${FFMPEG} -y -ss ${t.timestamp + 0.5} -i "${videoPath}" -frames:v 1 -q:v 2 "${framePath}" 2>/dev/null`);
+            await media.ffmpeg(['-ss', String(t.timestamp + 0.5), '-i', videoPath, '-frames:v', '1', '-q:v', '2', framePath]);
         }
         
         // Use GPT-4o to verify translation quality (batch check)
         const translatedTexts = textsToCheck.map(t => t.translated);
         
-        const qcResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-            body: JSON.stringify({
-                model: 'gpt-4o',
-                messages: [{
-                    role: 'system',
-                    content: `You are a NATIVE ${langName} speaker reviewing marketing translations.
+        const verdicts = await openai.chat({
+            model: 'gpt-4o',
+            messages: [{
+                role: 'system',
+                content: `You are a NATIVE ${langName} speaker reviewing marketing translations.
 Your job is to check if texts sound NATURAL to a native speaker.
 
 Rate each text:
@@ -2355,9 +2438,9 @@ Rate each text:
 - ❌ BAD = confusing, wrong grammar, or doesn't make sense
 
 Be STRICT - if a native speaker would find it odd, mark it as AWKWARD or BAD.`
-                }, {
-                    role: 'user',
-                    content: `Review these ${langName} marketing texts for NORIKS men's clothing:
+            }, {
+                role: 'user',
+                content: `Review these ${langName} marketing texts for NORIKS men's clothing:
 
 ${translatedTexts.map((t, i) => `${i + 1}. "${t}"`).join('\n')}
 
@@ -2365,43 +2448,31 @@ Return JSON array with verdicts:
 [
   {"text": "...", "verdict": "GOOD|AWKWARD|BAD", "suggestion": "better version if not GOOD", "reason": "brief explanation"}
 ]`
-                }],
-                max_tokens: 1000
-            })
+            }],
+            max_tokens: 1000
+        }, { label: `QC ${langCode}`, parse: c => translation.parseJsonResponse(c) });
+        
+        verdicts.forEach((v, i) => {
+            checks.push({
+                text: translatedTexts[i],
+                verdict: v.verdict,
+                suggestion: v.suggestion,
+                reason: v.reason
+            });
+            
+            if (v.verdict !== 'GOOD') {
+                issues.push({
+                    type: 'translation',
+                    text: translatedTexts[i],
+                    verdict: v.verdict,
+                    suggestion: v.suggestion,
+                    reason: v.reason
+                });
+            }
         });
         
-        const qcData = await qcResponse.json();
-        const qcContent = qcData.choices?.[0]?.message?.content || '[]';
-        
-        const qcMatch = qcContent.match(/\[[\s\S]*\]/);
-        if (qcMatch) {
-            try {
-                const verdicts = JSON.parse(qcMatch[0]);
-                verdicts.forEach((v, i) => {
-                    checks.push({
-                        text: translatedTexts[i],
-                        verdict: v.verdict,
-                        suggestion: v.suggestion,
-                        reason: v.reason
-                    });
-                    
-                    if (v.verdict !== 'GOOD') {
-                        issues.push({
-                            type: 'translation',
-                            text: translatedTexts[i],
-                            verdict: v.verdict,
-                            suggestion: v.suggestion,
-                            reason: v.reason
-                        });
-                    }
-                });
-            } catch (e) {
-                console.error(`[${jobId}] QC JSON parse error:`, e.message);
-            }
-        }
-        
-        // Cleanup QC frames
-        fs.rmSync(qcDir, { recursive: true, force: true });
+        // Cleanup QC frames
+        fs.rmSync(qcDir, { recursive: true, force: true });
         
     } catch (e) {
         console.error(`[${jobId}] QC error:`, e.message);
@@ -2417,164 +2488,145 @@ Return JSON array with verdicts:
     };
 }
 
-async function generateAllCountries(job, videoPath) {
-    // Use job.countries if specified, otherwise default to all
-    const LANGUAGES = job.countries || ['SI', 'HR', 'CZ', 'PL', 'GR', 'IT', 'HU', 'SK', 'BG', 'RO', 'DE'];
-    const LANG_NAMES = {
-        SI: 'Slovenian', HR: 'Croatian', CZ: 'Czech', PL: 'Polish', BG: 'Bulgarian', RO: 'Romanian', 
-        GR: 'Greek', IT: 'Italian', HU: 'Hungarian', SK: 'Slovak', DE: 'German'
-    };
-    
-    const outputDir = path.join(__dirname, 'uploads', 'generated', job.id);
-    fs.mkdirSync(outputDir, { recursive: true });
+// Translate job.texts into every target language and proofread each language.
+// Returns one { HR: '...', CZ: '...' } object per text; languages that failed are
+// missing and listed in job.translationErrors.
+async function translateJobTexts(job, LANGUAGES) {
+    const LANG_NAMES = translation.LANG_NAMES;
     
     // Step 1: Translate all texts
     console.log(`[${job.id}] Translating texts to ${LANGUAGES.length} languages: ${LANGUAGES.join(', ')}...`);
     
-    // Build language list for translation prompt
-    const langList = LANGUAGES.map(l => LANG_NAMES[l]).join(', ');
-    const jsonFormat = LANGUAGES.map(l => `"${l}":"..."`).join(',');
-    
     const textsToTranslate = job.texts.map(t => t.text);
-    const transResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-        body: JSON.stringify({
-            model: 'gpt-4o',
-            messages: [{
-                role: 'system',
-                content: `You are a professional marketing translator with NATIVE-SPEAKER fluency in ${langList}.
+    const translations = await translateLanguages(job, textsToTranslate, LANGUAGES, {
+        system: (langs) => `You are a professional marketing translator with NATIVE-SPEAKER fluency in ${langs.map(l => LANG_NAMES[l]).join(', ')}.
 
 CRITICAL RULES:
 1. Translate for NATURAL speech, NOT literal word-for-word
 2. Use colloquial, everyday language that locals actually speak
 3. Match the casual, punchy marketing tone
 4. Keep texts SHORT and IMPACTFUL (max 5 words ideally)
-5. Brand name "NORIKS" stays unchanged
-6. Adapt idioms/expressions to what natives would say
-8. EACH translation must sound like a NATIVE SPEAKER wrote it - NOT like a translation
-9. If unsure, use the SIMPLEST everyday expression
-10. Test: would a local person on the street say it exactly like this? If not, rephrase.
-7. Target: men buying for themselves OR women buying gifts for partners
+5. Adapt idioms/expressions to what natives would say
+6. EACH translation must sound like a NATIVE SPEAKER wrote it - NOT like a translation
+7. If unsure, use the SIMPLEST everyday expression
+8. Test: would a local person on the street say it exactly like this? If not, rephrase.
+9. Target: men buying for themselves OR women buying gifts for partners
 
 Product: NORIKS premium men's clothing (t-shirts, boxers) - emphasize comfort, quality, fit.
-CRITICAL: T-shirt = casual round-neck shirt. CORRECT translations: HR=majica, CZ=tričko, PL=koszulka, IT=maglietta, HU=póló, SK=tričko, BG=тениска, RO=tricou. NEVER use dress shirt words (košulja/košile/koszula/camicia/ing/košeľa/риза/cămașă).
-CRITICAL LANGUAGE WARNING: SK = SLOVAK (slovenčina/slovenský jazyk, spoken in SLOVAKIA). The source texts below are in SLOVENIAN (slovenščina, spoken in Slovenia). These are DIFFERENT languages! You must translate INTO Slovak for SK. Do NOT copy the Slovenian source as the Slovak translation.`
-            }, {
-                role: 'user',
-                content: `Translate these Slovenian marketing texts. Make them sound like a NATIVE SPEAKER wrote them:
+The source texts below are in SLOVENIAN.`,
+        buildUser: (langs, batch) => `Translate these Slovenian marketing texts. Make them sound like a NATIVE SPEAKER wrote them:
 
-${textsToTranslate.map((t, i) => `${i+1}. "${t}"`).join('\n')}
+${translation.numberedList(batch)}
 
 Return ONLY valid JSON array:
-[{${jsonFormat}}, ...]`
-            }],
-            max_tokens: 8000
-        })
+[{${langs.map(l => `"${l}":"..."`).join(',')}}, ...]`
     });
     
-    const transData = await transResponse.json();
-    let transContent = transData.choices?.[0]?.message?.content || '[]';
-    // Strip markdown code fences if present
-    transContent = transContent.replace(/^```(?:json)?\s*/m, '').replace(/```\s*$/m, '').trim();
-    console.log(`[${job.id}] Raw translation response:`, transContent.substring(0, 500));
-    
-    const transMatch = transContent.match(/\[[\s\S]*\]/);
-    let translations = [];
-    try {
-        translations = transMatch ? JSON.parse(transMatch[0]) : [];
-    } catch (e) {
-        console.error(`[${job.id}] Failed to parse translations:`, e.message);
-    }
-    
     console.log(`[${job.id}] Parsed ${translations.length} translation objects`);
     if (translations.length > 0) {
         console.log(`[${job.id}] First translation object:`, JSON.stringify(translations[0]));
     }
     
-    // Check if cancelled during translation
-    if (job.cancelled) {
-        console.log(`[${job.id}] Job cancelled during translation`);
-        job.status = 'cancelled';
-        persistJobs();
-        return;
+    // Step 2: NATIVE SPEAKER PROOFREAD - fix awkward translations before review/rendering
+    // (a failed proofread keeps the translation; failed languages have nothing to proofread)
+    for (const lang of LANGUAGES) {
+        if (job.cancelled) break;
+        if (job.translationErrors[lang]) continue;
+        jobEngine.update(job, { currentLang: lang });
+        try {
+            const textsForLang = job.texts.map((t, idx) => translations[idx]?.[lang] || t.text);
+            const fixed = await translation.translateList(textsForLang, {
+                lang,
+                fast: true,
+                system: "You are a NATIVE " + LANG_NAMES[lang] + " speaker. Review these marketing texts. Fix any that sound unnatural, have wrong grammar, or would confuse a native speaker. Return ONLY a JSON array of corrected texts in the same order. If a text is fine, keep it unchanged."
+            });
+            fixed.forEach((f, idx) => {
+                // Approved translation memory lines are final - proofread never touches them
+                if (f && translations[idx] && !translationMemory.findApproved(job.texts[idx].text, lang)) translations[idx][lang] = f;
+            });
+            console.log("[" + job.id + "] Proofread " + lang + ": " + fixed.length + " texts checked");
+        } catch(pe) { console.error("[" + job.id + "] Proofread error " + lang + ":", pe.message); }
+        if (lang !== 'SI') {
+            translationMemory.record(job.texts.map((t, idx) => ({ source: t.text, lang, text: translations[idx]?.[lang] })), { origin: 'proofread' });
+        }
     }
     
-    console.log(`[${job.id}] Translations ready. Generating videos...`);
+    return translations;
+}
+
+// Burn one language's texts into the video in every job format.
+// Returns { [outputKey]: videoPath }, e.g. { HR: '...mp4', 'HR-1x1': '..._1x1.mp4' }
+async function renderSubtitleLanguage(job, lang, translations, videoPath, outputDir) {
+    const outputs = {};
+    for (const format of outputFormats.normalizeFormats(job.formats)) {
+        outputs[outputFormats.outputKey(lang, format)] = await renderSubtitleFormat(job, lang, translations, videoPath, outputDir, format);
+    }
+    return outputs;
+}
+
+// Render one language in one aspect ratio using the job's stored styles and naming.
+// Returns the output video path.
+async function renderSubtitleFormat(job, lang, translations, videoPath, outputDir, format) {
+    const { width, height } = outputFormats.formatSize(format);
+    const suffix = outputFormats.fileSuffix(format);
+    
+    // Get styles with custom font size
+    const baseStyle = assStyles[job.style] || assStyles.white;
+    const defaultStyle = baseStyle.replace(/,Noto Sans,\d+,/, `,Noto Sans,${job.fontSize || 72},`);
+    
+    // Create Hook and CTA styles if specified
+    let hookStyleLine = '';
+    let ctaStyleLine = '';
+    
+    if (job.hookStyle) {
+        const hookBase = assStyles[job.hookStyle] || assStyles.white;
+        hookStyleLine = hookBase
+            .replace('Style: Default,', 'Style: Hook,')
+            .replace(/,Noto Sans,\d+,/, `,Noto Sans,${job.fontSize || 72},`);
+    }
     
-    // DEBUG: Log all texts with their timing
-    console.log(`[${job.id}] Input texts (${job.texts.length}):`);
-    job.texts.forEach((t, i) => {
-        console.log(`[${job.id}]   ${i}: "${t.text}" @ ${t.start}s-${t.end}s pos(${t.x},${t.y})`);
-    });
+    if (job.ctaStyle) {
+        const ctaBase = assStyles[job.ctaStyle] || assStyles.white;
+        ctaStyleLine = ctaBase
+            .replace('Style: Default,', 'Style: CTA,')
+            .replace(/,Noto Sans,\d+,/, `,Noto Sans,${job.fontSize || 72},`);
+    }
     
-    job.status = 'generating';
+    // Build styles - if perTextStyles, create style for each unique style used
+    let additionalStyles = '';
+    const usedStyles = new Set();
     
-    // Step 2: Generate video for each language
-    for (let langIdx = 0; langIdx < LANGUAGES.length; langIdx++) {
-        // Check if job was cancelled
-        if (job.cancelled) {
-            console.log(`[${job.id}] Job cancelled, stopping generation`);
-            job.status = 'cancelled';
-            job.currentLang = '';
-            persistJobs();
-            return;
-        }
-        
-        const lang = LANGUAGES[langIdx];
-        job.currentLang = lang;
-        
-        console.log(`[${job.id}] Generating ${lang}...`);
-        
-        // Get styles with custom font size
-        const baseStyle = assStyles[job.style] || assStyles.white;
-        const defaultStyle = baseStyle.replace(/,Noto Sans,\d+,/, `,Noto Sans,${job.fontSize || 72},`);
-        
-        // Create Hook and CTA styles if specified
-        let hookStyleLine = '';
-        let ctaStyleLine = '';
-        
-        if (job.hookStyle) {
-            const hookBase = assStyles[job.hookStyle] || assStyles.white;
-            hookStyleLine = hookBase
-                .replace('Style: Default,', 'Style: Hook,')
-                .replace(/,Noto Sans,\d+,/, `,Noto Sans,${job.fontSize || 72},`);
-        }
+    if (job.perTextStyles) {
+        job.texts.forEach(t => {
+            if (t.style && t.style !== (job.style || 'white')) {
+                usedStyles.add(t.style);
+            }
+        });
         
-        if (job.ctaStyle) {
-            const ctaBase = assStyles[job.ctaStyle] || assStyles.white;
-            ctaStyleLine = ctaBase
-                .replace('Style: Default,', 'Style: CTA,')
+        usedStyles.forEach(styleName => {
+            const styleBase = assStyles[styleName] || assStyles.white;
+            const styleFormatted = styleBase
+                .replace('Style: Default,', `Style: ${styleName},`)
                 .replace(/,Noto Sans,\d+,/, `,Noto Sans,${job.fontSize || 72},`);
-        }
-        
-        // Build styles - if perTextStyles, create style for each unique style used
-        let additionalStyles = '';
-        const usedStyles = new Set();
-        
-        if (job.perTextStyles) {
-            job.texts.forEach(t => {
-                if (t.style && t.style !== (job.style || 'white')) {
-                    usedStyles.add(t.style);
-                }
-            });
-            
-            usedStyles.forEach(styleName => {
-                const styleBase = assStyles[styleName] || assStyles.white;
-                const styleFormatted = styleBase
-                    .replace('Style: Default,', `Style: ${styleName},`)
-                    .replace(/,Noto Sans,\d+,/, `,Noto Sans,${job.fontSize || 72},`);
-                additionalStyles += styleFormatted + '\n';
-            });
-        }
-        
-        // Create ASS file
-        let ass = `[Script Info]
-Title: ${job.name} ${lang}
+            additionalStyles += styleFormatted + '\n';
+        });
+    }
+    
+    // Texts in the 'original' style keep the size and colours of their track (lib/text-tracks.js)
+    const resolveStyle = t => (job.perTextStyles && t.style) ? t.style : (job.style || 'white');
+    const keepsOriginalLook = t => resolveStyle(t) === 'original' && t.track?.color;
+    const trackStyles = job.texts
+        .map((t, i) => keepsOriginalLook(t) ? textTracks.assStyle(`Track${i}`, t.track, textTracks.placement(t.track, format).scale) : null)
+        .filter(Boolean)
+        .join('\n');
+    
+    // Create ASS file
+    let ass = `[Script Info]
+Title: ${escapeAssHeader(job.name)} ${lang}
 ScriptType: v4.00+
 WrapStyle: 0
-PlayResX: 1080
-PlayResY: 1920
+PlayResX: ${width}
+PlayResY: ${height}
 
 [V4+ Styles]
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
@@ -2582,130 +2634,248 @@ ${defaultStyle}
 ${hookStyleLine}
 ${ctaStyleLine}
 ${additionalStyles}
+${trackStyles}
 
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 `;
+    
+    const roundedTextIndicesGen = [];
+    const finalTexts = [];
+    job.texts.forEach((t, i) => {
+        const translatedText = translations[i]?.[lang];
+        let text = requireTranslation(job, translations, i, lang, t.text);
+        if (job.uppercase) text = text.toUpperCase();
+        finalTexts.push(text);
         
-        // NATIVE SPEAKER PROOFREAD - fix awkward translations before rendering
-        try {
-            const textsForLang = job.texts.map((t, idx) => translations[idx]?.[lang] || t.text);
-            const proofResponse = await fetch("https://api.openai.com/v1/chat/completions", {
-                method: "POST",
-                headers: { "Content-Type": "application/json", "Authorization": "Bearer " + OPENAI_API_KEY },
-                body: JSON.stringify({ model: "gpt-4o-mini", messages: [{
-                    role: "system", content: "You are a NATIVE " + LANG_NAMES[lang] + " speaker. Review these marketing texts. Fix any that sound unnatural, have wrong grammar, or would confuse a native speaker. T-shirt = casual round-neck (majica/tričko/koszulka/maglietta/póló/тениска/tricou), NEVER dress shirt. IMPORTANT: If language is Slovak (slovenčina/slovenský jazyk, SLOVAKIA), make sure texts are in SLOVAK, not Slovenian (slovenščina, Slovenia) - these are different languages! Return ONLY a JSON array of corrected texts in the same order. If a text is fine, keep it unchanged."
-                }, { role: "user", content: JSON.stringify(textsForLang) }], max_tokens: 1500 })
-            });
-            const proofData = await proofResponse.json();
-            const proofContent = proofData.choices?.[0]?.message?.content || "[]";
-            const proofMatch = proofContent.match(/\[([\s\S]*?)\]/);
-            if (proofMatch) {
-                const fixed = JSON.parse("[" + proofMatch[1] + "]");
-                fixed.forEach((f, idx) => { if (f && translations[idx]) translations[idx][lang] = f; });
-                console.log("[" + job.id + "] Proofread " + lang + ": " + fixed.length + " texts checked");
-            }
-        } catch(pe) { console.error("[" + job.id + "] Proofread error " + lang + ":", pe.message); }
-        const roundedTextIndicesGen = [];
-        job.texts.forEach((t, i) => {
-            const translatedText = translations[i]?.[lang];
-            let text = translatedText || t.text;
-            if (job.uppercase) text = text.toUpperCase();
-            
-            if (i === 0) {
-                console.log(`[${job.id}] Text 0 for ${lang}: translated="${translatedText}" original="${t.text}" using="${text}"`);
-            }
-            const start = formatAssTime(t.start);
-            const end = formatAssTime(t.end);
-            
-            // Resolve style
-            const resolvedStyle = (job.perTextStyles && t.style) ? t.style : (job.style || 'white');
-            
-            // Skip rounded - will be PNG overlay
-            if (resolvedStyle === 'rounded') {
-                roundedTextIndicesGen.push({ idx: i, text, start: t.start, end: t.end, y: t.y, position: t.position });
-                return;
-            }
-            
-            let styleName = 'Default';
-            if (job.perTextStyles && t.style && t.style !== (job.style || 'white')) {
-                styleName = t.style;
-            } else if (t.role === 'hook_problem' && job.hookStyle) {
-                styleName = 'Hook';
-            } else if (t.role === 'cta' && job.ctaStyle) {
-                styleName = 'CTA';
-            }
-            
-            const pixelX = 540;
-            const pixelY = (t.y !== undefined) ? Math.round((t.y / 100) * 1920) : 900;
-            const posOverride = `\\an5\\pos(${pixelX},${pixelY})`;
-            
-            ass += `Dialogue: 0,${start},${end},${styleName},,0,0,0,,{${posOverride}\\fad(200,200)}${text}\n`;
-        });
+        if (i === 0) {
+            console.log(`[${job.id}] Text 0 for ${lang}: translated="${translatedText}" original="${t.text}" using="${text}"`);
+        }
+        const start = formatAssTime(t.start);
+        const end = formatAssTime(t.end);
         
-        const assPath = path.join(outputDir, `subs-${lang}.ass`);
-        fs.writeFileSync(assPath, ass);
+        // Resolve style
+        const resolvedStyle = resolveStyle(t);
         
-        // Generate PNG overlays for rounded texts
-        const roundedGenTexts = roundedTextIndicesGen.map(rt => ({
-            ...rt,
-            _resolvedStyle: 'rounded',
-            _posY: rt.position === 'center-top' ? 820 : rt.position === 'center-bottom' ? 1000 : (rt.y !== undefined ? Math.round((rt.y / 100) * 1920) - 60 : 900)
-        }));
-        const genPngOverlays = await generateTextOverlayPngs(roundedGenTexts, job.fontSize || 72, outputDir);
+        // Skip rounded - will be PNG overlay
+        if (resolvedStyle === 'rounded') {
+            roundedTextIndicesGen.push({ idx: i, text, start: t.start, end: t.end, y: t.y, position: t.position, track: t.track });
+            return;
+        }
+        
+        let styleName = 'Default';
+        if (keepsOriginalLook(t)) {
+            styleName = `Track${i}`;
+        } else if (job.perTextStyles && t.style && t.style !== (job.style || 'white')) {
+            styleName = t.style;
+        } else if (t.role === 'hook_problem' && job.hookStyle) {
+            styleName = 'Hook';
+        } else if (t.role === 'cta' && job.ctaStyle) {
+            styleName = 'CTA';
+        }
+        
+        // Analyzed texts sit where the original did, aligned the same way;
+        // the rest are centred at their y
+        if (t.track) {
+            const p = textTracks.placement(t.track, format);
+            ass += `Dialogue: 0,${start},${end},${styleName},,${p.marginL},${p.marginR},0,,{\\an${p.an}\\pos(${p.x},${p.y})\\fad(200,200)}${escapeAssText(text)}\n`;
+            return;
+        }
+        
+        const pixelX = Math.round(width / 2);
+        const pixelY = (t.y !== undefined) ? Math.round((t.y / 100) * height) : outputFormats.scaleY(900, format);
+        const posOverride = `\\an5\\pos(${pixelX},${pixelY})`;
+        
+        ass += `Dialogue: 0,${start},${end},${styleName},,0,0,0,,{${posOverride}\\fad(200,200)}${escapeAssText(text)}\n`;
+    });
+    
+    const assPath = path.join(outputDir, `subs-${lang}${suffix}.ass`);
+    fs.writeFileSync(assPath, ass);
+    
+    // Exactly what this language's video says, kept on the job for auditing/reuse
+    if (!job.finalTexts) job.finalTexts = {};
+    job.finalTexts[lang] = finalTexts;
+    
+    // Generate PNG overlays for rounded texts
+    const roundedGenTexts = roundedTextIndicesGen.map(rt => ({
+        ...rt,
+        _resolvedStyle: 'rounded',
+        _posY: rt.track ? textTracks.placement(rt.track, format).y - 60
+            : rt.position === 'center-top' ? outputFormats.scaleY(820, format)
+            : rt.position === 'center-bottom' ? outputFormats.scaleY(1000, format)
+            : (rt.y !== undefined ? Math.round((rt.y / 100) * height) - 60 : outputFormats.scaleY(900, format))
+    }));
+    // Own folder per language/format - languages render in parallel
+    const pngDir = path.join(outputDir, `png-${lang}${suffix}`);
+    fs.mkdirSync(pngDir, { recursive: true });
+    const genPngOverlays = await generateTextOverlayPngs(roundedGenTexts, job.fontSize || 72, pngDir, width, height);
+    
+    // Generate video with naming convention
+    let videoName;
+    if (job.namingParts) {
+        const { id, date, product, type, author } = job.namingParts;
+        videoName = `${id}_${date}_${lang}_${product}_${type}_${author}`;
+    } else {
+        videoName = `${job.name}-${lang}`;
+    }
+    const outVideo = path.join(outputDir, `${mediaResolver.safeFileName(videoName)}${suffix}.mp4`);
+    
+    // Reframe (crop or blurred fit) for non-9:16 formats, then burn in the subtitles
+    const framing = outputFormats.frameFilter(format);
+    const assFilter = `${framing ? framing + ',' : ''}${media.assFilter(assPath)}`;
+    
+    if (genPngOverlays.length > 0) {
+        const pngInputs = genPngOverlays.flatMap(p => ['-i', p.path]);
+        let fc = `[0:v]${assFilter}[assout]`;
+        let lastLabel = '[assout]';
+        genPngOverlays.forEach((p, idx) => {
+            const isLast = idx === genPngOverlays.length - 1;
+            const outLabel = isLast ? '[vout]' : `[ov${idx}]`;
+            fc += `;${lastLabel}[${idx + 1}:v]overlay=${p.x}:${p.y}:enable='between(t\\,${p.start}\\,${p.end})'${outLabel}`;
+            lastLabel = outLabel;
+        });
+        await media.ffmpeg(['-i', videoPath, ...pngInputs, '-filter_complex', fc, '-map', '[vout]', '-map', '0:a', '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'copy', outVideo]);
+    } else {
+        await media.ffmpeg(['-i', videoPath, '-vf', assFilter, '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'copy', outVideo]);
+    }
+    
+    return outVideo;
+}
+
+// True when every format of a language has been rendered and is still on disk
+function languageRendered(job, lang) {
+    return outputFormats.normalizeFormats(job.formats).every(format => {
+        const file = job.outputs?.[outputFormats.outputKey(lang, format)];
+        return file && fs.existsSync(file);
+    });
+}
+
+// Render every language of a job through the shared render pool.
+// Tracks per-language state in job.langStatus (queued/rendering/done/error/cancelled),
+// the reason a language failed in job.langErrors, job.completed and job.currentLang
+// (the languages rendering right now).
+// Languages already 'done' with their videos on disk (a resumed job) are skipped.
+// Returns { errors } for languages that failed for reasons other than cancellation (each with .lang).
+async function renderLanguagesInPool(job, LANGUAGES, renderOne) {
+    const finished = LANGUAGES.filter(l => job.langStatus?.[l] === 'done' && languageRendered(job, l));
+    if (finished.length) console.log(`[${job.id}] Resuming, already rendered: ${finished.join(', ')}`);
+    job.completed = finished.length;
+    job.langStatus = Object.fromEntries(LANGUAGES.map(l => [l, finished.includes(l) ? 'done' : 'queued']));
+    job.langErrors = {};
+    const updateCurrent = () => {
+        job.currentLang = LANGUAGES.filter(l => job.langStatus[l] === 'rendering').join(', ');
+    };
+    
+    const errors = [];
+    await Promise.all(LANGUAGES.filter(l => !finished.includes(l)).map(lang => renderPool.run(async () => {
+        if (job.cancelled) throw Object.assign(new Error(`Job ${job.id} cancelled`), { cancelled: true });
+        job.langStatus[lang] = 'rendering';
+        updateCurrent();
+        jobEngine.update(job);
         
-        // Generate video with naming convention
-        let videoName;
-        if (job.namingParts) {
-            const { id, date, product, type, author } = job.namingParts;
-            videoName = `${id}_${date}_${lang}_${product}_${type}_${author}`;
+        await renderOne(lang);
+        
+        job.langStatus[lang] = 'done';
+        job.completed++;
+        updateCurrent();
+        jobEngine.update(job); // Save progress
+        console.log(`[${job.id}] ${lang} done (${job.completed}/${LANGUAGES.length})`);
+    }, { jobId: job.id, label: lang }).catch(e => {
+        if (e.cancelled || job.cancelled) {
+            job.langStatus[lang] = 'cancelled';
         } else {
-            videoName = `${job.name}-${lang}`;
+            console.error(`[${job.id}] ${lang} failed:`, e.message);
+            job.langStatus[lang] = 'error';
+            job.langErrors[lang] = e.message;
+            errors.push(Object.assign(e, { lang }));
         }
-        const outVideo = path.join(outputDir, `${videoName}.mp4`);
-        
-        if (genPngOverlays.length > 0) {
-            const pngInputs = genPngOverlays.map(p => `-i "${p.path}"`).join(' ');
-            let fc = `[0:v]ass='${assPath}':fontsdir=/usr/share/fonts[assout]`;
-            let lastLabel = '[assout]';
-            genPngOverlays.forEach((p, idx) => {
-                const isLast = idx === genPngOverlays.length - 1;
-                const outLabel = isLast ? '[vout]' : `[ov${idx}]`;
-                fc += `;${lastLabel}[${idx + 1}:v]overlay=${p.x}:${p.y}:enable='between(t\\,${p.start}\\,${p.end})'${outLabel}`;
-                lastLabel = outLabel;
-            });
-            await execPromise(`${FFMPEG} -y -i "${videoPath}" ${pngInputs} -filter_complex "${fc}" -map "[vout]" -map 0:a -c:v libx264 -preset fast -crf 23 -c:a copy "${outVideo}" 2>&1`);
+        updateCurrent();
+    })));
+    
+    jobEngine.update(job, { currentLang: '' });
+    return { errors };
+}
+
+// Vision QC of one rendered language into job.qualityChecks[lang]; a failed check is logged, not fatal
+async function runQualityCheck(job, lang, outVideo, translations) {
+    try {
+        const qcResults = await qualityCheckVideo(outVideo, job.texts, translations, lang, translation.LANG_NAMES[lang], job.id);
+        if (!job.qualityChecks) job.qualityChecks = {};
+        job.qualityChecks[lang] = qcResults;
+        
+        if (qcResults.issues.length > 0) {
+            console.log(`[${job.id}] ⚠️ QC issues for ${lang}:`, qcResults.issues);
         } else {
-            await execPromise(`${FFMPEG} -y -i "${videoPath}" -vf "ass='${assPath}':fontsdir=/usr/share/fonts" -c:v libx264 -preset fast -crf 23 -c:a copy "${outVideo}" 2>/dev/null`);
+            console.log(`[${job.id}] ✅ QC passed for ${lang}`);
+        }
+    } catch (qcErr) {
+        console.error(`[${job.id}] QC error for ${lang}:`, qcErr.message);
+    }
+}
+
+// The error a job ends with when some of its languages failed
+function failedLanguagesError(errors) {
+    if (errors.length === 1) return new Error(`${errors[0].lang}: ${errors[0].message}`);
+    return new Error(`${errors.length} languages failed - ${errors.map(e => `${e.lang}: ${e.message}`).join('; ')}`);
+}
+
+async function generateAllCountries(job, videoPath) {
+    // Use job.countries if specified, otherwise default to all
+    const LANGUAGES = job.countries || ['SI', 'HR', 'CZ', 'PL', 'GR', 'IT', 'HU', 'SK', 'BG', 'RO', 'DE'];
+    
+    const outputDir = path.join(__dirname, 'uploads', 'generated', job.id);
+    fs.mkdirSync(outputDir, { recursive: true });
+    
+    // Step 1: Translate + proofread (skipped when resuming after review)
+    if (!job.translations) {
+        jobEngine.transition(job, 'translating');
+        job.translations = await translateJobTexts(job, LANGUAGES);
+        if (!job.cancelled && job.review) {
+            jobEngine.transition(job, 'awaiting_review', { currentLang: '' });
+            console.log(`[${job.id}] Translations ready for review`);
+            return;
         }
+    }
+    const translations = job.translations;
+    
+    // Check if cancelled during translation
+    if (job.cancelled) {
+        console.log(`[${job.id}] Job cancelled during translation`);
+        return;
+    }
+    
+    console.log(`[${job.id}] Translations ready. Generating videos...`);
+    
+    // DEBUG: Log all texts with their timing
+    console.log(`[${job.id}] Input texts (${job.texts.length}):`);
+    job.texts.forEach((t, i) => {
+        console.log(`[${job.id}]   ${i}: "${t.text}" @ ${t.start}s-${t.end}s pos(${t.x},${t.y})`);
+    });
+    
+    jobEngine.transition(job, 'generating');
+    
+    // Step 2: Generate video for each language (in parallel, bounded by the render pool)
+    const { errors } = await renderLanguagesInPool(job, LANGUAGES, async (lang) => {
+        console.log(`[${job.id}] Generating ${lang}...`);
+        const outputs = await renderSubtitleLanguage(job, lang, translations, videoPath, outputDir);
+        // QC runs on the first requested format
+        const outVideo = Object.values(outputs)[0];
         
-        job.outputs[lang] = outVideo;
-        job.completed = langIdx + 1;
+        Object.assign(job.outputs, outputs);
         
         // QUALITY CHECK: Verify texts and translations
-        try {
-            const qcResults = await qualityCheckVideo(outVideo, job.texts, translations, lang, LANG_NAMES[lang], job.id);
-            if (!job.qualityChecks) job.qualityChecks = {};
-            job.qualityChecks[lang] = qcResults;
-            
-            if (qcResults.issues.length > 0) {
-                console.log(`[${job.id}] ⚠️ QC issues for ${lang}:`, qcResults.issues);
-            } else {
-                console.log(`[${job.id}] ✅ QC passed for ${lang}`);
-            }
-        } catch (qcErr) {
-            console.error(`[${job.id}] QC error for ${lang}:`, qcErr.message);
-        }
+        await runQualityCheck(job, lang, outVideo, translations);
         
-        persistJobs(); // Save progress
-        
-        console.log(`[${job.id}] ${lang} done (${job.completed}/${LANGUAGES.length})`);
+        // GLOSSARY CHECK: brand terms on the final (proofread) texts
+        recordGlossaryIssues(job, lang, job.texts.map(t => t.text), job.texts.map((t, idx) => translations[idx]?.[lang] || t.text));
+    });
+    
+    if (job.cancelled) {
+        console.log(`[${job.id}] Job cancelled, stopping generation`);
+        return;
     }
+    if (errors.length) throw failedLanguagesError(errors);
     
-    job.status = 'done';
-    job.currentLang = '';
-    job.completedAt = new Date().toISOString();
-    persistJobs(); // Save final state
     console.log(`[${job.id}] All done!`);
     
     // TODO: Send Telegram notification
@@ -2713,7 +2883,6 @@ Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 
 
 // === VOICEOVER: ElevenLabs TTS + Subtitle generation ===
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || '';
 
 // Voice IDs for each language - natural male voices
 const VOICE_MAP = {
@@ -2733,44 +2902,48 @@ const ELEVEN_LANG_CODES = {
     HR: 'hr', CZ: 'cs', PL: 'pl', GR: 'el', IT: 'it', HU: 'hu', SK: 'sk', BG: 'bg', RO: 'ro'
 };
 
-// Generate TTS audio with ElevenLabs
+// Generate TTS audio with ElevenLabs (retried per lib/retry.js; throws once retries run out)
 async function generateTTS(text, langCode, outputPath) {
     const voiceConfig = VOICE_MAP[langCode] || VOICE_MAP.HR;
     const elevenLang = ELEVEN_LANG_CODES[langCode] || 'en';
     
-    const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceConfig.voice_id}`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'xi-api-key': ELEVENLABS_API_KEY
-        },
-        body: JSON.stringify({
-            text: text,
-            model_id: 'eleven_multilingual_v2',
-            language_code: elevenLang,
-            voice_settings: {
-                stability: 0.5,
-                similarity_boost: 0.75,
-                style: 0.3,
-                use_speaker_boost: true
-            }
-        })
-    });
-    
-    if (!response.ok) {
-        const err = await response.text();
-        throw new Error(`ElevenLabs TTS error: ${response.status} - ${err}`);
-    }
+    const buffer = await retry.withRetry(async () => {
+        const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceConfig.voice_id}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'xi-api-key': config.key('elevenlabs')
+            },
+            body: JSON.stringify({
+                text: text,
+                model_id: 'eleven_multilingual_v2',
+                language_code: elevenLang,
+                voice_settings: {
+                    stability: 0.5,
+                    similarity_boost: 0.75,
+                    style: 0.3,
+                    use_speaker_boost: true
+                }
+            }),
+            signal: retry.timeoutSignal()
+        });
+        
+        if (!response.ok) {
+            throw retry.httpError('ElevenLabs TTS', response, await response.text());
+        }
+        
+        const audio = Buffer.from(await response.arrayBuffer());
+        if (!audio.length) throw retry.malformedReply('ElevenLabs TTS returned empty audio');
+        spend.record('elevenlabs', 'eleven_multilingual_v2', { characters: text.length });
+        return audio;
+    }, { label: `TTS ${langCode}` });
     
-    const buffer = Buffer.from(await response.arrayBuffer());
     fs.writeFileSync(outputPath, buffer);
     
     // Get duration of generated audio
     try {
-        const durResult = await execPromise(`${FFMPEG} -i "${outputPath}" 2>&1 | grep Duration | awk '{print $2}' | tr -d ','`);
-        const parts = durResult.stdout.trim().split(':');
-        const duration = parseFloat(parts[0]) * 3600 + parseFloat(parts[1]) * 60 + parseFloat(parts[2]);
-        return { path: outputPath, duration };
+        const { duration } = await media.probe(outputPath);
+        return { path: outputPath, duration: duration || 3 };
     } catch (e) {
         return { path: outputPath, duration: 3 }; // fallback 3s
     }
@@ -2784,14 +2957,11 @@ app.post('/api/localizer/voiceover-script', async (req, res) => {
     }
     
     try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-            body: JSON.stringify({
-                model: 'gpt-4o',
-                messages: [{
-                    role: 'system',
-                    content: `Pišeš podnapise v PRAVILNI SLOVENŠČINI za NORIKS reklamo. NORIKS prodaja premium moške majice in boksarice.
+        const script = await openai.chat({
+            model: 'gpt-4o',
+            messages: [{
+                role: 'system',
+                content: `Pišeš podnapise v PRAVILNI SLOVENŠČINI za NORIKS reklamo. NORIKS prodaja premium moške majice in boksarice.
 
 VSAK stavek mora biti POPOLN — z jasnim subjektom in pomenom. Bralec mora razumeti stavek BREZ konteksta.
 Stavki morajo biti med seboj POVEZANI — vsak naslednji stavek logično sledi prejšnjemu. Skupaj tvorijo eno tekoče besedilo.
@@ -2808,9 +2978,9 @@ Primer DOBRE zgodbe:
 "Poznate občutek ko vas boksarice režejo? NORIKS boksarice so narejene iz premium bombaža. Material se prilagodi telesu in ne stiska. Po pranju ohranjajo obliko kot nove. Na voljo v velikostih do 4XL. Danes jih dobiš s 20% popustom."
 
 Video traja TOČNO ${videoDuration} sekund. Zadnji stavek PRED ${videoDuration}s.`
-                }, {
-                    role: 'user',
-                    content: `Iz teh točk napiši POVEZANO ZGODBO za podnapise:
+            }, {
+                role: 'user',
+                content: `Iz teh točk napiši POVEZANO ZGODBO za podnapise:
 
 ${texts.map((t, i) => `${i+1}. "${t.text}"`).join('\n')}
 
@@ -2824,14 +2994,9 @@ JSON: [{"text": "stavek", "start": 0, "end": 2.5}, ...]
 - Ne uporabi vseh točk če ne gre v čas
 - 0.3-0.5s premor med stavki
 - SAMO JSON`
-                }],
-                max_tokens: 8000
-            })
-        });
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content || '[]';
-        const match = content.match(/\[[\s\S]*\]/);
-        const script = match ? JSON.parse(match[0]) : [];
+            }],
+            max_tokens: 8000
+        }, { label: 'voiceover script', parse: c => translation.parseJsonResponse(c) });
         
         res.json({ script, videoDuration });
     } catch (e) {
@@ -2840,196 +3005,169 @@ JSON: [{"text": "stavek", "start": 0, "end": 2.5}, ...]
     }
 });
 
-// Generate voiceover video for all countries
-async function generateVoiceoverCountries(job, videoPath) {
-    const LANGUAGES = job.countries || ['SI', 'HR', 'CZ', 'PL', 'GR', 'IT', 'HU', 'SK', 'BG', 'RO', 'DE'];
-    const LANG_NAMES = {
-        SI: 'Slovenian', HR: 'Croatian', CZ: 'Czech', PL: 'Polish', BG: 'Bulgarian', RO: 'Romanian',
-        GR: 'Greek', IT: 'Italian', HU: 'Hungarian', SK: 'Slovak', DE: 'German'
-    };
-    
-    const outputDir = path.join(__dirname, 'uploads', 'generated', job.id);
-    fs.mkdirSync(outputDir, { recursive: true });
+// Translate job.voiceoverScript into every target language and proofread each language.
+async function translateVoiceoverScript(job, LANGUAGES) {
+    const LANG_NAMES = translation.LANG_NAMES;
     
     // Step 1: Translate voiceover script
     console.log(`[${job.id}] [VO] Translating voiceover script to ${LANGUAGES.length} languages...`);
     
-    const langList = LANGUAGES.map(l => LANG_NAMES[l]).join(', ');
-    const jsonFormat = LANGUAGES.map(l => `"${l}":"..."`).join(',');
     const textsToTranslate = job.voiceoverScript.map(s => s.text);
-    
-    const transResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_API_KEY}` },
-        body: JSON.stringify({
-            model: 'gpt-4o',
-            messages: [{
-                role: 'system',
-                content: `You are a professional marketing translator with NATIVE-SPEAKER fluency in ${langList}.
+    const translations = await translateLanguages(job, textsToTranslate, LANGUAGES, {
+        system: (langs) => `You are a professional marketing translator with NATIVE-SPEAKER fluency in ${langs.map(l => LANG_NAMES[l]).join(', ')}.
 
 CRITICAL RULES:
 1. These are VOICE-OVER scripts - they must sound NATURAL when spoken aloud
 2. Use conversational, everyday language
 3. Keep the same casual, friendly tone as the original
 4. Sentences should be SHORT and easy to speak (2-4 seconds each)
-5. Brand name "NORIKS" stays unchanged
-6. Think: how would a local friend recommend this product?
-7. CRITICAL: T-shirt = casual round-neck. Use: HR=majica, CZ=tričko, PL=koszulka, IT=maglietta, HU=póló, SK=tričko, BG=тениска, RO=tricou. NEVER use dress shirt words (košulja/košile/koszula/camicia/ing/košeľa/риза/cămașă).
-8. CRITICAL LANGUAGE WARNING: SK = SLOVAK (slovenčina/slovenský jazyk, spoken in SLOVAKIA). The source is SLOVENIAN (slovenščina, Slovenia). These are DIFFERENT languages! Translate INTO Slovak for SK. Do NOT copy Slovenian as Slovak.`
-            }, {
-                role: 'user',
-                content: `Translate these Slovenian voice-over sentences. They will be READ ALOUD, so make them sound natural:
+5. Think: how would a local friend recommend this product?
+6. The source is SLOVENIAN.`,
+        buildUser: (langs, batch) => `Translate these Slovenian voice-over sentences. They will be READ ALOUD, so make them sound natural:
 
-${textsToTranslate.map((t, i) => `${i+1}. "${t}"`).join('\n')}
+${translation.numberedList(batch)}
 
 Return ONLY valid JSON array:
-[{${jsonFormat}}, ...]`
-            }],
-            max_tokens: 8000
-        })
+[{${langs.map(l => `"${l}":"..."`).join(',')}}, ...]`
     });
     
-    const transData = await transResponse.json();
-    let transContent = transData.choices?.[0]?.message?.content || '[]';
-    // Strip markdown code fences if present
-    transContent = transContent.replace(/^```(?:json)?\s*/m, '').replace(/```\s*$/m, '').trim();
-    const transMatch = transContent.match(/\[[\s\S]*\]/);
-    let translations = [];
-    try {
-        translations = transMatch ? JSON.parse(transMatch[0]) : [];
-    } catch (e) {
-        console.error(`[${job.id}] [VO] Failed to parse translations:`, e.message);
-    }
-    
     console.log(`[${job.id}] [VO] Parsed ${translations.length} translations`);
     
-    if (job.cancelled) {
-        job.status = 'cancelled';
-        persistJobs();
-        return;
+    // Step 2: NATIVE SPEAKER PROOFREAD for voiceover
+    for (const lang of LANGUAGES) {
+        if (job.cancelled) break;
+        if (job.translationErrors[lang]) continue;
+        jobEngine.update(job, { currentLang: lang });
+        try {
+            const voTextsForLang = job.voiceoverScript.map((s, idx) => translations[idx]?.[lang] || s.text);
+            const vFixed = await translation.translateList(voTextsForLang, {
+                lang,
+                fast: true,
+                system: "You are a NATIVE " + LANG_NAMES[lang] + " speaker. These are voice-over sentences that will be READ ALOUD. Fix any that sound unnatural or have grammar issues. They must sound perfect when spoken. Return ONLY a JSON array of corrected texts."
+            });
+            vFixed.forEach((f, idx) => {
+                if (f && translations[idx] && !translationMemory.findApproved(job.voiceoverScript[idx].text, lang)) translations[idx][lang] = f;
+            });
+            console.log("[" + job.id + "] [VO] Proofread " + lang + ": " + vFixed.length + " texts checked");
+        } catch(vpe) { console.error("[" + job.id + "] [VO] Proofread error " + lang + ":", vpe.message); }
+        if (lang !== 'SI') {
+            translationMemory.record(job.voiceoverScript.map((s, idx) => ({ source: s.text, lang, text: translations[idx]?.[lang] })), { origin: 'proofread' });
+        }
     }
     
-    job.status = 'generating';
+    return translations;
+}
+
+// TTS + subtitles for one language, mixed into the video in every job format.
+// Returns { [outputKey]: videoPath }.
+async function renderVoiceoverLanguage(job, lang, translations, videoPath, outputDir) {
+    // Get translated texts for this language
+    const langTexts = job.voiceoverScript.map((s, i) => ({
+        ...s,
+        translatedText: requireTranslation(job, translations, i, lang, s.text)
+    }));
+    recordGlossaryIssues(job, lang, langTexts.map(s => s.text), langTexts.map(s => s.translatedText));
+    if (!job.finalTexts) job.finalTexts = {};
+    job.finalTexts[lang] = langTexts.map(s => s.translatedText);
+    
+    // Generate TTS for each sentence
+    const ttsDir = path.join(outputDir, `tts-${lang}`);
+    fs.mkdirSync(ttsDir, { recursive: true });
     
-    // Step 2: For each language - generate TTS + subtitles + combine
-    for (let langIdx = 0; langIdx < LANGUAGES.length; langIdx++) {
-        if (job.cancelled) {
-            job.status = 'cancelled';
-            persistJobs();
-            return;
-        }
-        
-        const lang = LANGUAGES[langIdx];
-        job.currentLang = lang;
-        console.log(`[${job.id}] [VO] Generating ${lang}...`);
+    const ttsSegments = [];
+    for (let i = 0; i < langTexts.length; i++) {
+        const segment = langTexts[i];
+        const ttsPath = path.join(ttsDir, `segment-${i}.mp3`);
         
-        // NATIVE SPEAKER PROOFREAD for voiceover
+        // A segment without audio would ship a silent gap - a failure here fails the language
+        console.log(`[${job.id}] [VO] TTS ${lang} segment ${i}: "${segment.translatedText.substring(0, 40)}..."`);
+        let ttsResult;
         try {
-            const voTextsForLang = job.voiceoverScript.map((s, idx) => translations[idx]?.[lang] || s.text);
-            const vpResponse = await fetch("https://api.openai.com/v1/chat/completions", {
-                method: "POST",
-                headers: { "Content-Type": "application/json", "Authorization": "Bearer " + OPENAI_API_KEY },
-                body: JSON.stringify({ model: "gpt-4o-mini", messages: [{
-                    role: "system", content: "You are a NATIVE " + LANG_NAMES[lang] + " speaker. These are voice-over sentences that will be READ ALOUD. Fix any that sound unnatural or have grammar issues. They must sound perfect when spoken. T-shirt = casual (majica/tričko/koszulka/maglietta/póló/тениска/tricou). IMPORTANT: If Slovak (slovenčina, SLOVAKIA), ensure texts are SLOVAK not Slovenian (slovenščina, Slovenia) - different languages! Return ONLY a JSON array of corrected texts."
-                }, { role: "user", content: JSON.stringify(voTextsForLang) }], max_tokens: 1500 })
-            });
-            const vpData = await vpResponse.json();
-            const vpContent = vpData.choices?.[0]?.message?.content || "[]";
-            const vpMatch = vpContent.match(/\[([\s\S]*?)\]/);
-            if (vpMatch) {
-                const vFixed = JSON.parse("[" + vpMatch[1] + "]");
-                vFixed.forEach((f, idx) => { if (f && translations[idx]) translations[idx][lang] = f; });
-                console.log("[" + job.id + "] [VO] Proofread " + lang + ": " + vFixed.length + " texts checked");
-            }
-        } catch(vpe) { console.error("[" + job.id + "] [VO] Proofread error " + lang + ":", vpe.message); }
-        // Get translated texts for this language
-        const langTexts = job.voiceoverScript.map((s, i) => {
-            const translated = translations[i]?.[lang] || s.text;
-            return { ...s, translatedText: translated };
+            ttsResult = await generateTTS(segment.translatedText, lang, ttsPath);
+        } catch (e) {
+            throw new Error(`TTS failed for ${lang} segment ${i + 1}: ${e.message}`);
+        }
+        ttsSegments.push({
+            text: segment.translatedText,
+            audioPath: ttsResult.path,
+            audioDuration: ttsResult.duration,
+            start: segment.start,
+            end: segment.end
         });
-        
-        // Generate TTS for each sentence
-        const ttsDir = path.join(outputDir, `tts-${lang}`);
-        fs.mkdirSync(ttsDir, { recursive: true });
-        
-        const ttsSegments = [];
-        for (let i = 0; i < langTexts.length; i++) {
-            const segment = langTexts[i];
-            const ttsPath = path.join(ttsDir, `segment-${i}.mp3`);
-            
-            try {
-                console.log(`[${job.id}] [VO] TTS ${lang} segment ${i}: "${segment.translatedText.substring(0, 40)}..."`);
-                const ttsResult = await generateTTS(segment.translatedText, lang, ttsPath);
-                ttsSegments.push({
-                    text: segment.translatedText,
-                    audioPath: ttsResult.path,
-                    audioDuration: ttsResult.duration,
-                    start: segment.start,
-                    end: segment.end
-                });
-            } catch (e) {
-                console.error(`[${job.id}] [VO] TTS error for ${lang} segment ${i}:`, e.message);
-                // Skip this segment if TTS fails
-                ttsSegments.push({
-                    text: segment.translatedText,
-                    audioPath: null,
-                    audioDuration: segment.end - segment.start,
-                    start: segment.start,
-                    end: segment.end
-                });
-            }
-        }
-        
-        // Create concat file for TTS audio with silence gaps
-        const concatPath = path.join(ttsDir, 'concat.txt');
-        const silencePath = path.join(ttsDir, 'silence.mp3');
-        
-        // Generate a short silence file
-        await execPromise(`${FFMPEG} -y -f lavfi -i anullsrc=r=44100:cl=mono -t 0.3 -q:a 9 "${silencePath}" 2>/dev/null`);
-        
-        // Build full audio: place each TTS segment at its start time
-        // Use amerge approach: create a full-length silent track, then overlay each segment
-        const videoDuration = job.videoDuration || 30;
-        const fullSilencePath = path.join(ttsDir, 'full-silence.mp3');
-        await execPromise(`${FFMPEG} -y -f lavfi -i anullsrc=r=44100:cl=mono -t ${videoDuration} -q:a 9 "${fullSilencePath}" 2>/dev/null`);
-        
-        // Build filter complex to overlay each TTS segment at its timestamp
-        let filterParts = [];
-        let inputs = [`-i "${fullSilencePath}"`];
-        const validSegments = ttsSegments.filter(s => s.audioPath && fs.existsSync(s.audioPath));
-        
+    }
+    // Subtitle exports (jobSubtitleCues) use the cue timings burned into the video
+    if (!job.voiceoverTimings) job.voiceoverTimings = {};
+    job.voiceoverTimings[lang] = ttsSegments.map(seg => ({ start: seg.start, end: voiceoverCueEnd(seg) }));
+    
+    // Create concat file for TTS audio with silence gaps
+    const concatPath = path.join(ttsDir, 'concat.txt');
+    const silencePath = path.join(ttsDir, 'silence.mp3');
+    
+    // Generate a short silence file
+    await media.ffmpeg(['-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=mono', '-t', '0.3', '-q:a', '9', silencePath]);
+    
+    // Build full audio: place each TTS segment at its start time
+    // Use amerge approach: create a full-length silent track, then overlay each segment
+    const videoDuration = job.videoDuration || 30;
+    const fullSilencePath = path.join(ttsDir, 'full-silence.mp3');
+    await media.ffmpeg(['-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=mono', '-t', String(videoDuration), '-q:a', '9', fullSilencePath]);
+    
+    // Build filter complex to overlay each TTS segment at its timestamp
+    let filterParts = [];
+    let inputs = ['-i', fullSilencePath];
+    const validSegments = ttsSegments.filter(s => s.audioPath && fs.existsSync(s.audioPath));
+    
+    validSegments.forEach((seg, idx) => {
+        inputs.push('-i', seg.audioPath);
+    });
+    
+    const combinedAudioPath = path.join(ttsDir, 'combined.mp3');
+    
+    if (validSegments.length > 0) {
+        let fc = '';
         validSegments.forEach((seg, idx) => {
-            inputs.push(`-i "${seg.audioPath}"`);
+            fc += `[${idx + 1}:a]adelay=${Math.round(seg.start * 1000)}|${Math.round(seg.start * 1000)}[d${idx}];`;
         });
+        fc += `[0:a]`;
+        validSegments.forEach((_, idx) => {
+            fc += `[d${idx}]`;
+        });
+        fc += `amix=inputs=${validSegments.length + 1}:duration=first:dropout_transition=0[aout]`;
         
-        const combinedAudioPath = path.join(ttsDir, 'combined.mp3');
-        
-        if (validSegments.length > 0) {
-            let fc = '';
-            validSegments.forEach((seg, idx) => {
-                fc += `[${idx + 1}:a]adelay=${Math.round(seg.start * 1000)}|${Math.round(seg.start * 1000)}[d${idx}];`;
-            });
-            fc += `[0:a]`;
-            validSegments.forEach((_, idx) => {
-                fc += `[d${idx}]`;
-            });
-            fc += `amix=inputs=${validSegments.length + 1}:duration=first:dropout_transition=0[aout]`;
-            
-            await execPromise(`${FFMPEG} -y ${inputs.join(' ')} -filter_complex "${fc}" -map "[aout]" -t ${videoDuration} "${combinedAudioPath}" 2>/dev/null`);
-        } else {
-            // No valid TTS - use silence
-            fs.copyFileSync(fullSilencePath, combinedAudioPath);
-        }
-        
-        // Create ASS subtitles (bottom-center, subtitle style)
-        const subsStyle = `Style: Default,Noto Sans,${job.fontSize || 90},&H00FFFFFF,&H000000FF,&H00000000,&H80000000,1,0,0,0,100,100,0,0,1,3,1,5,30,30,200,1`;
-        
-        let ass = `[Script Info]
-Title: ${job.name} ${lang} VO
+        await media.ffmpeg([...inputs, '-filter_complex', fc, '-map', '[aout]', '-t', String(videoDuration), combinedAudioPath]);
+    } else {
+        // No valid TTS - use silence
+        fs.copyFileSync(fullSilencePath, combinedAudioPath);
+    }
+    
+    // Subtitles + final mix for every job format (the TTS audio is shared)
+    const outputs = {};
+    for (const format of outputFormats.normalizeFormats(job.formats)) {
+        outputs[outputFormats.outputKey(lang, format)] = await muxVoiceoverFormat(job, lang, ttsSegments, combinedAudioPath, videoPath, outputDir, format);
+    }
+    return outputs;
+}
+
+// A VO subtitle shows while its TTS clip plays, at most half a second past its slot
+function voiceoverCueEnd(seg) {
+    return Math.min(seg.start + seg.audioDuration, seg.end + 0.5);
+}
+
+// Burn VO subtitles and mix the TTS track into one aspect ratio. Returns the output video path.
+async function muxVoiceoverFormat(job, lang, ttsSegments, combinedAudioPath, videoPath, outputDir, format) {
+    const { width, height } = outputFormats.formatSize(format);
+    const suffix = outputFormats.fileSuffix(format);
+    const videoDuration = job.videoDuration || 30;
+    
+    // Create ASS subtitles (bottom-center, subtitle style)
+    const subsStyle = `Style: Default,Noto Sans,${job.fontSize || 90},&H00FFFFFF,&H000000FF,&H00000000,&H80000000,1,0,0,0,100,100,0,0,1,3,1,5,30,30,200,1`;
+    
+    let ass = `[Script Info]
+Title: ${escapeAssHeader(job.name)} ${lang} VO
 ScriptType: v4.00+
 WrapStyle: 0
-PlayResX: 1080
-PlayResY: 1920
+PlayResX: ${width}
+PlayResY: ${height}
 
 [V4+ Styles]
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
@@ -3038,57 +3176,92 @@ ${subsStyle}
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 `;
+    
+    ttsSegments.forEach(seg => {
+        const start = formatAssTime(seg.start);
+        const end = formatAssTime(voiceoverCueEnd(seg));
+        ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\fad(200,200)}${escapeAssText(seg.text)}\n`;
+    });
+    
+    const assPath = path.join(outputDir, `vo-subs-${lang}${suffix}.ass`);
+    fs.writeFileSync(assPath, ass);
+    
+    // Final: combine video + TTS audio + subtitles
+    let videoName;
+    if (job.namingParts) {
+        const { id, date, product, type, author } = job.namingParts;
+        videoName = `${id}_${date}_${lang}_${product}_${type}_${author}`;
+    } else {
+        videoName = `${job.name}-${lang}`;
+    }
+    const outVideo = path.join(outputDir, `${mediaResolver.safeFileName(videoName)}${suffix}.mp4`);
+    
+    // Reframe (crop or blurred fit) for non-9:16 formats, then burn in the subtitles
+    const framing = outputFormats.frameFilter(format);
+    const assFilter = `${framing ? framing + ',' : ''}${media.assFilter(assPath)}`;
+    const voOnlyArgs = ['-i', videoPath, '-i', combinedAudioPath, '-vf', assFilter, '-map', '0:v', '-map', '1:a', '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-b:a', '192k', '-shortest', outVideo];
+    
+    // Mix original audio (if exists) with voiceover, or just use voiceover
+    // Lower original audio volume, add voiceover on top
+    try {
+        // Check if video has audio
+        const { hasAudio } = await media.probe(videoPath);
         
-        ttsSegments.forEach(seg => {
-            const start = formatAssTime(seg.start);
-            const end = formatAssTime(Math.min(seg.start + seg.audioDuration, seg.end + 0.5));
-            ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\fad(200,200)}${seg.text}\n`;
-        });
-        
-        const assPath = path.join(outputDir, `vo-subs-${lang}.ass`);
-        fs.writeFileSync(assPath, ass);
-        
-        // Final: combine video + TTS audio + subtitles
-        let videoName;
-        if (job.namingParts) {
-            const { id, date, product, type, author } = job.namingParts;
-            videoName = `${id}_${date}_${lang}_${product}_${type}_${author}`;
+        if (hasAudio) {
+            // Mix: original at 30% volume + voiceover at 100%
+            await media.ffmpeg(['-i', videoPath, '-i', combinedAudioPath, '-filter_complex', `[0:a]volume=0.3[orig];[1:a]volume=1.0[vo];[orig][vo]amix=inputs=2:duration=first[aout];[0:v]${assFilter}[vout]`, '-map', '[vout]', '-map', '[aout]', '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-b:a', '192k', '-t', String(videoDuration), outVideo]);
         } else {
-            videoName = `${job.name}-${lang}`;
+            // No original audio - just voiceover
+            await media.ffmpeg(voOnlyArgs);
         }
-        const outVideo = path.join(outputDir, `${videoName}.mp4`);
-        
-        // Mix original audio (if exists) with voiceover, or just use voiceover
-        // Lower original audio volume, add voiceover on top
-        try {
-            // Check if video has audio
-            const probeResult = await execPromise(`${FFMPEG} -i "${videoPath}" 2>&1 | grep "Audio:"`);
-            const hasAudio = probeResult.stdout.trim().length > 0;
-            
-            if (hasAudio) {
-                // Mix: original at 30% volume + voiceover at 100%
-                await execPromise(`${FFMPEG} -y -i "${videoPath}" -i "${combinedAudioPath}" -filter_complex "[0:a]volume=0.3[orig];[1:a]volume=1.0[vo];[orig][vo]amix=inputs=2:duration=first[aout];[0:v]ass='${assPath}':fontsdir=/usr/share/fonts[vout]" -map "[vout]" -map "[aout]" -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k -t ${videoDuration} "${outVideo}" 2>&1`);
-            } else {
-                // No original audio - just voiceover
-                await execPromise(`${FFMPEG} -y -i "${videoPath}" -i "${combinedAudioPath}" -vf "ass='${assPath}':fontsdir=/usr/share/fonts" -map 0:v -map 1:a -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k -shortest "${outVideo}" 2>&1`);
-            }
-        } catch (e) {
-            // Fallback: no audio mix, just subtitles
-            console.error(`[${job.id}] [VO] Audio mix error for ${lang}:`, e.message);
-            await execPromise(`${FFMPEG} -y -i "${videoPath}" -i "${combinedAudioPath}" -vf "ass='${assPath}':fontsdir=/usr/share/fonts" -map 0:v -map 1:a -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k -shortest "${outVideo}" 2>&1`);
+    } catch (e) {
+        if (e.cancelled) throw e;
+        // Fallback: no audio mix, just subtitles
+        console.error(`[${job.id}] [VO] Audio mix error for ${lang}:`, e.message);
+        await media.ffmpeg(voOnlyArgs);
+    }
+    
+    return outVideo;
+}
+
+// Generate voiceover video for all countries
+async function generateVoiceoverCountries(job, videoPath) {
+    const LANGUAGES = job.countries || ['SI', 'HR', 'CZ', 'PL', 'GR', 'IT', 'HU', 'SK', 'BG', 'RO', 'DE'];
+    const LANG_NAMES = translation.LANG_NAMES;
+    
+    const outputDir = path.join(__dirname, 'uploads', 'generated', job.id);
+    fs.mkdirSync(outputDir, { recursive: true });
+    
+    config.credentials('elevenlabs'); // queued jobs may start after the key was removed
+    
+    // Step 1: Translate + proofread voiceover script (skipped when resuming after review)
+    if (!job.translations) {
+        jobEngine.transition(job, 'translating');
+        job.translations = await translateVoiceoverScript(job, LANGUAGES);
+        if (!job.cancelled && job.review) {
+            jobEngine.transition(job, 'awaiting_review', { currentLang: '' });
+            console.log(`[${job.id}] [VO] Translations ready for review`);
+            return;
         }
+    }
+    const translations = job.translations;
+    
+    if (job.cancelled) return;
+    
+    jobEngine.transition(job, 'generating');
+    
+    // Step 2: For each language - generate TTS + subtitles + combine (in parallel, bounded by the render pool)
+    const { errors } = await renderLanguagesInPool(job, LANGUAGES, async (lang) => {
+        console.log(`[${job.id}] [VO] Generating ${lang}...`);
         
-        job.outputs[lang] = outVideo;
-        job.completed = langIdx + 1;
-        persistJobs();
+        const outputs = await renderVoiceoverLanguage(job, lang, translations, videoPath, outputDir);
         
-        console.log(`[${job.id}] [VO] ${lang} done (${job.completed}/${LANGUAGES.length})`);
-    }
+        Object.assign(job.outputs, outputs);
+    });
+    
+    if (job.cancelled) return;
+    if (errors.length) throw failedLanguagesError(errors);
     
-    job.status = 'done';
-    job.currentLang = '';
-    job.completedAt = new Date().toISOString();
-    persistJobs();
     console.log(`[${job.id}] [VO] All done!`);
 }
 // === END VOICEOVER ===
@@ -3098,20 +3271,40 @@ Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 
 
 // Voice-over SLO preview - generate video with Slovenian subtitles + TTS
-app.post('/api/localizer/vo-preview', async (req, res) => {
+app.post('/api/localizer/vo-preview', config.requireIntegration('elevenlabs'), async (req, res) => {
     const { videoClean, script, videoDuration } = req.body;
     if (!videoClean || !script?.length) {
         return res.status(400).json({ error: 'Missing videoClean or script' });
     }
     
-    const videoPath = path.join(__dirname, 'uploads', videoClean);
-    if (!fs.existsSync(videoPath)) return res.status(404).json({ error: 'Video not found' });
+    const videoPath = mediaResolver.resolve(videoClean);
+    if (!videoPath) return res.status(404).json({ error: 'Video not found' });
+    
+    const job = jobEngine.create('vo-preview', {
+        createdBy: req.user.username,
+        videoClean,
+        script,
+        videoDuration,
+        countries: ['SI']
+    });
     
-    const previewDir = path.join(__dirname, 'uploads', 'vo-previews');
-    fs.mkdirSync(previewDir, { recursive: true });
+    try {
+        const previewUrl = await jobEngine.run(job, () => renderVoPreview(job, videoPath));
+        res.json({ previewUrl });
+    } catch (e) {
+        console.error('VO Preview error:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Render a voice-over preview job: Slovenian subtitles + TTS over the clean video
+async function renderVoPreview(job, videoPath) {
+    const { script, videoDuration } = job;
+    jobEngine.transition(job, 'generating');
     
-    const previewId = 'vo-preview-' + Date.now();
-    const ttsDir = path.join(previewDir, previewId + '-tts');
+    const previewDir = jobOutputDir(job);
+    const previewId = job.id;
+    const ttsDir = path.join(previewDir, 'tts');
     fs.mkdirSync(ttsDir, { recursive: true });
     
     // Create ASS subtitle file
@@ -3135,7 +3328,7 @@ Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
     script.forEach(seg => {
         const start = formatAssTime(seg.start);
         const end = formatAssTime(seg.end);
-        ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\fad(200,200)}${seg.text}\n`;
+        ass += `Dialogue: 0,${start},${end},Default,,0,0,0,,{\\fad(200,200)}${escapeAssText(seg.text)}\n`;
     });
     
     const assPath = path.join(previewDir, `${previewId}.ass`);
@@ -3143,73 +3336,68 @@ Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
     
     const outPath = path.join(previewDir, `${previewId}.mp4`);
     
-    try {
-        // Generate TTS for each segment in Slovenian
-        console.log(`[vo-preview] Generating SLO TTS for ${script.length} segments...`);
-        const validSegments = [];
-        
-        for (let i = 0; i < script.length; i++) {
-            const seg = script[i];
-            const ttsPath = path.join(ttsDir, `seg-${i}.mp3`);
-            try {
-                await generateTTS(seg.text, 'HR', ttsPath); // HR uses same voice, SLO text
-                if (fs.existsSync(ttsPath)) {
-                    validSegments.push({ path: ttsPath, start: seg.start });
-                }
-            } catch (e) {
-                console.error(`[vo-preview] TTS error segment ${i}:`, e.message);
-            }
+    // Generate TTS for each segment in Slovenian
+    console.log(`[vo-preview] Generating SLO TTS for ${script.length} segments...`);
+    const validSegments = [];
+    
+    for (let i = 0; i < script.length; i++) {
+        if (job.cancelled) return null;
+        const seg = script[i];
+        const ttsPath = path.join(ttsDir, `seg-${i}.mp3`);
+        try {
+            await generateTTS(seg.text, 'HR', ttsPath); // HR uses same voice, SLO text
+        } catch (e) {
+            throw new Error(`TTS failed for segment ${i + 1}: ${e.message}`);
         }
+        validSegments.push({ path: ttsPath, start: seg.start });
+    }
+    
+    const vDuration = videoDuration || 30;
+    
+    if (validSegments.length > 0) {
+        // Create silent base audio
+        const silencePath = path.join(ttsDir, 'silence.mp3');
+        await media.ffmpeg(['-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=mono', '-t', String(vDuration), '-q:a', '9', silencePath]);
         
-        const vDuration = videoDuration || 30;
+        // Build filter to overlay TTS at timestamps
+        let inputs = ['-i', silencePath];
+        validSegments.forEach(seg => { inputs.push('-i', seg.path); });
         
-        if (validSegments.length > 0) {
-            // Create silent base audio
-            const silencePath = path.join(ttsDir, 'silence.mp3');
-            await execPromise(`${FFMPEG} -y -f lavfi -i anullsrc=r=44100:cl=mono -t ${vDuration} -q:a 9 "${silencePath}" 2>/dev/null`);
-            
-            // Build filter to overlay TTS at timestamps
-            let inputs = [`-i "${silencePath}"`];
-            validSegments.forEach(seg => { inputs.push(`-i "${seg.path}"`); });
-            
-            let fc = '';
-            validSegments.forEach((seg, idx) => {
-                fc += `[${idx + 1}:a]adelay=${Math.round(seg.start * 1000)}|${Math.round(seg.start * 1000)}[d${idx}];`;
-            });
-            fc += '[0:a]';
-            validSegments.forEach((_, idx) => { fc += `[d${idx}]`; });
-            fc += `amix=inputs=${validSegments.length + 1}:duration=first:dropout_transition=0[voaudio]`;
-            
-            const combinedAudio = path.join(ttsDir, 'combined.mp3');
-            await execPromise(`${FFMPEG} -y ${inputs.join(' ')} -filter_complex "${fc}" -map "[voaudio]" -t ${vDuration} "${combinedAudio}" 2>/dev/null`);
+        let fc = '';
+        validSegments.forEach((seg, idx) => {
+            fc += `[${idx + 1}:a]adelay=${Math.round(seg.start * 1000)}|${Math.round(seg.start * 1000)}[d${idx}];`;
+        });
+        fc += '[0:a]';
+        validSegments.forEach((_, idx) => { fc += `[d${idx}]`; });
+        fc += `amix=inputs=${validSegments.length + 1}:duration=first:dropout_transition=0[voaudio]`;
+        
+        const combinedAudio = path.join(ttsDir, 'combined.mp3');
+        await media.ffmpeg([...inputs, '-filter_complex', fc, '-map', '[voaudio]', '-t', String(vDuration), combinedAudio]);
+        
+        // Combine: video + subtitles + lowered original audio + voiceover
+        const voOnlyArgs = ['-i', videoPath, '-i', combinedAudio, '-vf', media.assFilter(assPath), '-map', '0:v', '-map', '1:a', '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-b:a', '192k', '-shortest', outPath];
+        try {
+            const { hasAudio } = await media.probe(videoPath);
             
-            // Combine: video + subtitles + lowered original audio + voiceover
-            try {
-                const probeResult = await execPromise(`${FFMPEG} -i "${videoPath}" 2>&1 | grep "Audio:"`);
-                const hasAudio = probeResult.stdout.trim().length > 0;
-                
-                if (hasAudio) {
-                    await execPromise(`${FFMPEG} -y -i "${videoPath}" -i "${combinedAudio}" -filter_complex "[0:a]volume=0.15[orig];[1:a]volume=1.0[vo];[orig][vo]amix=inputs=2:duration=first[aout];[0:v]ass='${assPath}':fontsdir=/usr/share/fonts[vout]" -map "[vout]" -map "[aout]" -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k -t ${vDuration} "${outPath}" 2>&1`);
-                } else {
-                    await execPromise(`${FFMPEG} -y -i "${videoPath}" -i "${combinedAudio}" -vf "ass='${assPath}':fontsdir=/usr/share/fonts" -map 0:v -map 1:a -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k -shortest "${outPath}" 2>&1`);
-                }
-            } catch (e) {
-                // Fallback: just subtitles + voiceover, no original audio mix
-                await execPromise(`${FFMPEG} -y -i "${videoPath}" -i "${combinedAudio}" -vf "ass='${assPath}':fontsdir=/usr/share/fonts" -map 0:v -map 1:a -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k -shortest "${outPath}" 2>&1`);
+            if (hasAudio) {
+                await media.ffmpeg(['-i', videoPath, '-i', combinedAudio, '-filter_complex', `[0:a]volume=0.15[orig];[1:a]volume=1.0[vo];[orig][vo]amix=inputs=2:duration=first[aout];[0:v]${media.assFilter(assPath)}[vout]`, '-map', '[vout]', '-map', '[aout]', '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-b:a', '192k', '-t', String(vDuration), outPath]);
+            } else {
+                await media.ffmpeg(voOnlyArgs);
             }
-        } else {
-            // No TTS succeeded - just subtitles
-            await execPromise(`${FFMPEG} -y -i "${videoPath}" -vf "ass='${assPath}':fontsdir=/usr/share/fonts" -c:v libx264 -preset fast -crf 23 -c:a copy "${outPath}" 2>/dev/null`);
+        } catch (e) {
+            if (e.cancelled) throw e;
+            // Fallback: just subtitles + voiceover, no original audio mix
+            await media.ffmpeg(voOnlyArgs);
         }
-        
-        console.log(`[vo-preview] Done: ${outPath}`);
-        res.json({ previewUrl: '/uploads/vo-previews/' + previewId + '.mp4' });
-    } catch (e) {
-        console.error('VO Preview error:', e.message);
-        res.status(500).json({ error: e.message });
+    } else {
+        // No TTS succeeded - just subtitles
+        await media.ffmpeg(['-i', videoPath, '-vf', media.assFilter(assPath), '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'copy', outPath]);
     }
-});
-
+    
+    console.log(`[vo-preview] Done: ${outPath}`);
+    jobEngine.update(job, { outputs: { SI: outPath }, completed: 1 });
+    return `/uploads/vo-previews/${previewId}/${previewId}.mp4`;
+}
 
 // Upload SRT and burn onto video
 app.post('/api/localizer/burn-srt', upload.single('srt'), async (req, res) => {
@@ -3217,8 +3405,8 @@ app.post('/api/localizer/burn-srt', upload.single('srt'), async (req, res) => {
     const srtFile = req.file;
     if (!videoClean || !srtFile) return res.status(400).json({ error: 'Missing video or SRT' });
     
-    const videoPath = path.join(__dirname, 'uploads', videoClean);
-    if (!fs.existsSync(videoPath)) return res.status(404).json({ error: 'Video not found' });
+    const videoPath = mediaResolver.resolve(videoClean);
+    if (!videoPath) return res.status(404).json({ error: 'Video not found' });
     
     const outDir = path.join(__dirname, 'uploads', 'vo-previews');
     fs.mkdirSync(outDir, { recursive: true });
@@ -3226,7 +3414,7 @@ app.post('/api/localizer/burn-srt', upload.single('srt'), async (req, res) => {
     const outPath = path.join(outDir, outId + '.mp4');
     
     try {
-        await execPromise(`${FFMPEG} -y -i "${videoPath}" -vf "subtitles='${srtFile.path}'" -c:v libx264 -preset fast -crf 23 -c:a copy "${outPath}" 2>&1`);
+        await media.ffmpeg(['-i', videoPath, '-vf', media.subtitlesFilter(srtFile.path), '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'copy', outPath]);
         res.json({ previewUrl: '/uploads/vo-previews/' + outId + '.mp4' });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -3236,12 +3424,11 @@ app.post('/api/localizer/burn-srt', upload.single('srt'), async (req, res) => {
 app.get('/api/localizer/video-duration', async (req, res) => {
     const file = req.query.file;
     if (!file) return res.status(400).json({ error: 'Missing file' });
-    const videoPath = path.join(__dirname, 'uploads', file);
-    if (!fs.existsSync(videoPath)) return res.status(404).json({ error: 'File not found' });
+    const videoPath = mediaResolver.resolve(file);
+    if (!videoPath) return res.status(404).json({ error: 'File not found' });
     try {
-        const durResult = await execPromise(`${FFMPEG} -i "${videoPath}" 2>&1 | grep Duration | awk '{print $2}' | tr -d ','`);
-        const parts = durResult.stdout.trim().split(':');
-        const duration = parseFloat(parts[0]) * 3600 + parseFloat(parts[1]) * 60 + parseFloat(parts[2]);
+        const { duration } = await media.probe(videoPath);
+        if (duration === null) return res.status(422).json({ error: 'Could not read video duration' });
         res.json({ duration: Math.round(duration * 10) / 10 });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -3249,23 +3436,41 @@ app.get('/api/localizer/video-duration', async (req, res) => {
 });
 
 app.get('/api/localizer/jobs', (req, res) => {
-    const jobs = Array.from(localizerJobs.values());
-    res.json({ jobs });
+    res.json({ jobs: jobEngine.list({ type: 'generate' }) });
 });
 
-// Get job status
+// Live progress of one job as Server-Sent Events (see lib/job-stream.js)
+app.get('/api/localizer/job/:id/events', (req, res) => {
+    const job = jobEngine.get(req.params.id, 'generate');
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    jobStream.subscribe(req, res, { jobId: job.id });
+});
+
+// Get job status, plus what each language's video says and its QC verdict
 app.get('/api/localizer/job/:id', (req, res) => {
-    const job = localizerJobs.get(req.params.id);
+    const job = jobEngine.get(req.params.id, 'generate');
     if (!job) return res.status(404).json({ error: 'Job not found' });
-    res.json(job);
+    
+    const sources = reviewSourceTexts(job);
+    const languages = (job.countries || []).map(lang => ({
+        lang,
+        langName: translation.LANG_NAMES[lang] || lang,
+        done: !!job.outputs?.[lang],
+        texts: sources.map((t, idx) => ({ source: t.text, text: job.finalTexts?.[lang]?.[idx] ?? null })),
+        qc: job.qualityChecks?.[lang] || null
+    }));
+    res.json({ ...job, languages });
 });
 
 // Download individual video
 app.get('/api/localizer/job/:id/video/:lang', (req, res) => {
-    const job = localizerJobs.get(req.params.id);
+    const job = jobEngine.get(req.params.id, 'generate');
     if (!job) return res.status(404).json({ error: 'Job not found' });
     
-    const videoPath = job.outputs[req.params.lang];
+    // :lang is an output key ('HR', 'HR-1x1'); ?previous=0 downloads the most recently replaced version
+    const videoPath = req.query.previous !== undefined
+        ? job.previousOutputs?.[req.params.lang]?.[parseInt(req.query.previous)]?.path
+        : job.outputs[req.params.lang];
     if (!videoPath || !fs.existsSync(videoPath)) {
         return res.status(404).json({ error: 'Video not found' });
     }
@@ -3273,72 +3478,493 @@ app.get('/api/localizer/job/:id/video/:lang', (req, res) => {
     res.download(videoPath);
 });
 
-// Download all as ZIP
+// Timed cues for one language: final rendered text with the source timings
+// (voiceover: the timings of the language's TTS clips, as burned into its video)
+function jobSubtitleCues(job, lang) {
+    const timings = job.mode === 'voiceover' ? job.voiceoverTimings?.[lang] : null;
+    return reviewSourceTexts(job).map((t, idx) => ({
+        start: timings?.[idx]?.start ?? t.start,
+        end: timings?.[idx]?.end ?? t.end,
+        text: job.finalTexts?.[lang]?.[idx] || job.translations?.[idx]?.[lang] || t.text
+    }));
+}
+
+function buildJobSubtitles(job, lang, format) {
+    if (format === 'ass') {
+        // Prefer the styled file the video was rendered with
+        const renderedAss = path.join(__dirname, 'uploads', 'generated', job.id, `${job.mode === 'voiceover' ? 'vo-subs' : 'subs'}-${lang}.ass`);
+        if (fs.existsSync(renderedAss)) return fs.readFileSync(renderedAss, 'utf8');
+        return subtitles.toAss(jobSubtitleCues(job, lang), { title: `${job.name} ${lang}`, fontSize: job.fontSize || 72 });
+    }
+    return format === 'vtt' ? subtitles.toVtt(jobSubtitleCues(job, lang)) : subtitles.toSrt(jobSubtitleCues(job, lang));
+}
+
+// Download subtitles for one language: ?format=srt|vtt|ass (default srt)
+app.get('/api/localizer/job/:id/subtitles/:lang', (req, res) => {
+    const job = jobEngine.get(req.params.id, 'generate');
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    
+    const lang = req.params.lang.toUpperCase();
+    const format = (req.query.format || 'srt').toLowerCase();
+    if (!subtitles.FORMATS[format]) return res.status(400).json({ error: 'format must be srt, vtt or ass' });
+    if (!(job.countries || []).includes(lang)) return res.status(404).json({ error: `Job has no ${lang} output` });
+    if (job.langStatus?.[lang] === 'error') {
+        return res.status(409).json({ error: `${lang} failed: ${job.langErrors?.[lang] || 'render error'}` });
+    }
+    
+    res.setHeader('Content-Type', subtitles.FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${mediaResolver.safeFileName(job.name)}-${lang}.${subtitles.FORMATS[format].ext}"`);
+    res.send(buildJobSubtitles(job, lang, format));
+});
+
+// Download all as ZIP (?subtitles=srt|vtt|ass for subtitle files only, no videos)
 app.get('/api/localizer/job/:id/zip', (req, res) => {
-    const job = localizerJobs.get(req.params.id);
+    const job = jobEngine.get(req.params.id, 'generate');
     if (!job) return res.status(404).json({ error: 'Job not found' });
     if (job.status !== 'done') return res.status(400).json({ error: 'Job not complete' });
     
+    const subtitleFormat = req.query.subtitles ? req.query.subtitles.toLowerCase() : null;
+    if (subtitleFormat && !subtitles.FORMATS[subtitleFormat]) {
+        return res.status(400).json({ error: 'subtitles must be srt, vtt or ass' });
+    }
+    
     res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${job.name}-all-countries.zip"`);
+    const zipName = mediaResolver.safeFileName(job.name);
+    res.setHeader('Content-Disposition', `attachment; filename="${zipName}-all-countries${subtitleFormat ? '-subtitles' : ''}.zip"`);
     
     const archive = archiver('zip', { zlib: { level: 5 } });
     archive.pipe(res);
     
+    if (subtitleFormat) {
+        const langs = [...new Set(Object.keys(job.outputs).map(key => outputFormats.parseOutputKey(key).lang))];
+        for (const lang of langs) {
+            archive.append(buildJobSubtitles(job, lang, subtitleFormat), { name: `${zipName}-${lang}.${subtitles.FORMATS[subtitleFormat].ext}` });
+        }
+        archive.finalize();
+        return;
+    }
+    
     for (const [lang, videoPath] of Object.entries(job.outputs)) {
         if (fs.existsSync(videoPath)) {
-            archive.file(videoPath, { name: `${job.name}-${lang}.mp4` });
+            archive.file(videoPath, { name: `${zipName}-${lang}.mp4` });
         }
     }
     
     archive.finalize();
 });
 
-// Delete a job (only if author matches)
-app.delete('/api/localizer/job/:id', (req, res) => {
-    const { author } = req.body; // Username of the person trying to delete
-    const job = localizerJobs.get(req.params.id);
-    
-    if (!job) return res.status(404).json({ error: 'Job not found' });
-    
-    // Check if author matches (case insensitive)
+// Owner of a job: the logged-in user who started it; older jobs only have the author initials
+function isJobOwner(job, user) {
+    if (job.createdBy) return job.createdBy === user.username;
     const jobAuthor = job.namingParts?.author?.toUpperCase() || '';
-    const requestAuthor = (author || '').toUpperCase();
+    return !jobAuthor || jobAuthor === user.initials;
+}
+
+// Where a job's files live, per job type
+function jobOutputDir(job) {
+    switch (job.type) {
+        case 'localize': return path.join(__dirname, 'uploads', 'localized', job.id);
+        case 'preview': return path.join(__dirname, 'uploads', 'previews', job.id);
+        case 'vo-preview': return path.join(__dirname, 'uploads', 'vo-previews', job.id);
+        default: return path.join(__dirname, 'uploads', 'generated', job.id);
+    }
+}
+
+// Delete a job and its files (only its owner or an admin)
+function deleteJob(req, res, job) {
+    if (!job) return res.status(404).json({ error: 'Job not found' });
     
-    if (jobAuthor && requestAuthor && jobAuthor !== requestAuthor) {
+    if (!auth.hasRole(req.user, ['admin']) && !isJobOwner(job, req.user)) {
         return res.status(403).json({ error: 'Lahko brišeš samo svoje kreative' });
     }
     
     // Delete video files
-    const outputDir = path.join(__dirname, 'uploads', 'generated', job.id);
+    const outputDir = jobOutputDir(job);
     if (fs.existsSync(outputDir)) {
         fs.rmSync(outputDir, { recursive: true, force: true });
         console.log(`Deleted video folder: ${outputDir}`);
     }
     
-    // Remove from map and persist
-    localizerJobs.delete(req.params.id);
-    persistJobs();
+    jobEngine.remove(job);
     
-    console.log(`Job ${req.params.id} deleted by ${author}`);
+    console.log(`Job ${job.id} deleted by ${req.user.username}`);
     res.json({ success: true });
+}
+
+// Cancel a job in progress: queued languages are dropped and in-flight ffmpeg is killed
+function cancelJob(req, res, job) {
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    
+    try {
+        const killed = jobEngine.cancel(job);
+        if (killed) console.log(`Job ${job.id}: killed ${killed} render process(es)`);
+    } catch (e) {
+        return res.status(e.status || 500).json({ error: e.message });
+    }
+    
+    console.log(`Job ${job.id} cancelled`);
+    res.json({ success: true, message: 'Job will be cancelled' });
+}
+
+app.delete('/api/localizer/job/:id', (req, res) => {
+    deleteJob(req, res, jobEngine.get(req.params.id, 'generate'));
 });
 
-// Cancel a generating job
 app.post('/api/localizer/job/:id/cancel', (req, res) => {
-    const job = localizerJobs.get(req.params.id);
+    cancelJob(req, res, jobEngine.get(req.params.id, 'generate'));
+});
+
+// ============ JOBS API ============
+// Every job type in one list (downloads page): localize, generate, preview, vo-preview
+
+// File sizes of a job's outputs, keyed like job.outputs (missing files are left out)
+function outputSizes(job) {
+    const sizes = {};
+    Object.entries(job.outputs || {}).forEach(([key, file]) => {
+        try {
+            sizes[key] = fs.statSync(file).size;
+        } catch (e) {
+            // Deleted or not rendered yet
+        }
+    });
+    return sizes;
+}
+
+// ?type=generate,preview to filter
+app.get('/api/jobs', (req, res) => {
+    const types = req.query.type ? req.query.type.split(',') : null;
+    const jobs = jobEngine.list()
+        .filter(j => !types || types.includes(j.type))
+        .map(j => ({ ...j, outputSizes: outputSizes(j) }));
+    res.json({ jobs });
+});
+
+// Live events for every job as Server-Sent Events; ?type=generate,localize to filter
+app.get('/api/jobs/events', (req, res) => {
+    jobStream.subscribe(req, res, { types: req.query.type ? req.query.type.split(',') : null });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobEngine.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ ...job, outputSizes: outputSizes(job) });
+});
+
+// Download one output (:key as in job.outputs, e.g. 'HR' or 'HR-1x1')
+app.get('/api/jobs/:id/video/:key', (req, res) => {
+    const job = jobEngine.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
     
+    const videoPath = job.outputs?.[req.params.key];
+    if (!videoPath || !fs.existsSync(videoPath)) {
+        return res.status(404).json({ error: 'Video not found' });
+    }
+    res.download(videoPath);
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    cancelJob(req, res, jobEngine.get(req.params.id));
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+    deleteJob(req, res, jobEngine.get(req.params.id));
+});
+
+// How each job type is (re)started when it is not started by its own route
+const JOB_WORKERS = {
+    localize: processLocalizationJob,
+    generate: runGenerateJob,
+    preview: job => renderPreview(job, mediaResolver.resolve(job.videoClean)),
+    'vo-preview': job => renderVoPreview(job, mediaResolver.resolve(job.videoClean))
+};
+
+// Continue an interrupted job: generate jobs keep their translations and finished
+// languages; the other types start over
+app.post('/api/jobs/:id/resume', (req, res) => {
+    const job = jobEngine.get(req.params.id);
     if (!job) return res.status(404).json({ error: 'Job not found' });
+    // v1 localize jobs may come without a clean video (the clean plate is generated)
+    const videosFound = job.type === 'localize'
+        ? mediaResolver.resolve(job.videoWithText) && (!job.videoClean || mediaResolver.resolve(job.videoClean))
+        : mediaResolver.resolve(job.videoClean);
+    if (!videosFound) return res.status(404).json({ error: 'Video not found' });
     
-    if (job.status !== 'translating' && job.status !== 'generating') {
-        return res.status(400).json({ error: 'Job is not in progress' });
+    try {
+        jobEngine.resume(job, JOB_WORKERS[job.type]);
+    } catch (e) {
+        return res.status(e.status || 500).json({ error: e.message });
+    }
+    res.json({ success: true, status: job.status });
+});
+
+// ============ STARTUP RECOVERY ============
+// Jobs that were running when the process stopped. Recent generate jobs whose
+// translations were saved continue from the last finished language on their own;
+// everything else stays 'interrupted' until someone presses resume.
+const AUTO_RESUME_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Final texts and checks of the version a failed re-render replaced
+function restoreRerenderPrevious(job, lang) {
+    const previous = job.rerenderPrevious;
+    if (!previous) return;
+    if (previous.finalTexts) job.finalTexts[lang] = previous.finalTexts;
+    else if (job.finalTexts) delete job.finalTexts[lang];
+    if (previous.qualityCheck) {
+        if (!job.qualityChecks) job.qualityChecks = {};
+        job.qualityChecks[lang] = previous.qualityCheck;
+    } else if (job.qualityChecks) {
+        delete job.qualityChecks[lang];
     }
+}
+
+// A re-render that never finished: put the replaced videos and texts back
+function recoverRerender(job) {
+    const lang = job.rerendering;
+    let restored = false;
+    Object.entries(job.previousOutputs || {})
+        .filter(([key]) => outputFormats.parseOutputKey(key).lang === lang)
+        .forEach(([key, versions]) => {
+            const current = job.outputs[key];
+            const last = versions[0];
+            if (!last || !current || fs.existsSync(current) || !fs.existsSync(last.path)) return;
+            fs.renameSync(last.path, current);
+            versions.shift();
+            (last.texts || []).forEach((text, idx) => {
+                if (job.translations?.[idx]) job.translations[idx][lang] = text;
+            });
+            restored = true;
+        });
+    if (restored) restoreRerenderPrevious(job, lang);
+    if (job.langStatus?.[lang] === 'rendering') job.langStatus[lang] = 'done';
+    delete job.rerendering;
+    delete job.rerenderPrevious;
+    jobEngine.update(job, { currentLang: '' });
+    console.log(`[${job.id}] Re-render of ${lang} was interrupted, previous version restored`);
+}
+
+function recoverInterruptedJobs() {
+    jobEngine.list().filter(j => j.rerendering).forEach(recoverRerender);
     
-    job.cancelled = true;
-    persistJobs();
+    jobEngine.interruptOrphans().forEach(job => {
+        const age = Date.now() - new Date(job.lastProgressAt).getTime();
+        const canContinue = job.type === 'generate' && job.translations && mediaResolver.resolve(job.videoClean);
+        if (canContinue && age < AUTO_RESUME_MAX_AGE_MS) {
+            jobEngine.resume(job, runGenerateJob);
+        } else {
+            console.log(`[${job.id}] Interrupted while ${job.interruptedStatus} - waiting for resume`);
+        }
+    });
+}
+// ============ END STARTUP RECOVERY ============
+
+// ============ END JOBS API ============
+
+// ============ TRANSLATION REVIEW ============
+// Jobs created with { review: true } stop at 'awaiting_review' after translating.
+// The grid can be edited per text and language; rendering starts after approval.
+
+function reviewSourceTexts(job) {
+    return (job.mode === 'voiceover' ? job.voiceoverScript : job.texts) || [];
+}
+
+// Translations grid: one row per source text, one cell per language
+app.get('/api/localizer/job/:id/translations', (req, res) => {
+    const job = jobEngine.get(req.params.id, 'generate');
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!job.translations) return res.status(400).json({ error: 'Job has no translations yet' });
+    
+    const langs = job.countries || [];
+    const rows = reviewSourceTexts(job).map((t, idx) => ({
+        index: idx,
+        source: t.text,
+        role: t.role || null,
+        translations: Object.fromEntries(langs.map(l => [l, job.translations[idx]?.[l] || t.text]))
+    }));
+    res.json({ status: job.status, langs, rows, edits: job.reviewEdits || [] });
+});
+
+// Edit cells: { edits: [{ index, lang, text }] } - recorded under the signed-in user
+app.put('/api/localizer/job/:id/translations', (req, res) => {
+    const job = jobEngine.get(req.params.id, 'generate');
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status !== 'awaiting_review') return res.status(400).json({ error: 'Job is not awaiting review' });
     
-    console.log(`Job ${req.params.id} cancelled`);
-    res.json({ success: true, message: 'Job will be cancelled' });
+    const { edits } = req.body;
+    if (!Array.isArray(edits) || !edits.length) return res.status(400).json({ error: 'Missing edits' });
+    
+    const sources = reviewSourceTexts(job);
+    for (const e of edits) {
+        if (!sources[e.index] || !job.countries.includes(e.lang) || typeof e.text !== 'string' || !e.text.trim()) {
+            return res.status(400).json({ error: `Invalid edit: ${JSON.stringify(e)}` });
+        }
+    }
+    
+    if (!job.reviewEdits) job.reviewEdits = [];
+    edits.forEach(({ index, lang, text }) => {
+        if (!job.translations[index]) job.translations[index] = {};
+        if (job.translations[index][lang] === text.trim()) return;
+        job.translations[index][lang] = text.trim();
+        job.reviewEdits = job.reviewEdits.filter(r => !(r.index === index && r.lang === lang));
+        job.reviewEdits.push({ index, lang, text: text.trim(), editor: req.user.username, at: new Date().toISOString() });
+    });
+    jobEngine.update(job);
+    
+    res.json({ success: true, edits: job.reviewEdits });
+});
+
+// Approve the grid and start rendering
+app.post('/api/localizer/job/:id/approve', (req, res) => {
+    const job = jobEngine.get(req.params.id, 'generate');
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status !== 'awaiting_review') return res.status(400).json({ error: 'Job is not awaiting review' });
+    
+    const videoPath = mediaResolver.resolve(job.videoClean);
+    if (!videoPath) return res.status(404).json({ error: 'Video not found' });
+    
+    // Reviewer fixes become approved translation memory so they are never re-translated
+    const sources = reviewSourceTexts(job);
+    const fixes = (job.reviewEdits || [])
+        .filter(e => e.lang !== 'SI')
+        .map(e => ({ source: sources[e.index].text, lang: e.lang, text: e.text }));
+    translationMemory.approve(fixes, { approvedBy: req.user.username });
+    
+    jobEngine.transition(job, 'generating', {
+        reviewedAt: new Date().toISOString(),
+        reviewedBy: req.user.username
+    });
+    
+    console.log(`[${job.id}] Translations approved (${fixes.length} fixes), rendering...`);
+    startGenerator(job, videoPath);
+    
+    res.json({ success: true, status: job.status });
+});
+
+// ============ END TRANSLATION REVIEW ============
+
+// Re-render one language of a finished job with edited text: { texts: ['...', null, ...] }
+// texts are aligned with job.texts (or job.voiceoverScript); null/empty keeps the current line.
+// Every format of that language is rebuilt in the background (job.rerendering, langStatus[lang]);
+// replaced videos are moved to <job dir>/previous/ and listed in job.previousOutputs[outputKey].
+// Quality checks of the language are run again; a failed re-render puts the previous
+// version back and is reported in job.rerenderError.
+app.post('/api/localizer/job/:id/rerender/:lang', (req, res) => {
+    const job = jobEngine.get(req.params.id, 'generate');
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    
+    const lang = req.params.lang.toUpperCase();
+    if (!(job.countries || []).includes(lang)) return res.status(400).json({ error: `Job has no ${lang} output` });
+    if (jobEngine.isActive(job) || jobEngine.isRunning(job)) {
+        return res.status(400).json({ error: 'Job is still in progress' });
+    }
+    if (job.rerendering) return res.status(409).json({ error: `Already re-rendering ${job.rerendering}` });
+    
+    const { texts } = req.body;
+    const sources = reviewSourceTexts(job);
+    if (!Array.isArray(texts) || texts.length !== sources.length) {
+        return res.status(400).json({ error: `texts must be an array of ${sources.length} items` });
+    }
+    
+    const videoPath = mediaResolver.resolve(job.videoClean);
+    if (!videoPath) return res.status(404).json({ error: 'Video not found' });
+    
+    jobEngine.update(job, { rerendering: lang, rerenderError: null });
+    jobEngine.start(job, () => rerenderLanguage(job, lang, texts, videoPath, req.user.username));
+    res.json({ jobId: job.id, status: 'started', rerendering: lang });
+});
+
+async function rerenderLanguage(job, lang, texts, videoPath, editor) {
+    const sources = reviewSourceTexts(job);
+    // Jobs created before translations were stored start from the source texts
+    if (!job.translations) job.translations = sources.map(() => ({}));
+    const previousTexts = sources.map((t, idx) => job.translations[idx]?.[lang] || t.text);
+    const previousLangStatus = job.langStatus?.[lang] || 'done';
+    const fixes = [];
+    texts.forEach((text, idx) => {
+        if (typeof text !== 'string' || !text.trim() || text.trim() === previousTexts[idx]) return;
+        if (!job.translations[idx]) job.translations[idx] = {};
+        job.translations[idx][lang] = text.trim();
+        fixes.push({ source: sources[idx].text, lang, text: text.trim() });
+    });
+    
+    const outputDir = path.join(__dirname, 'uploads', 'generated', job.id);
+    fs.mkdirSync(outputDir, { recursive: true });
+    
+    // Keep the current files (one per format) as previous versions
+    const replaced = {};
+    Object.keys(job.outputs)
+        .filter(key => outputFormats.parseOutputKey(key).lang === lang)
+        .forEach(key => {
+            const current = job.outputs[key];
+            if (!current || !fs.existsSync(current)) return;
+            const previousDir = path.join(outputDir, 'previous');
+            fs.mkdirSync(previousDir, { recursive: true });
+            const previous = path.join(previousDir, `${path.basename(current, '.mp4')}-${Date.now()}.mp4`);
+            fs.renameSync(current, previous);
+            replaced[key] = { current, previous };
+            if (!job.previousOutputs) job.previousOutputs = {};
+            if (!job.previousOutputs[key]) job.previousOutputs[key] = [];
+            job.previousOutputs[key].unshift({ path: previous, texts: previousTexts, replacedAt: new Date().toISOString() });
+        });
+    
+    // Rendering overwrites what the videos say and their checks; kept until the new version exists
+    job.rerenderPrevious = { finalTexts: job.finalTexts?.[lang] || null, qualityCheck: job.qualityChecks?.[lang] || null };
+    if (!job.langStatus) job.langStatus = {};
+    job.langStatus[lang] = 'rendering';
+    jobEngine.update(job, { currentLang: lang });
+    console.log(`[${job.id}] Re-rendering ${lang} (${fixes.length} edited lines)...`);
+    
+    try {
+        // Checks are re-run from scratch for this language
+        if (job.qualityChecks) delete job.qualityChecks[lang];
+        const outputs = await renderPool.run(async () => {
+            if (job.mode === 'voiceover') {
+                // Records the glossary check, the only one voiceover languages get
+                return renderVoiceoverLanguage(job, lang, job.translations, videoPath, outputDir);
+            }
+            const rendered = await renderSubtitleLanguage(job, lang, job.translations, videoPath, outputDir);
+            await runQualityCheck(job, lang, Object.values(rendered)[0], job.translations);
+            recordGlossaryIssues(job, lang, sources.map(t => t.text), sources.map((t, idx) => job.translations[idx]?.[lang] || t.text));
+            return rendered;
+        }, { jobId: job.id, label: `${lang} (re-render)` });
+        Object.assign(job.outputs, outputs);
+        job.rerenderedAt = new Date().toISOString();
+        
+        if (lang !== 'SI') translationMemory.approve(fixes, { approvedBy: editor });
+        
+        job.langStatus[lang] = 'done';
+        console.log(`[${job.id}] ${lang} re-rendered`);
+    } catch (e) {
+        console.error(`[${job.id}] Re-render error for ${lang}:`, e.message);
+        // Put the previous texts and files back so the job still matches its videos
+        sources.forEach((t, idx) => { if (job.translations[idx]) job.translations[idx][lang] = previousTexts[idx]; });
+        Object.entries(replaced).forEach(([key, { current, previous }]) => {
+            if (fs.existsSync(current)) return;
+            fs.renameSync(previous, current);
+            job.previousOutputs[key].shift();
+        });
+        restoreRerenderPrevious(job, lang);
+        job.langStatus[lang] = previousLangStatus;
+        job.rerenderError = `${lang}: ${e.message}`;
+        throw e;
+    } finally {
+        delete job.rerendering;
+        delete job.rerenderPrevious;
+        jobEngine.update(job, { currentLang: '' });
+    }
+}
+
+// Render pool: concurrency + what is running/waiting
+app.get('/api/localizer/render-pool', (req, res) => {
+    res.json(renderPool.status());
+});
+
+// Change concurrency at runtime: { concurrency: 3 } (RENDER_CONCURRENCY sets the startup value)
+app.put('/api/localizer/render-pool', (req, res) => {
+    try {
+        res.json({ success: true, concurrency: renderPool.setConcurrency(req.body.concurrency) });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
 });
 
 // List all generated videos
@@ -3393,133 +4019,278 @@ app.get('/api/localizer/generated-videos', (req, res) => {
 });
 
 // ============ NIGHT QUEUE ENDPOINTS ============
-
-// Add job to queue
-app.post('/api/queue/add', (req, res) => {
-    const { mode, name, namingParts, videoClean, texts, style, fontSize, countries } = req.body;
-    if (!name || !videoClean || !texts?.length) {
-        return res.status(400).json({ error: 'Missing required fields' });
+// Queued entries are 'generate' jobs with queue: 'night' that stay 'queued'
+// until lib/night-queue.js starts them - inside the night window or on "process now".
+
+// Add job to queue: the same payload as /api/localizer/generate plus `priority`.
+// The old queue form sent library/localize as `mode`; that is read as `source`.
+app.post('/api/queue/add', async (req, res) => {
+    const { priority } = req.body;
+    if (!req.body.name) return res.status(400).json({ error: 'Missing required fields' });
+    if (priority && !nightQueue.PRIORITIES.includes(priority)) {
+        return res.status(400).json({ error: `priority must be one of ${nightQueue.PRIORITIES.join(', ')}` });
     }
     
-    // Validate countries
-    const ALL_COUNTRIES = ['SI', 'HR', 'CZ', 'PL', 'GR', 'IT', 'HU', 'SK', 'BG', 'RO', 'DE'];
-    const selectedCountries = (countries && Array.isArray(countries) && countries.length > 0) 
-        ? countries.filter(c => ALL_COUNTRIES.includes(c))
-        : ALL_COUNTRIES;
-    
-    const queue = loadQueue();
-    const job = {
-        id: `queue-${Date.now()}`,
-        mode,
-        name,
-        namingParts, // { id, date, product, type, author }
-        videoClean,
-        texts,
-        style: style || 'white',
-        fontSize: fontSize || 72,
-        countries: selectedCountries,
-        status: 'pending',
-        created: new Date().toISOString()
-    };
+    const body = ['library', 'localize'].includes(req.body.mode)
+        ? { ...req.body, source: req.body.source || req.body.mode, mode: 'subtitles' }
+        : req.body;
+    let fields;
+    try {
+        fields = await generateJobFields(body, req.user);
+    } catch (e) {
+        return res.status(e.status || 500).json({ error: e.message });
+    }
     
-    queue.push(job);
-    saveQueue(queue);
+    const job = jobEngine.create('generate', { ...fields, queue: 'night', priority: priority || 'normal' });
     
-    console.log(`[Queue] Added: ${name} (${texts.length} texts)`);
+    const count = job.mode === 'voiceover' ? `${job.voiceoverScript.length} script lines` : `${job.texts.length} texts`;
+    console.log(`[Queue] Added: ${job.name} (${job.mode}, ${count}, ${job.priority} priority)`);
     res.json({ success: true, jobId: job.id });
 });
 
-// List queue
+// List queue (in start order for queued jobs) with the schedule and today's spend
 app.get('/api/queue/list', (req, res) => {
-    const queue = loadQueue();
-    res.json({ queue });
+    const pending = nightQueue.pending();
+    const others = nightQueue.entries().filter(j => !pending.includes(j));
+    res.json({ queue: [...pending, ...others], schedule: nightQueue.status() });
+});
+
+// Change the priority of a job that has not started yet
+app.post('/api/queue/priority', (req, res) => {
+    const job = jobEngine.get(req.body.jobId, 'generate');
+    if (!job || job.queue !== 'night') return res.status(404).json({ error: 'Job not found' });
+    try {
+        nightQueue.setPriority(job, req.body.priority);
+    } catch (e) {
+        return res.status(e.status || 500).json({ error: e.message });
+    }
+    res.json({ success: true, priority: job.priority });
 });
 
-// Remove from queue
+// Remove from queue (jobs that already started are cancelled/deleted through the job endpoints)
 app.post('/api/queue/remove', (req, res) => {
-    const { jobId } = req.body;
-    let queue = loadQueue();
-    queue = queue.filter(j => j.id !== jobId);
-    saveQueue(queue);
+    const job = jobEngine.get(req.body.jobId, 'generate');
+    if (!job || job.queue !== 'night') return res.status(404).json({ error: 'Job not found' });
+    if (job.status !== 'queued') return res.status(400).json({ error: 'Job already started' });
+    jobEngine.remove(job);
     res.json({ success: true });
 });
 
-// Process queue now
-app.post('/api/queue/process', async (req, res) => {
-    const queue = loadQueue();
-    const pending = queue.filter(j => j.status === 'pending');
+// Process queue now, outside the night window
+app.post('/api/queue/process', (req, res) => {
+    try {
+        const count = nightQueue.processNow();
+        if (count === 0) return res.json({ message: 'Queue is empty', count: 0 });
+        res.json({ message: 'Processing started', count });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+// Morning summary of the last scheduled night (null before the first one)
+app.get('/api/queue/summary', (req, res) => {
+    res.json(nightQueue.status().lastSummary);
+});
+
+// Morning summary as a Slack message to NIGHT_QUEUE_SUMMARY_TO (names from slackUsers,
+// comma-separated); undelivered messages wait in the pending notifications
+function formatNightSummary(summary) {
+    const usd = amount => `$${amount.toFixed(2)}`;
+    const lines = [`🌙 *Nočna vrsta ${summary.window}*`, ''];
+    
+    lines.push(`✅ Zrenderirano: ${summary.rendered.length}`);
+    summary.rendered.forEach(j => {
+        const failed = j.failedLanguages.length ? ` (napaka: ${j.failedLanguages.join(', ')})` : '';
+        lines.push(`• ${j.name} - ${j.languages.join(', ')}${failed}`);
+    });
     
-    if (pending.length === 0) {
-        return res.json({ message: 'Queue is empty', count: 0 });
+    if (summary.failed.length) {
+        lines.push('', `❌ Napake: ${summary.failed.length}`);
+        summary.failed.forEach(j => lines.push(`• ${j.name} - ${j.error || j.status}`));
     }
     
-    res.json({ message: 'Processing started', count: pending.length });
+    if (summary.leftInQueue.length) {
+        const reason = { 'window closed': 'okno se je zaprlo', 'daily budget reached': 'dnevni proračun je porabljen' }[summary.stoppedReason];
+        lines.push('', `⏳ Ostalo v vrsti: ${summary.leftInQueue.length} (${reason || summary.stoppedReason})`);
+    }
     
-    // Process in background
-    processQueue();
-});
+    const budget = summary.spend.budget ? ` / ${usd(summary.spend.budget)}` : '';
+    lines.push('', `💰 Poraba: ${usd(summary.spend.jobs)} (danes ${usd(summary.spend.day)}${budget})`);
+    return lines.join('\n');
+}
 
-// Background queue processor
-async function processQueue() {
-    const queue = loadQueue();
+async function sendNightSummary(summary) {
+    const text = formatNightSummary(summary);
+    const recipients = (process.env.NIGHT_QUEUE_SUMMARY_TO || 'Dejan').split(',').map(n => n.trim()).filter(Boolean);
+    const notifications = loadNotifications();
     
-    for (const job of queue) {
-        if (job.status !== 'pending') continue;
-        
-        console.log(`[Queue] Processing: ${job.name}`);
-        job.status = 'processing';
-        saveQueue(queue);
-        
-        try {
-            const videoPath = path.join(__dirname, 'uploads', job.videoClean);
-            if (!fs.existsSync(videoPath)) {
-                throw new Error('Video not found');
-            }
-            
-            // Create a generation job and process it
-            const genJob = {
-                id: job.id,
-                name: job.name,
-                namingParts: job.namingParts, // { id, date, product, type, author }
-                videoClean: job.videoClean,
-                texts: job.texts,
-                style: job.style,
-                fontSize: job.fontSize || 72,
-                countries: job.countries, // Selected countries to generate
-                status: 'translating',
-                completed: 0,
-                outputs: {},
-                created: job.created
-            };
-            
-            localizerJobs.set(job.id, genJob);
-            await generateAllCountries(genJob, videoPath);
-            
-            job.status = 'done';
-            job.completedAt = new Date().toISOString();
-            console.log(`[Queue] Done: ${job.name}`);
-        } catch (e) {
-            console.error(`[Queue] Error processing ${job.name}:`, e);
-            job.status = 'error';
-            job.error = e.message;
+    for (const [i, assignee] of recipients.entries()) {
+        const notification = {
+            id: Date.now() + i,
+            assignee,
+            taskName: `Nočna vrsta ${summary.window}`,
+            message: text,
+            createdAt: new Date().toISOString()
+        };
+        const result = await sendSlackMessage(slackUsers[assignee], text);
+        notification.slackSent = result.ok;
+        notification.slackError = result.error;
+        if (result.ok) {
+            notification.sentAt = new Date().toISOString();
+            notifications.sent.push(notification);
+        } else {
+            notifications.pending.push(notification);
         }
-        
-        saveQueue(queue);
     }
     
-    console.log('[Queue] Processing complete');
+    saveNotifications(notifications);
 }
 
 // ============ END QUEUE ENDPOINTS ============
 
-// ============ FINANCE API ============
+// ============ WEBHOOKS ============
+// Job lifecycle events for other systems (lib/webhooks.js). Payloads carry
+// absolute download links under PUBLIC_URL; Slack hooks DM the job's author
+// (namingParts.author, else the user who created the job).
+
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// Download links of a job's finished outputs
+function jobDownloadLinks(job) {
+    const base = job.type === 'localize' ? `${PUBLIC_URL}/api/localize/${job.id}` : `${PUBLIC_URL}/api/localizer/job/${job.id}`;
+    const videos = {};
+    Object.keys(job.outputs || {}).forEach(key => {
+        const lang = job.type === 'localize' ? key : outputFormats.parseOutputKey(key).lang;
+        if (job.langStatus?.[lang] === 'error') return;
+        videos[key] = `${base}/video/${encodeURIComponent(key)}`;
+    });
+    return {
+        videos,
+        zip: job.status === 'done' ? (job.type === 'localize' ? `${base}/download` : `${base}/zip`) : null
+    };
+}
+
+function describeWebhookJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        name: job.name,
+        status: job.status,
+        mode: job.mode,
+        namingParts: job.namingParts || null,
+        createdBy: job.createdBy || null,
+        countries: job.countries || [],
+        langStatus: job.langStatus || {},
+        langErrors: job.langErrors || {},
+        error: job.error || null,
+        created: job.created,
+        completedAt: job.completedAt || null,
+        links: jobDownloadLinks(job)
+    };
+}
+
+// Slack user for namingParts.author: a slackUsers name, or initials mapped in
+// SLACK_AUTHORS ("DD=Dejan,AJ=Ajda")
+function authorSlackId(author) {
+    if (!author) return null;
+    const aliases = Object.fromEntries((process.env.SLACK_AUTHORS || '').split(',')
+        .map(pair => pair.split('=').map(p => p.trim()))
+        .filter(([initials, name]) => initials && name)
+        .map(([initials, name]) => [initials.toUpperCase(), name]));
+    const name = aliases[author.toUpperCase()]
+        || Object.keys(slackUsers).find(n => n.toLowerCase() === author.toLowerCase());
+    return name ? slackUsers[name] : null;
+}
+
+function formatJobSlackMessage(event, payload) {
+    const { job } = payload;
+    const links = Object.entries(job.links.videos).map(([key, url]) => `• ${key}: ${url}`);
+    switch (event) {
+        case 'job.started':
+            return `▶️ *${job.name}* se generira (${job.countries.join(', ')})`;
+        case 'job.language_done':
+            return `✅ *${job.name}* - ${payload.lang} je pripravljen\n${job.links.videos[payload.lang] || ''}`;
+        case 'job.qc_failed':
+            return `⚠️ *${job.name}* - QC za ${payload.lang} ni uspel:\n${payload.qc.issues.map(i => `• ${i.message || i.reason || i.type}`).join('\n')}`;
+        case 'job.done':
+            return `🎉 *${job.name}* je končan\n\n${links.join('\n')}${job.links.zip ? `\n\n📦 Vse: ${job.links.zip}` : ''}`;
+        case 'job.error':
+            return `❌ *${job.name}* ni uspel: ${payload.error || job.error}${links.length ? `\n\nKončani jeziki:\n${links.join('\n')}` : ''}`;
+        default:
+            return `${event}: ${job.name}`;
+    }
+}
+
+// Slack user a job's messages go to: its author, else the user who created it (initials or name)
+function jobSlackRecipient(job) {
+    const creator = job.createdBy ? auth.listUsers().find(u => u.username === job.createdBy) : null;
+    const candidates = [job.namingParts?.author, creator?.initials, creator?.name, job.createdBy];
+    return candidates.map(authorSlackId).find(Boolean) || null;
+}
+
+async function sendJobSlackMessage(event, payload) {
+    const userId = jobSlackRecipient(payload.job);
+    if (!userId) {
+        const who = payload.job.namingParts?.author || payload.job.createdBy;
+        throw new Error(who ? `No Slack user for ${who} (see SLACK_AUTHORS)` : 'Job has no author or creator to message');
+    }
+    const result = await sendSlackMessage(userId, formatJobSlackMessage(event, payload));
+    if (!result.ok) throw new Error(`Slack: ${result.error}`);
+}
+
+webhooks.configure({
+    describeJob: describeWebhookJob,
+    formatters: { slack: sendJobSlackMessage }
+});
 
-const METAKOCKA_COMPANY_ID = 6371;
-const METAKOCKA_SECRET = 'ee759602-961d-4431-ac64-0725ae8d9665';
+app.get('/api/webhooks', (req, res) => {
+    res.json({ webhooks: webhooks.list(), events: webhooks.EVENTS });
+});
 
-// Meta Ads API
-const META_ACCESS_TOKEN = 'EAAR1d7hDpEkBQs1YPhRZBgu4UZA8DLZBWzXXTItG3NL8LdpRmdhQ3nh1DHW0ZCfpOz25qT0n5Ca0PzrTcRtw1tHYZBATVMZCqn0rjrnUgZCYk6U57ZBisv0vpLLL9lIIn51bk7n5ISZBXdPTIDovAFHghGOsInJoqhvqQaWmey3qJByEiRTfcrWF3EsXYNZAm5yaRYL4y94n9H';
-const META_AD_ACCOUNT = 'act_1922887421998222';
+// Create a hook: { url, events } or { type: 'slack', events }. The secret is only returned here.
+app.post('/api/webhooks', (req, res) => {
+    try {
+        res.json({ webhook: webhooks.create(req.body) });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+app.put('/api/webhooks/:id', (req, res) => {
+    try {
+        res.json({ webhook: webhooks.update(req.params.id, req.body) });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+    try {
+        webhooks.remove(req.params.id);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+// Send a sample job.done and report how the delivery went
+app.post('/api/webhooks/:id/test', async (req, res) => {
+    try {
+        res.json({ delivery: await webhooks.test(req.params.id, { createdBy: req.user.username }) });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+// ============ END WEBHOOKS ============
+
+// ============ FINANCE API ============
+
+// Metakocka credentials for a request body (throws a ConfigError when not configured)
+function metakockaAuth() {
+    const { METAKOCKA_SECRET, METAKOCKA_COMPANY_ID } = config.credentials('metakocka');
+    return { secret_key: METAKOCKA_SECRET, company_id: parseInt(METAKOCKA_COMPANY_ID) };
+}
 
 // VAT rates by country code
 const VAT_RATES = {
@@ -3556,8 +4327,7 @@ app.get('/api/finance/summary', async (req, res) => {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                    secret_key: METAKOCKA_SECRET,
-                    company_id: METAKOCKA_COMPANY_ID,
+                    ...metakockaAuth(),
                     doc_type: 'sales_order',
                     query_advance: [
                         { type: 'date', field: 'doc_date', from: startDate, to: endDate }
@@ -3642,6 +4412,7 @@ app.get('/api/finance/fb-spend', async (req, res) => {
         const lastDay = new Date(year, parseInt(month), 0).getDate();
         const endDate = `${year}-${month}-${lastDay.toString().padStart(2, '0')}`;
         
+        const { META_ACCESS_TOKEN, META_AD_ACCOUNT } = config.credentials('meta');
         const url = `https://graph.facebook.com/v21.0/${META_AD_ACCOUNT}/insights?` + 
             `access_token=${META_ACCESS_TOKEN}&` +
             `fields=spend&` +
@@ -3675,8 +4446,7 @@ app.get('/api/finance/daily-orders', async (req, res) => {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                secret_key: METAKOCKA_SECRET,
-                company_id: METAKOCKA_COMPANY_ID,
+                ...metakockaAuth(),
                 doc_type: 'sales_order',
                 result_type: 'doc',
                 limit: 100,
@@ -3786,8 +4556,7 @@ app.get('/api/finance/pending-cod', async (req, res) => {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                secret_key: METAKOCKA_SECRET,
-                company_id: METAKOCKA_COMPANY_ID,
+                ...metakockaAuth(),
                 doc_type: 'sales_order',
                 result_type: 'doc',
                 limit: 100,
@@ -3894,7 +4663,7 @@ app.post('/api/finance/fixed-costs', (req, res) => {
 // ============ END FINANCE API ============
 
 // ============ PACKING API ============
-// Uses existing METAKOCKA_COMPANY_ID and METAKOCKA_SECRET from line ~2774
+// Uses metakockaAuth() from the finance section
 
 // Get packing orders from Metakocka
 app.get('/api/packing/orders', async (req, res) => {
@@ -3912,8 +4681,7 @@ app.get('/api/packing/orders', async (req, res) => {
         }
         
         const requestBody = {
-            secret_key: METAKOCKA_SECRET,
-            company_id: METAKOCKA_COMPANY_ID,
+            ...metakockaAuth(),
             doc_type: 'sales_order',
             result_type: 'doc',
             limit: 100, // Metakocka max is 100
@@ -4368,4 +5136,8 @@ app.get('/', (req, res) => {
 
 app.listen(PORT, () => {
     console.log(`🚀 Launches server running on port ${PORT}`);
+    config.logStatus();
+    textDetection.hasTesseract(); // logs missing OCR languages once
+    recoverInterruptedJobs();
+    nightQueue.start({ worker: runGenerateJob, notify: sendNightSummary });
 });
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../lib/auth');
+
+const request = cookie => ({ headers: { cookie } });
+
+test('sessionToken reads the session cookie among others', () => {
+    assert.equal(auth.sessionToken(request('theme=dark; sid=abc123; lang=sl')), 'abc123');
+    assert.equal(auth.sessionToken(request('name=Dejan%20K; sid=a%2Fb')), 'a/b');
+    assert.equal(auth.sessionToken(request(undefined)), null);
+});
+
+test('sessionToken skips cookies that do not decode', () => {
+    assert.equal(auth.sessionToken(request('x=%E0%A4%A; sid=abc123')), 'abc123');
+    assert.equal(auth.sessionToken(request('sid=%E0%A4%A')), null);
+});
+
+test('authenticate lets a client with a malformed cookie through as logged out', () => {
+    const req = request('x=%E0%A4%A');
+    let called = false;
+    auth.authenticate(req, {}, () => { called = true; });
+    assert.equal(called, true);
+    assert.equal(req.user, null);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { regionsFromTexts } = require('../lib/clean-plate');
+
+const bbox = { x: 10, y: 70, width: 80, height: 8 };
+
+test('regionsFromTexts covers each boxed text while it is on screen', () => {
+    const regions = regionsFromTexts([
+        { start: 1, end: 3, track: { bbox, background: '#102040' } },
+        { start: 4, end: 6, track: { bbox } }
+    ]);
+    assert.deepEqual(regions, [
+        { bbox, start: 1, end: 3, background: '#102040' },
+        { bbox, start: 4, end: 6, background: null }
+    ]);
+});
+
+test('regionsFromTexts skips texts without a usable box', () => {
+    const regions = regionsFromTexts([
+        { start: 0, end: 1 },
+        { start: 0, end: 1, track: { bbox: null } },
+        { start: 0, end: 1, track: { bbox: { x: 0, y: 0, width: 0, height: 5 } } }
+    ]);
+    assert.deepEqual(regions, []);
+});
+
+test('regionsFromTexts starts early by lead and keeps covering for trail', () => {
+    const [early, late] = regionsFromTexts([
+        { start: 0.5, end: 2, track: { bbox } },
+        { start: 5, end: 8, track: { bbox } }
+    ], { lead: 1, trail: 1 });
+    assert.equal(early.start, 0);
+    assert.equal(early.end, 3);
+    assert.equal(late.start, 4);
+    assert.equal(late.end, 9);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickFrames, mapChunked } = require('../lib/frame-sampler');
+
+test('pickFrames samples every SPARSE_INTERVAL and always reads the first and last frame', () => {
+    assert.deepEqual(pickFrames(0), []);
+    assert.deepEqual(pickFrames(1), [0]);
+    assert.deepEqual(pickFrames(10), [0, 4, 8, 9]);
+});
+
+test('pickFrames reads every grid frame around a cut', () => {
+    // Cut at 3s: dense from 2.5s (frame 5) to 4.5s (frame 9)
+    assert.deepEqual(pickFrames(20, [3]), [0, 4, 5, 6, 7, 8, 9, 12, 16, 19]);
+    // Cuts near the ends stay inside the video: dense 0-2s, then 3s to the last frame (3.5s)
+    assert.deepEqual(pickFrames(8, [0.2, 3.5]), [0, 1, 2, 3, 4, 6, 7]);
+});
+
+test('pickFrames caps long videos with many cuts and still keeps the last frame', () => {
+    const cuts = Array.from({ length: 500 }, (_, i) => i);
+    const frames = pickFrames(1000, cuts);
+    assert.ok(frames.length <= 240, `${frames.length} frames`);
+    assert.equal(frames[0], 0);
+    assert.equal(frames[frames.length - 1], 999);
+    assert.deepEqual(frames, [...frames].sort((a, b) => a - b));
+    assert.equal(new Set(frames).size, frames.length);
+});
+
+test('pickFrames thins a long cut-free video by sampling more sparsely', () => {
+    const frames = pickFrames(4000);
+    assert.ok(frames.length <= 240, `${frames.length} frames`);
+    assert.equal(frames[frames.length - 1], 3999);
+    const gaps = frames.slice(1, -1).map((f, i) => f - frames[i]);
+    assert.equal(new Set(gaps).size, 1);
+});
+
+test('mapChunked keeps item order and runs at most `concurrency` at a time', async () => {
+    let inFlight = 0;
+    let most = 0;
+    const results = await mapChunked([30, 10, 20, 5, 15], async (ms, i) => {
+        inFlight++;
+        most = Math.max(most, inFlight);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        inFlight--;
+        return `${i}:${ms}`;
+    }, { concurrency: 2 });
+    assert.deepEqual(results, ['0:30', '1:10', '2:20', '3:5', '4:15']);
+    assert.equal(most, 2);
+});
+
+test('mapChunked rejects with the first failure and starts no further chunk', async () => {
+    const started = [];
+    await assert.rejects(mapChunked([1, 2, 3, 4, 5], async item => {
+        started.push(item);
+        if (item === 2) throw new Error('tesseract exited with 1');
+        return item;
+    }, { concurrency: 2 }), { message: 'tesseract exited with 1' });
+    assert.deepEqual(started, [1, 2]);
+});
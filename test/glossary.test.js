@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkTranslation } = require('../lib/glossary');
+
+const glossary = {
+    entries: [
+        { id: 'keep', lang: '*', type: 'keep', term: 'NORIKS' },
+        { id: 'required', lang: 'HR', type: 'required', source: 'majic*', term: 'majic*' },
+        { id: 'forbidden', lang: 'HR', type: 'forbidden', term: 'košulj*', replacement: 'majica' },
+        { id: 'hu', lang: 'HU', type: 'forbidden', term: 'ing', replacement: 'póló' },
+        { id: 'note', lang: '*', type: 'note', term: 'Casual T-shirts only' }
+    ]
+};
+
+test('checkTranslation passes a translation that follows every rule', () => {
+    assert.deepEqual(checkTranslation('NORIKS majice', 'NORIKS majice za sve', 'HR', glossary), []);
+});
+
+test('checkTranslation flags a keep term that was translated or re-cased', () => {
+    const issues = checkTranslation('NORIKS majica', 'Noriks majica', 'HR', glossary);
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].verdict, 'BAD');
+    assert.equal(issues[0].reason, '"NORIKS" must stay unchanged');
+});
+
+test('checkTranslation flags forbidden terms with any ending and suggests the replacement', () => {
+    const [issue] = checkTranslation('NORIKS majica', 'NORIKS majica i KOŠULJU', 'HR', glossary);
+    assert.equal(issue.verdict, 'BAD');
+    assert.equal(issue.suggestion, 'majica');
+    assert.equal(issue.reason, 'Forbidden term "košulj*" (use "majica")');
+});
+
+test('checkTranslation matches terms without * as whole words only', () => {
+    assert.deepEqual(checkTranslation('majica', 'Ez egy ingyenes póló', 'HU', glossary), []);
+    assert.equal(checkTranslation('majica', 'Ez egy ing', 'HU', glossary).length, 1);
+});
+
+test('checkTranslation asks for the required term only when the source has it', () => {
+    const [issue] = checkTranslation('Nove majice', 'Nove košare', 'HR', glossary);
+    assert.equal(issue.verdict, 'AWKWARD');
+    assert.equal(issue.reason, '"majic*" should be translated as "majic*"');
+    assert.deepEqual(checkTranslation('Nove hlače', 'Nove hlače', 'HR', glossary), []);
+});
+
+test('checkTranslation ignores rules of other languages and missing texts', () => {
+    assert.deepEqual(checkTranslation('majica', 'košulja', 'CZ', glossary), []);
+    assert.deepEqual(checkTranslation(null, undefined, 'HR', glossary), []);
+});
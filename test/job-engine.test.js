@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-engine-'));
+process.env.JOBS_FILE = path.join(dir, 'jobs.json');
+fs.writeFileSync(process.env.JOBS_FILE, '[]');
+const jobEngine = require('../lib/job-engine');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('create registers a queued job and saves it to JOBS_FILE', () => {
+    const job = jobEngine.create('generate', { name: 'Launch' });
+    assert.match(job.id, /^gen-\d+$/);
+    assert.equal(job.status, 'queued');
+    assert.equal(jobEngine.get(job.id, 'generate'), job);
+    assert.equal(jobEngine.get(job.id, 'preview'), null);
+    const saved = JSON.parse(fs.readFileSync(process.env.JOBS_FILE, 'utf8'));
+    assert.ok(saved.some(j => j.id === job.id));
+});
+
+test('create rejects unknown types and never reuses an ID', () => {
+    assert.throws(() => jobEngine.create('nope'), { status: 400 });
+    const first = jobEngine.create('localize', { id: 'job-fixed' });
+    const second = jobEngine.create('localize', { id: 'job-fixed' });
+    assert.equal(first.id, 'job-fixed');
+    assert.equal(second.id, 'job-fixed-2');
+});
+
+test('transition follows the status flow and emits status events', () => {
+    const job = jobEngine.create('localize');
+    const seen = [];
+    const onStatus = (j, from) => j === job && seen.push(`${from}>${j.status}`);
+    jobEngine.events.on('status', onStatus);
+    try {
+        ['analyzing', 'translating', 'awaiting_review', 'generating', 'done']
+            .forEach(status => jobEngine.transition(job, status));
+    } finally {
+        jobEngine.events.off('status', onStatus);
+    }
+    assert.deepEqual(seen, [
+        'queued>analyzing', 'analyzing>translating', 'translating>awaiting_review',
+        'awaiting_review>generating', 'generating>done'
+    ]);
+    assert.equal(job.completedAt, job.updatedAt);
+    assert.equal(jobEngine.isActive(job), false);
+});
+
+test('transition refuses moves the flow does not allow', () => {
+    const job = jobEngine.create('preview');
+    assert.throws(() => jobEngine.transition(job, 'done'), { status: 409 });
+    assert.throws(() => jobEngine.transition(job, 'awaiting_review'), { status: 409 });
+    jobEngine.transition(job, 'generating');
+    jobEngine.transition(job, 'done');
+    assert.throws(() => jobEngine.transition(job, 'generating'), { status: 409 });
+    assert.throws(() => jobEngine.transition(job, 'queued'), { status: 409 });
+});
+
+test('transition to the current status only applies the fields', () => {
+    const job = jobEngine.create('generate');
+    jobEngine.transition(job, 'generating');
+    jobEngine.transition(job, 'generating', { completed: 3 });
+    assert.equal(job.status, 'generating');
+    assert.equal(job.completed, 3);
+});
+
+test('run settles the job as done, error or awaiting review', async () => {
+    const done = jobEngine.create('generate');
+    const result = await jobEngine.run(done, async job => {
+        jobEngine.transition(job, 'generating');
+        return 'ok';
+    });
+    assert.equal(result, 'ok');
+    assert.equal(done.status, 'done');
+
+    const failed = jobEngine.create('generate');
+    await assert.rejects(jobEngine.run(failed, async () => { throw new Error('ffmpeg exited with 1'); }));
+    assert.equal(failed.status, 'error');
+    assert.equal(failed.error, 'ffmpeg exited with 1');
+
+    const review = jobEngine.create('localize');
+    await jobEngine.run(review, async job => {
+        jobEngine.transition(job, 'translating');
+        jobEngine.transition(job, 'awaiting_review');
+    });
+    assert.equal(review.status, 'awaiting_review');
+});
+
+test('run refuses a second worker for the same job', async () => {
+    const job = jobEngine.create('generate');
+    let release;
+    const first = jobEngine.run(job, () => new Promise(resolve => { release = resolve; }));
+    assert.equal(jobEngine.isRunning(job), true);
+    jobEngine.transition(job, 'generating');
+    await assert.rejects(jobEngine.run(job, async () => {}), { status: 409 });
+    release();
+    await first;
+    assert.equal(jobEngine.isRunning(job), false);
+});
+
+test('cancel settles a job without a worker at once and one with a worker when it stops', async () => {
+    const idle = jobEngine.create('generate', { queue: 'night' });
+    jobEngine.cancel(idle);
+    assert.equal(idle.status, 'cancelled');
+    assert.throws(() => jobEngine.cancel(idle), { status: 400 });
+
+    const busy = jobEngine.create('generate');
+    let release;
+    const running = jobEngine.run(busy, () => new Promise(resolve => { release = resolve; }));
+    jobEngine.cancel(busy);
+    assert.equal(busy.status, 'queued');
+    release();
+    await running;
+    assert.equal(busy.status, 'cancelled');
+});
+
+test('interruptOrphans interrupts running jobs and resume queues them again', async () => {
+    const job = jobEngine.create('generate');
+    jobEngine.transition(job, 'generating', { currentLang: 'HR' });
+    const waiting = jobEngine.create('generate', { queue: 'night' });
+
+    const interrupted = jobEngine.interruptOrphans();
+    assert.ok(interrupted.includes(job));
+    assert.equal(job.status, 'interrupted');
+    assert.equal(job.interruptedStatus, 'generating');
+    assert.equal(job.currentLang, '');
+    assert.equal(waiting.status, 'queued');
+
+    assert.throws(() => jobEngine.resume(waiting, async () => {}), { status: 400 });
+    const resumedFrom = await new Promise(resolve => jobEngine.resume(job, async j => {
+        resolve(j.status);
+        jobEngine.transition(j, 'generating');
+    }));
+    assert.equal(resumedFrom, 'queued');
+    await new Promise(setImmediate);
+    assert.equal(job.status, 'done');
+});
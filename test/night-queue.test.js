@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'night-queue-'));
+process.env.JOBS_FILE = path.join(dir, 'jobs.json');
+fs.writeFileSync(process.env.JOBS_FILE, '[]');
+const jobEngine = require('../lib/job-engine');
+const nightQueue = require('../lib/night-queue');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const at = (hours, minutes = 0) => new Date(2026, 0, 15, hours, minutes);
+
+test('parseWindow reads HH:MM-HH:MM into minutes after midnight', () => {
+    assert.deepEqual(nightQueue.parseWindow('01:00-06:00'), { start: 60, end: 360, label: '01:00-06:00' });
+    assert.deepEqual(nightQueue.parseWindow(' 22:30 - 2:00 '), { start: 1350, end: 120, label: '22:30-02:00' });
+    assert.deepEqual(nightQueue.parseWindow('00:00-24:00'), { start: 0, end: 1440, label: '00:00-24:00' });
+});
+
+test('parseWindow turns off the window for off and for values it cannot read', t => {
+    t.mock.method(console, 'error', () => {});
+    assert.equal(nightQueue.parseWindow('off'), null);
+    assert.equal(nightQueue.parseWindow('Disabled'), null);
+    assert.equal(nightQueue.parseWindow('1am-6am'), null);
+    assert.equal(nightQueue.parseWindow('25:00-06:00'), null);
+    assert.equal(nightQueue.parseWindow('03:00-03:00'), null);
+    assert.equal(console.error.mock.callCount(), 3);
+});
+
+test('inWindow includes the start minute and excludes the end minute', () => {
+    const window = nightQueue.parseWindow('01:00-06:00');
+    assert.equal(nightQueue.inWindow(at(0, 59), window), false);
+    assert.equal(nightQueue.inWindow(at(1, 0), window), true);
+    assert.equal(nightQueue.inWindow(at(5, 59), window), true);
+    assert.equal(nightQueue.inWindow(at(6, 0), window), false);
+    assert.equal(nightQueue.inWindow(at(3), null), false);
+});
+
+test('inWindow handles windows that wrap past midnight', () => {
+    const window = nightQueue.parseWindow('22:00-02:00');
+    assert.equal(nightQueue.inWindow(at(21, 59), window), false);
+    assert.equal(nightQueue.inWindow(at(22, 0), window), true);
+    assert.equal(nightQueue.inWindow(at(0, 30), window), true);
+    assert.equal(nightQueue.inWindow(at(2, 0), window), false);
+    assert.equal(nightQueue.inWindow(at(12), window), false);
+});
+
+test('pending orders queued night jobs by priority, then oldest first', () => {
+    const job = (name, priority, created) => jobEngine.create('generate', { name, queue: 'night', priority, created });
+    job('low', 'low', '2026-01-01T10:00:00Z');
+    job('normal-new', undefined, '2026-01-03T10:00:00Z');
+    job('high', 'high', '2026-01-04T10:00:00Z');
+    job('normal-old', 'normal', '2026-01-02T10:00:00Z');
+    jobEngine.create('generate', { name: 'live' });
+
+    assert.deepEqual(nightQueue.pending().map(j => j.name), ['high', 'normal-old', 'normal-new', 'low']);
+});
+
+test('setPriority accepts known priorities for queued jobs only', () => {
+    const job = jobEngine.create('generate', { queue: 'night' });
+    assert.throws(() => nightQueue.setPriority(job, 'urgent'), { status: 400 });
+    nightQueue.setPriority(job, 'high');
+    assert.equal(job.priority, 'high');
+    jobEngine.transition(job, 'generating');
+    assert.throws(() => nightQueue.setPriority(job, 'low'), { status: 400 });
+});
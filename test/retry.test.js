@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const retry = require('../lib/retry');
+
+const fastPolicy = { attempts: 4, baseDelay: 1, maxDelay: 5 };
+
+test('isRetryable retries network, rate limit and server errors only', () => {
+    assert.equal(retry.isRetryable(new Error('fetch failed')), true);
+    assert.equal(retry.isRetryable({ status: 429 }), true);
+    assert.equal(retry.isRetryable({ status: 503 }), true);
+    assert.equal(retry.isRetryable({ status: 408 }), true);
+    assert.equal(retry.isRetryable({ status: 400 }), false);
+    assert.equal(retry.isRetryable({ status: 401 }), false);
+    assert.equal(retry.isRetryable({ status: 500, retryable: false }), false);
+    assert.equal(retry.isRetryable({ status: 503, cancelled: true }), false);
+    assert.equal(retry.isRetryable(retry.malformedReply('bad JSON')), true);
+    assert.equal(retry.isRetryable(new DOMException('The operation timed out.', 'TimeoutError')), true);
+});
+
+test('httpError marks retryable statuses and reads Retry-After', () => {
+    const limited = retry.httpError('openai', new Response('', { status: 429, headers: { 'Retry-After': '2' } }), 'slow down');
+    assert.equal(limited.message, 'openai error: 429 - slow down');
+    assert.equal(limited.retryable, true);
+    assert.equal(limited.retryAfterMs, 2000);
+
+    const denied = retry.httpError('elevenlabs', new Response('', { status: 403, statusText: 'Forbidden' }));
+    assert.equal(denied.message, 'elevenlabs error: 403 - Forbidden');
+    assert.equal(denied.retryable, false);
+    assert.equal(denied.retryAfterMs, undefined);
+});
+
+test('backoffDelay doubles per attempt, stays in the upper half and never exceeds the cap', () => {
+    for (let i = 0; i < 50; i++) {
+        const first = retry.backoffDelay(1, 1000, 30000);
+        const third = retry.backoffDelay(3, 1000, 30000);
+        const late = retry.backoffDelay(10, 1000, 30000);
+        assert.ok(first >= 500 && first <= 1000, `attempt 1: ${first}`);
+        assert.ok(third >= 2000 && third <= 4000, `attempt 3: ${third}`);
+        assert.ok(late >= 15000 && late <= 30000, `attempt 10: ${late}`);
+    }
+});
+
+test('withRetry retries until the call succeeds', async t => {
+    t.mock.method(console, 'error', () => {});
+    let calls = 0;
+    const result = await retry.withRetry(async attempt => {
+        calls++;
+        if (attempt < 3) throw Object.assign(new Error('overloaded'), { status: 529 });
+        return 'translated';
+    }, fastPolicy);
+    assert.equal(result, 'translated');
+    assert.equal(calls, 3);
+});
+
+test('withRetry gives up after the last attempt and reports how many were made', async t => {
+    t.mock.method(console, 'error', () => {});
+    await assert.rejects(
+        retry.withRetry(async () => { throw new Error('ECONNRESET'); }, fastPolicy),
+        { message: 'ECONNRESET', attempts: 4 }
+    );
+});
+
+test('withRetry fails at once on errors that will not change', async () => {
+    let calls = 0;
+    await assert.rejects(
+        retry.withRetry(async () => {
+            calls++;
+            throw Object.assign(new Error('invalid api key'), { status: 401 });
+        }, fastPolicy),
+        { attempts: 1 }
+    );
+    assert.equal(calls, 1);
+});
+
+test('withRetry retries a call that hangs past timeoutSignal()', async t => {
+    t.mock.method(console, 'error', () => {});
+    let requests = 0;
+    const server = http.createServer(() => { requests++; }); // never answers
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    const url = `http://127.0.0.1:${server.address().port}/`;
+
+    await assert.rejects(
+        retry.withRetry(() => fetch(url, { signal: retry.timeoutSignal(50) }), { attempts: 2, baseDelay: 1, maxDelay: 5 }),
+        { name: 'TimeoutError', attempts: 2 }
+    );
+    assert.equal(requests, 2);
+});
+
+test('withRetry waits for Retry-After, capped by maxDelay', async t => {
+    t.mock.method(console, 'error', () => {});
+    const started = Date.now();
+    await retry.withRetry(async attempt => {
+        if (attempt === 1) throw Object.assign(new Error('rate limited'), { status: 429, retryAfterMs: 60000 });
+    }, { attempts: 2, baseDelay: 1, maxDelay: 20 });
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('readJson turns unreadable bodies into retryable errors', async () => {
+    await assert.rejects(retry.readJson('openai', new Response('<html>Bad gateway</html>', { status: 200 })), {
+        message: /^openai returned invalid JSON/,
+        retryable: true
+    });
+    await assert.rejects(retry.readJson('openai', new Response('<html>Bad gateway</html>', { status: 502 })), {
+        status: 502,
+        retryable: true
+    });
+    await assert.rejects(retry.readJson('openai', new Response('{"error":{"message":"bad model"}}', { status: 400 })), {
+        message: 'openai error: 400 - bad model',
+        retryable: false
+    });
+    assert.deepEqual(await retry.readJson('openai', new Response('{"ok":true}')), { ok: true });
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const subtitles = require('../lib/subtitles');
+
+test('timestamps use each format\'s own layout', () => {
+    assert.equal(subtitles.formatSrtTime(3661.25), '01:01:01,250');
+    assert.equal(subtitles.formatVttTime(3661.25), '01:01:01.250');
+    assert.equal(subtitles.formatAssTime(3661.25), '1:01:01.25');
+    assert.equal(subtitles.formatSrtTime(-2), '00:00:00,000');
+    assert.equal(subtitles.formatVttTime(undefined), '00:00:00.000');
+});
+
+test('toSrt numbers cues in time order and drops empty or zero-length ones', () => {
+    const srt = subtitles.toSrt([
+        { start: 2, end: 3.5, text: 'Druga' },
+        { start: 0.5, end: 1.5, text: 'Prva' },
+        { start: 4, end: 4, text: 'Prazna' },
+        { start: 5, end: 6, text: '' }
+    ]);
+    assert.equal(srt, '1\n00:00:00,500 --> 00:00:01,500\nPrva\n\n2\n00:00:02,000 --> 00:00:03,500\nDruga\n');
+});
+
+test('toVtt starts with the WEBVTT header', () => {
+    const vtt = subtitles.toVtt([{ start: 0, end: 1.5, text: 'Majica' }]);
+    assert.equal(vtt, 'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nMajica\n');
+});
+
+test('toAss escapes override braces and newlines in dialogue and the title', () => {
+    const ass = subtitles.toAss([{ start: 0, end: 1, text: 'Nova {majica}\nzdaj' }], { title: 'HR\nlaunch' });
+    assert.match(ass, /^Title: HR launch$/m);
+    assert.match(ass, /^Dialogue: 0,0:00:00\.00,0:00:01\.00,Default,,0,0,0,,Nova \\\{majica\\\}\\Nzdaj$/m);
+});
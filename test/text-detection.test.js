@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stand-in tesseract with English, Slovenian and German installed
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'text-detection-'));
+process.env.TESSERACT_PATH = path.join(dir, 'tesseract');
+fs.writeFileSync(process.env.TESSERACT_PATH, `#!/bin/sh
+if [ "$1" = "--list-langs" ]; then printf 'List of available languages (4):\\neng\\nosd\\nslv\\ndeu\\n'; fi
+exit 0
+`, { mode: 0o755 });
+const textDetection = require('../lib/text-detection');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+const PAGE = '1\t1\t0\t0\t0\t0\t0\t0\t1080\t1920\t-1\t';
+const word = (block, par, line, left, top, width, height, conf, text) =>
+    `5\t1\t${block}\t${par}\t${line}\t1\t${left}\t${top}\t${width}\t${height}\t${conf}\t${text}`;
+
+test('parseTsv groups the words of a paragraph into one overlay', () => {
+    const result = textDetection.parseTsv([
+        HEADER, PAGE,
+        word(1, 1, 1, 80, 300, 300, 80, 95.5, 'Udobne'),
+        word(1, 1, 1, 400, 300, 300, 80, 90.5, 'boksarice'),
+        word(1, 1, 2, 80, 400, 200, 80, 88, 'zdaj')
+    ].join('\n'));
+
+    assert.equal(result.width, 1080);
+    assert.equal(result.height, 1920);
+    assert.equal(result.rejected, 0);
+    assert.equal(result.overlays.length, 1);
+    const [overlay] = result.overlays;
+    assert.equal(overlay.text, 'Udobne boksarice zdaj');
+    assert.deepEqual(overlay.box, { left: 80, top: 300, width: 620, height: 180 });
+    assert.equal(overlay.lines, 2);
+    assert.ok(Math.abs(overlay.confidence - 0.913) < 0.001);
+});
+
+test('parseTsv keeps paragraphs apart and drops weak words and single characters', () => {
+    const result = textDetection.parseTsv([
+        HEADER, PAGE,
+        word(1, 1, 1, 80, 300, 300, 80, 93, 'NORIKS'),
+        word(1, 1, 1, 400, 300, 40, 40, 12, 'xq'),
+        word(2, 1, 1, 80, 1500, 500, 90, 90, '-50%'),
+        word(3, 1, 1, 900, 900, 20, 20, 80, 'I'),
+        word(4, 1, 1, 10, 10, 20, 20, 80, ' ')
+    ].join('\n'));
+
+    assert.equal(result.rejected, 1);
+    assert.deepEqual(result.overlays.map(o => o.text), ['NORIKS', '-50%']);
+});
+
+test('parseTsv returns no overlays for an empty page or empty output', () => {
+    assert.deepEqual(textDetection.parseTsv(`${HEADER}\n${PAGE}\n`).overlays, []);
+    assert.deepEqual(textDetection.parseTsv(''), { width: 0, height: 0, overlays: [], rejected: 0 });
+});
+
+test('hasTesseract reads with the installed languages and names the missing ones once', async t => {
+    const log = t.mock.method(console, 'log', () => {});
+    assert.equal(await textDetection.hasTesseract(), true);
+    assert.equal(await textDetection.hasTesseract(), true);
+    const missing = log.mock.calls.map(c => c.arguments[0]).filter(line => /traineddata missing/.test(line));
+    assert.deepEqual(missing, [
+        'Tesseract traineddata missing for hrv, ces, pol, ell, ita, hun, slk, bul, ron (tesseract-ocr-<lang> packages) - OCR reads without them'
+    ]);
+});
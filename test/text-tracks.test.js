@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const textTracks = require('../lib/text-tracks');
+
+// 48x16 rgb24 colour sample, pixel colour from fn(row, col)
+function sample(fn) {
+    const rgb = Buffer.alloc(48 * 16 * 3);
+    for (let row = 0; row < 16; row++) {
+        for (let col = 0; col < 48; col++) rgb.set(fn(row, col), (row * 48 + col) * 3);
+    }
+    return rgb;
+}
+
+const isBorder = (row, col) => row === 0 || row === 15 || col === 0 || col === 47;
+
+test('alignmentOf reads the side a box sits on, with some slack for centred text', () => {
+    assert.equal(textTracks.alignmentOf({ x: 10, width: 80 }), 'center');
+    assert.equal(textTracks.alignmentOf({ x: 14, width: 80 }), 'center');
+    assert.equal(textTracks.alignmentOf({ x: 5, width: 40 }), 'left');
+    assert.equal(textTracks.alignmentOf({ x: 55, width: 40 }), 'right');
+});
+
+test('estimateFontSize derives the size from box height and line count, within limits', () => {
+    assert.equal(textTracks.estimateFontSize({ height: 4.5 }), 96);
+    assert.equal(textTracks.estimateFontSize({ height: 10.5 }, 2), 96);
+    assert.equal(textTracks.estimateFontSize({ height: 0.5 }), 24);
+    assert.equal(textTracks.estimateFontSize({ height: 40 }), 200);
+});
+
+test('colorsFromPixels finds the text colour on a flat background box', () => {
+    const navy = [0x10, 0x20, 0x40];
+    const yellow = [0xFF, 0xD7, 0x00];
+    const rgb = sample((row, col) => !isBorder(row, col) && row > 4 && row < 11 && col % 3 === 0 ? yellow : navy);
+    assert.deepEqual(textTracks.colorsFromPixels(rgb), { color: '#FFD700', background: '#102040' });
+});
+
+test('colorsFromPixels picks black or white when nothing on the box contrasts', () => {
+    assert.deepEqual(textTracks.colorsFromPixels(sample(() => [240, 240, 240])), { color: '#000000', background: '#F0F0F0' });
+    assert.deepEqual(textTracks.colorsFromPixels(sample(() => [20, 20, 20])), { color: '#FFFFFF', background: '#141414' });
+});
+
+test('colorsFromPixels takes the bright part as the text over footage', () => {
+    const rgb = sample((row, col) => {
+        if (isBorder(row, col)) return col % 2 ? [0, 0, 0] : [200, 120, 60];
+        return col >= 10 && col <= 20 ? [255, 255, 255] : [60, 60, 60];
+    });
+    assert.deepEqual(textTracks.colorsFromPixels(rgb), { color: '#FFFFFF', background: null });
+});
+
+test('assColor converts #RRGGBB to ASS BGR order', () => {
+    assert.equal(textTracks.assColor('#FFD700'), '&H0000D7FF');
+    assert.equal(textTracks.assColor('#102040'), '&H00402010');
+});
+
+test('placement anchors a centred track at its original spot in the native format', () => {
+    const track = { bbox: { x: 10, y: 45, width: 80, height: 10 }, align: 'center' };
+    assert.deepEqual(textTracks.placement(track, '9:16'), { an: 5, x: 540, y: 960, scale: 1, marginL: 43, marginR: 43 });
+});
+
+test('placement keeps text inside the frame when a crop cuts its spot off', () => {
+    const track = { bbox: { x: 0, y: 2, width: 30, height: 4 }, align: 'left' };
+    const { an, x, y } = textTracks.placement(track, '1:1');
+    assert.equal(an, 4);
+    assert.equal(x, 43);
+    assert.equal(y, 43 + 38); // frame edge + half the text height
+});
+
+test('assStyle draws a box in the sampled background or an outline over footage', () => {
+    const boxed = textTracks.assStyle('T0', { fontSize: 80, color: '#FFD700', background: '#102040' });
+    assert.equal(boxed, 'Style: T0,Noto Sans,80,&H0000D7FF,&H000000FF,&H00402010,&H00402010,1,0,0,0,100,100,0,0,3,20,0,5,0,0,0,1');
+    const outlined = textTracks.assStyle('T1', { fontSize: 80, color: null, background: null }, 0.5);
+    assert.equal(outlined, 'Style: T1,Noto Sans,40,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,1,0,0,0,100,100,0,0,1,2,2,5,0,0,0,1');
+});
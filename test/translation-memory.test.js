@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-memory-'));
+process.env.TRANSLATION_MEMORY_FILE = path.join(dir, 'translation-memory.json');
+const translationMemory = require('../lib/translation-memory');
+
+test.beforeEach(() => fs.rmSync(process.env.TRANSLATION_MEMORY_FILE, { force: true }));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('entries added within one millisecond get their own IDs', t => {
+    t.mock.method(Date, 'now', () => 1790000000000);
+    const first = translationMemory.addEntry({ source: 'Nova majica', lang: 'HR', text: 'Nova majica' });
+    translationMemory.record([
+        { source: 'Udobne boksarice', lang: 'HR', text: 'Udobne bokserice' },
+        { source: 'Zdaj', lang: 'HR', text: 'Sada' }
+    ]);
+    const second = translationMemory.addEntry({ source: 'Nova majica', lang: 'CZ', text: 'Nové tričko' });
+    translationMemory.approve([{ source: 'Akcija', lang: 'HR', text: 'Akcija' }]);
+
+    const ids = translationMemory.listEntries().map(e => e.id);
+    assert.equal(ids.length, 5);
+    assert.equal(new Set(ids).size, 5);
+    assert.notEqual(first.id, second.id);
+});
+
+test('an ID freed by a delete in the same millisecond is not handed out twice', t => {
+    t.mock.method(Date, 'now', () => 1790000000000);
+    const a = translationMemory.addEntry({ source: 'Prva', lang: 'HR', text: 'Prva' });
+    const b = translationMemory.addEntry({ source: 'Druga', lang: 'HR', text: 'Druga' });
+    translationMemory.deleteEntry(a.id);
+    const c = translationMemory.addEntry({ source: 'Tretja', lang: 'HR', text: 'Treća' });
+    assert.notEqual(c.id, b.id);
+
+    translationMemory.updateEntry(c.id, { text: 'Treća!' });
+    assert.equal(translationMemory.listEntries().find(e => e.id === b.id).text, 'Druga');
+});
+
+test('addEntry and updateEntry reject text that is not a string', () => {
+    assert.throws(() => translationMemory.addEntry({ source: 'Majica', lang: 'HR', text: 42 }), { status: 400 });
+    const entry = translationMemory.addEntry({ source: 'Majica', lang: 'HR', text: 'Majica' });
+    assert.throws(() => translationMemory.updateEntry(entry.id, { text: { value: 'x' } }), { status: 400 });
+    assert.equal(translationMemory.updateEntry(entry.id, { approved: false }).approved, false);
+});
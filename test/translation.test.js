@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJsonResponse } = require('../lib/translation');
+
+test('parseJsonResponse reads a plain JSON array', () => {
+    assert.deepEqual(parseJsonResponse('["Majica", "Nova"]'), ['Majica', 'Nova']);
+});
+
+test('parseJsonResponse strips markdown fences and surrounding prose', () => {
+    const content = 'Here are the translations:\n```json\n["Majica", "Nova"]\n```';
+    assert.deepEqual(parseJsonResponse(content), ['Majica', 'Nova']);
+});
+
+test('parseJsonResponse reads an object when asked for one', () => {
+    const content = 'Result: {"HR": ["Majica"], "CZ": ["Tričko"]} - done';
+    assert.deepEqual(parseJsonResponse(content, 'object'), { HR: ['Majica'], CZ: ['Tričko'] });
+});
+
+test('parseJsonResponse repairs smart quotes and trailing commas', () => {
+    assert.deepEqual(parseJsonResponse('[“Majica”, “Nova”,]'), ['Majica', 'Nova']);
+    assert.deepEqual(parseJsonResponse('{"a": 1,}', 'object'), { a: 1 });
+});
+
+test('parseJsonResponse throws a retryable error when there is no JSON', () => {
+    assert.throws(() => parseJsonResponse('Sorry, I cannot help with that.'), {
+        message: 'No JSON array in response',
+        retryable: true
+    });
+    assert.throws(() => parseJsonResponse(null), { retryable: true });
+});
+
+test('parseJsonResponse throws a retryable error for unreadable JSON', () => {
+    assert.throws(() => parseJsonResponse('[Majica, Nova]'), {
+        message: /^Invalid JSON array in response/,
+        retryable: true
+    });
+});